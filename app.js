@@ -9,10 +9,11 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 
 // Import database configuration
-import { connectDB, checkDBHealth } from './config/database.js';
+import { checkDBHealth } from './config/database.js';
 
 // Import routes
 import routes from './routes.js';
+import { identifyApiKey } from './middleware/auth.js';
 
 // Load environment variables
 dotenv.config();
@@ -49,18 +50,24 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key']
 };
 
 app.use(cors(corsOptions));
 
-// Rate limiting
+// Rate limiting: callers with a valid API key are limited per key, everyone
+// else (including unknown, revoked or expired keys) per IP
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  max: (req) => (req.verifiedApiKey
+    ? Number(process.env.API_KEY_RATE_LIMIT_MAX) || 1000
+    : 100), // limit each IP to 100 requests per windowMs
+  keyGenerator: (req) => (req.verifiedApiKey ? `key:${req.verifiedApiKey.record._id}` : req.ip),
+  message: (req) => (req.verifiedApiKey
+    ? 'Too many requests for this API key, please try again later.'
+    : 'Too many requests from this IP, please try again later.')
 });
-app.use('/api/', limiter);
+app.use('/api/', identifyApiKey, limiter);
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
@@ -68,14 +75,17 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Multer middleware for file uploads (for Gemini API)
 import multer from 'multer';
-const upload = multer();
+import imageInspectionService from './services/imageInspectionService.js';
+const upload = multer({ limits: { fileSize: imageInspectionService.maxBytes } });
 app.use('/api/gemini', upload.any());
 
 // Compression middleware
 app.use(compression());
 
-// Logging middleware
-app.use(morgan('combined'));
+// Logging middleware (off under test, where it would bury the results)
+if (process.env.NODE_ENV !== 'test') {
+  app.use(morgan('combined'));
+}
 
 // Serve static files from uploads directory
 app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
@@ -0,0 +1,36 @@
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Parse "90s", "15m", "12h", "30d" (or plain seconds) into milliseconds
+const parseDuration = (value) => {
+  const match = /^(\d+)\s*([smhd]?)$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid duration: ${value}`);
+  }
+  const unit = { '': 1000, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[match[2]];
+  return Number(match[1]) * unit;
+};
+
+const accessTokenTtl = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const refreshTokenTtl = process.env.JWT_REFRESH_EXPIRES_IN || '30d';
+const imageUrlTtl = process.env.IMAGE_URL_EXPIRES_IN || '15m';
+
+export const authConfig = {
+  jwtSecret: process.env.JWT_SECRET,
+  issuer: process.env.JWT_ISSUER || 'pixora',
+  // Access tokens are short-lived JWTs
+  accessTokenTtlMs: parseDuration(accessTokenTtl),
+  // Refresh tokens are opaque, stored hashed, and exchanged for new pairs
+  refreshTokenTtlMs: parseDuration(refreshTokenTtl),
+  // Signed image URLs let <img> tags fetch raw bytes without an Authorization header
+  imageUrlTtlMs: parseDuration(imageUrlTtl),
+  // When true, each refresh issues a new refresh token and revokes the old one;
+  // replaying a revoked token revokes every token descended from the same login
+  rotateRefreshTokens: process.env.JWT_REFRESH_ROTATION !== 'false',
+  bcryptRounds: Number(process.env.BCRYPT_ROUNDS) || 12,
+  passwordMinLength: 8
+};
+
+export default authConfig;
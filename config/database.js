@@ -81,6 +81,42 @@ export const readDB = async (collection, query = {}) => {
   }
 };
 
+export const findManyDB = async (collection, query = {}, { sort, limit, projection } = {}) => {
+  try {
+    const database = getDB();
+    let cursor = database.collection(collection).find(query, { projection });
+    if (sort) cursor = cursor.sort(sort);
+    if (limit) cursor = cursor.limit(limit);
+    const result = await cursor.toArray();
+    return result;
+  } catch (error) {
+    console.error(`❌ Error reading from ${collection}:`, error);
+    throw error;
+  }
+};
+
+export const findOneDB = async (collection, query = {}) => {
+  try {
+    const database = getDB();
+    const result = await database.collection(collection).findOne(query);
+    return result;
+  } catch (error) {
+    console.error(`❌ Error reading from ${collection}:`, error);
+    throw error;
+  }
+};
+
+export const countDB = async (collection, query = {}) => {
+  try {
+    const database = getDB();
+    const result = await database.collection(collection).countDocuments(query);
+    return result;
+  } catch (error) {
+    console.error(`❌ Error counting ${collection}:`, error);
+    throw error;
+  }
+};
+
 export const updateDB = async (collection, query, updateData) => {
   try {
     const database = getDB();
@@ -120,6 +156,9 @@ export default {
   closeDB,
   writeDB,
   readDB,
+  findManyDB,
+  findOneDB,
+  countDB,
   updateDB,
   deleteDB,
   checkDBHealth
@@ -0,0 +1,36 @@
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Derivatives produced for every stored image, keyed by variant name.
+// fit follows sharp's resize options: 'cover' crops to fill, 'inside' keeps
+// the whole image within the box. Images are never enlarged.
+const defaultVariants = {
+  thumb: { width: 256, height: 256, fit: 'cover', format: 'webp', quality: 70 },
+  web: { width: 1024, height: 1024, fit: 'inside', format: 'webp', quality: 80 }
+};
+
+const SUPPORTED_FORMATS = ['webp', 'jpeg', 'png', 'avif'];
+
+// IMAGE_VARIANTS may override the defaults with a JSON object of the same shape
+const loadVariants = () => {
+  if (!process.env.IMAGE_VARIANTS) {
+    return defaultVariants;
+  }
+
+  const variants = JSON.parse(process.env.IMAGE_VARIANTS);
+  for (const [name, variant] of Object.entries(variants)) {
+    if (!variant.width && !variant.height) {
+      throw new Error(`IMAGE_VARIANTS.${name} needs a width or height`);
+    }
+    if (!SUPPORTED_FORMATS.includes(variant.format)) {
+      throw new Error(`IMAGE_VARIANTS.${name}.format must be one of: ${SUPPORTED_FORMATS.join(', ')}`);
+    }
+  }
+  return variants;
+};
+
+export const imageVariants = loadVariants();
+
+export default imageVariants;
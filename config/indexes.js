@@ -0,0 +1,81 @@
+import { getDB } from './database.js';
+
+// Indexes the server relies on, per collection: [keys, options]. Unique ones
+// back identity checks (an email belongs to one account, a key hash to one API
+// key); the rest serve the per-request lookups and the job and webhook pollers.
+export const INDEXES = {
+  users: [
+    [{ email: 1 }, { unique: true }]
+  ],
+  api_keys: [
+    [{ keyHash: 1 }, { unique: true }],
+    [{ ownerId: 1, createdAt: -1 }]
+  ],
+  refresh_tokens: [
+    [{ tokenHash: 1 }, { unique: true }],
+    [{ familyId: 1 }]
+  ],
+  jobs: [
+    // poll() claims the oldest queued job; the sweep looks for stale running ones
+    [{ status: 1, createdAt: 1 }],
+    [{ status: 1, startedAt: 1 }],
+    [{ ownerId: 1, createdAt: -1 }]
+  ],
+  job_events: [
+    [{ jobId: 1, seq: 1 }, { unique: true }]
+  ],
+  webhooks: [
+    [{ ownerId: 1, active: 1 }]
+  ],
+  webhook_deliveries: [
+    [{ status: 1, nextAttemptAt: 1 }],
+    [{ status: 1, updatedAt: 1 }],
+    [{ ownerId: 1, createdAt: -1 }]
+  ],
+  credit_ledger: [
+    [{ accountId: 1, createdAt: -1 }]
+  ],
+  prompt_versions: [
+    [{ promptId: 1, version: 1 }, { unique: true }]
+  ],
+  style_presets: [
+    [{ name: 1 }, { unique: true }]
+  ],
+  images: [
+    [{ contentHash: 1 }],
+    // Near-duplicate lookups match any band, see duplicateDetectionService
+    [{ hashBands: 1 }],
+    [{ ownerId: 1, createdAt: -1 }]
+  ],
+  generated_images: [
+    [{ ownerId: 1, createdAt: -1 }],
+    [{ promptId: 1, promptVersion: 1 }],
+    [{ rootImageId: 1 }]
+  ],
+  // Mongo drops cache entries once expiresAt has passed
+  generation_cache: [
+    [{ expiresAt: 1 }, { expireAfterSeconds: 0 }]
+  ]
+};
+
+/**
+ * Create the indexes in INDEXES (a no-op for those that exist). A failure,
+ * e.g. a unique index over data that already has duplicates, is logged and
+ * the rest are still created.
+ * @returns {Promise<void>}
+ */
+export const ensureIndexes = async () => {
+  const db = getDB();
+  for (const [collection, indexes] of Object.entries(INDEXES)) {
+    for (const [keys, options = {}] of indexes) {
+      try {
+        await db.collection(collection).createIndex(keys, options);
+      } catch (error) {
+        console.error(`❌ Could not create index ${JSON.stringify(keys)} on ${collection}:`, error.message);
+      }
+    }
+  }
+};
+
+// MongoDB's error code for a unique index violation
+export const DUPLICATE_KEY = 11000;
@@ -0,0 +1,58 @@
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Models generation may use, in order of preference. Each entry names the
+// provider that serves it and what it can do:
+//   imageOutput - returns image parts
+//   imageInput  - accepts a reference image
+//   text        - returns text commentary
+// A request without a model gets the first available entry for its provider
+// that has the capabilities the request needs.
+const defaultModels = [
+  {
+    name: 'gemini-2.5-flash-image',
+    provider: 'gemini',
+    capabilities: { imageOutput: true, imageInput: true, text: true }
+  },
+  {
+    name: 'gemini-2.0-flash-preview-image-generation',
+    provider: 'gemini',
+    capabilities: { imageOutput: true, imageInput: true, text: true }
+  },
+  {
+    name: 'mock-placeholder',
+    provider: 'mock',
+    capabilities: { imageOutput: true, imageInput: true, text: true }
+  }
+];
+
+const CAPABILITIES = ['imageOutput', 'imageInput', 'text'];
+
+// MODEL_REGISTRY may replace the defaults with a JSON array of the same shape
+const loadModels = () => {
+  if (!process.env.MODEL_REGISTRY) {
+    return defaultModels;
+  }
+
+  const models = JSON.parse(process.env.MODEL_REGISTRY);
+  if (!Array.isArray(models)) {
+    throw new Error('MODEL_REGISTRY must be a JSON array');
+  }
+  for (const model of models) {
+    if (!model.name || !model.provider) {
+      throw new Error('Every MODEL_REGISTRY entry needs a name and a provider');
+    }
+    const unknown = Object.keys(model.capabilities || {}).filter(key => !CAPABILITIES.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`MODEL_REGISTRY.${model.name} has unknown capabilities: ${unknown.join(', ')}`);
+    }
+    model.capabilities = Object.fromEntries(CAPABILITIES.map(key => [key, Boolean((model.capabilities || {})[key])]));
+  }
+  return models;
+};
+
+export const models = loadModels();
+
+export default models;
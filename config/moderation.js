@@ -0,0 +1,61 @@
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// What a matching prompt rule does: block refuses the request, flag lets it
+// through but holds the result for review
+export const RULE_ACTIONS = ['block', 'flag'];
+
+// Gemini safety probabilities, least to most likely
+export const SAFETY_PROBABILITIES = ['NEGLIGIBLE', 'LOW', 'MEDIUM', 'HIGH'];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// MODERATION_BLOCKLIST is a comma-separated list of terms that block a prompt,
+// matched as whole words in any case. MODERATION_RULES is a JSON array of
+// { pattern, flags?, action?: 'block' | 'flag' (default), reason? } regex rules.
+const loadRules = () => {
+  const terms = (process.env.MODERATION_BLOCKLIST || '').split(',').map(term => term.trim()).filter(Boolean);
+  const rules = terms.map(term => ({
+    action: 'block',
+    reason: `blocked term "${term}"`,
+    regex: new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegex(term)}($|[^\\p{L}\\p{N}])`, 'iu')
+  }));
+
+  if (!process.env.MODERATION_RULES) {
+    return rules;
+  }
+
+  const configured = JSON.parse(process.env.MODERATION_RULES);
+  if (!Array.isArray(configured)) {
+    throw new Error('MODERATION_RULES must be a JSON array');
+  }
+  for (const [index, rule] of configured.entries()) {
+    const action = rule.action || 'flag';
+    if (!RULE_ACTIONS.includes(action)) {
+      throw new Error(`MODERATION_RULES[${index}].action must be one of: ${RULE_ACTIONS.join(', ')}`);
+    }
+    if (typeof rule.pattern !== 'string' || rule.pattern === '') {
+      throw new Error(`MODERATION_RULES[${index}].pattern must be a non-empty string`);
+    }
+    rules.push({
+      action: action,
+      reason: rule.reason || `matched /${rule.pattern}/`,
+      // An invalid pattern throws here, at startup. Rules are tested one prompt at a
+      // time, so the stateful g and y flags are dropped.
+      regex: new RegExp(rule.pattern, rule.flags === undefined ? 'i' : String(rule.flags).replace(/[gy]/g, ''))
+    });
+  }
+  return rules;
+};
+
+export const moderationRules = loadRules();
+
+// Generated images with a Gemini safety rating at or above this probability are held for review
+export const FLAG_PROBABILITY = process.env.MODERATION_FLAG_PROBABILITY || 'MEDIUM';
+if (!SAFETY_PROBABILITIES.includes(FLAG_PROBABILITY)) {
+  throw new Error(`MODERATION_FLAG_PROBABILITY must be one of: ${SAFETY_PROBABILITIES.join(', ')}`);
+}
+
+export default moderationRules;
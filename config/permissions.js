@@ -0,0 +1,122 @@
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+export const ROLES = ['admin', 'editor', 'viewer'];
+
+// Accounts created before roles existed were given 'user'
+export const ROLE_ALIASES = {
+  user: 'editor'
+};
+
+// Role assigned on registration
+export const DEFAULT_ROLE = ROLES.includes(process.env.DEFAULT_USER_ROLE) ? process.env.DEFAULT_USER_ROLE : 'editor';
+
+export const ROLE_PERMISSIONS = {
+  admin: [
+    'profile:read', 'api-keys:manage', 'users:manage',
+    'images:read', 'images:write', 'prompts:read', 'prompts:write', 'generate',
+    'webhooks:manage', 'credits:manage', 'presets:manage', 'moderation:manage', 'system:test', 'system:debug'
+  ],
+  editor: [
+    'profile:read', 'api-keys:manage',
+    'images:read', 'images:write', 'prompts:read', 'prompts:write', 'generate',
+    'webhooks:manage'
+  ],
+  viewer: [
+    'profile:read', 'api-keys:manage',
+    'images:read', 'prompts:read'
+  ]
+};
+
+// Permission required by every route in routes.js, keyed by "METHOD /path"
+// (paths relative to /api). null marks a public route. The authorize
+// middleware rejects any authenticated route missing from this map.
+export const ROUTE_PERMISSIONS = {
+  'POST /auth/register': null,
+  'POST /auth/login': null,
+  'POST /auth/refresh': null,
+  'POST /auth/logout': null,
+  'GET /auth/me': 'profile:read',
+
+  'GET /users': 'users:manage',
+  'PUT /users/:id/role': 'users:manage',
+
+  'POST /api-keys': 'api-keys:manage',
+  'GET /api-keys': 'api-keys:manage',
+  'DELETE /api-keys/:id': 'api-keys:manage',
+
+  'POST /images/upload': 'images:write',
+  'GET /images': 'images:read',
+  'GET /images/getAllImages': 'images:read',
+  'GET /images/prompt/:promptId': 'images:read',
+  'GET /images/:id/raw': 'images:read',
+  'GET /images/:id/signed-url': 'images:read',
+  'GET /images/:id/duplicates': 'images:read',
+  'GET /images/:id/lineage': 'images:read',
+  'GET /images/:id': 'images:read',
+  'DELETE /images/:id': 'images:write',
+
+  'POST /prompts': 'prompts:write',
+  'GET /prompts': 'prompts:read',
+  'GET /prompts/:id': 'prompts:read',
+  'PUT /prompts/:id': 'prompts:write',
+  'DELETE /prompts/:id': 'prompts:write',
+  'GET /prompts/:id/versions': 'prompts:read',
+  'GET /prompts/:id/versions/:version': 'prompts:read',
+  'POST /prompts/:id/versions/:version/rollback': 'prompts:write',
+
+  'POST /gemini/generate': 'generate',
+  'POST /gemini/generate-text': 'generate',
+  'GET /gemini/test': 'system:test',
+  'GET /gemini/models': 'generate',
+  'GET /gemini/prompts': 'prompts:read',
+  'GET /gemini/generated-images': 'images:read',
+  'DELETE /gemini/cache': 'generate',
+  'GET /gemini/debug': 'system:debug',
+
+  'GET /jobs': 'generate',
+  'GET /jobs/:id': 'generate',
+  'GET /jobs/:id/events': 'generate',
+  'POST /jobs/:id/cancel': 'generate',
+
+  'POST /webhooks': 'webhooks:manage',
+  'GET /webhooks': 'webhooks:manage',
+  'GET /webhooks/secret': 'webhooks:manage',
+  'GET /webhooks/deliveries': 'webhooks:manage',
+  'GET /webhooks/deliveries/:id': 'webhooks:manage',
+  'POST /webhooks/deliveries/:id/replay': 'webhooks:manage',
+  'DELETE /webhooks/:id': 'webhooks:manage',
+
+  'GET /credits': 'generate',
+  'GET /credits/ledger': 'generate',
+  'GET /credits/plans': 'generate',
+  'GET /credits/accounts/:accountId': 'credits:manage',
+  'POST /credits/accounts/:accountId/grants': 'credits:manage',
+  'PUT /credits/accounts/:accountId/plan': 'credits:manage',
+
+  'GET /presets': 'generate',
+  'GET /presets/:name': 'generate',
+  'POST /presets': 'presets:manage',
+  'PUT /presets/:name': 'presets:manage',
+  'DELETE /presets/:name': 'presets:manage',
+
+  'GET /moderation/queue': 'moderation:manage',
+  'POST /moderation/items/:id/approve': 'moderation:manage',
+  'POST /moderation/items/:id/reject': 'moderation:manage',
+  'GET /moderation/blocks': 'moderation:manage'
+};
+
+// Debug routes (connection test, debug dump) are off in production unless
+// ENABLE_DEBUG_ROUTES=true, and can be turned off anywhere with =false
+export const DEBUG_ROUTES_ENABLED = process.env.ENABLE_DEBUG_ROUTES
+  ? process.env.ENABLE_DEBUG_ROUTES === 'true'
+  : process.env.NODE_ENV !== 'production';
+
+/**
+ * Permissions granted to a role (unknown roles get none)
+ * @param {string} role - User role
+ * @returns {string[]}
+ */
+export const permissionsFor = (role) => ROLE_PERMISSIONS[ROLE_ALIASES[role] || role] || [];
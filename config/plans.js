@@ -0,0 +1,50 @@
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Credit plans. Caps limit the credits an account may spend per UTC day and
+// per UTC month (null means no cap). initialCredits is granted once, when a
+// user's credit account is first created.
+const defaultPlans = {
+  free: { initialCredits: 50, dailyCap: 20, monthlyCap: 200 },
+  pro: { initialCredits: 0, dailyCap: 500, monthlyCap: 10000 },
+  unlimited: { initialCredits: 0, dailyCap: null, monthlyCap: null }
+};
+
+const isCap = (value) => value === null || (Number.isInteger(value) && value >= 0);
+
+// PLANS may replace the defaults with a JSON object of the same shape
+const loadPlans = () => {
+  if (!process.env.PLANS) {
+    return defaultPlans;
+  }
+
+  const plans = JSON.parse(process.env.PLANS);
+  for (const [name, plan] of Object.entries(plans)) {
+    plan.initialCredits = plan.initialCredits || 0;
+    plan.dailyCap = plan.dailyCap === undefined ? null : plan.dailyCap;
+    plan.monthlyCap = plan.monthlyCap === undefined ? null : plan.monthlyCap;
+
+    if (!Number.isInteger(plan.initialCredits) || plan.initialCredits < 0) {
+      throw new Error(`PLANS.${name}.initialCredits must be a non-negative integer`);
+    }
+    if (!isCap(plan.dailyCap) || !isCap(plan.monthlyCap)) {
+      throw new Error(`PLANS.${name} caps must be non-negative integers or null`);
+    }
+  }
+  return plans;
+};
+
+export const plans = loadPlans();
+
+// Plan given to new credit accounts
+export const DEFAULT_PLAN = process.env.DEFAULT_PLAN || 'free';
+if (!plans[DEFAULT_PLAN]) {
+  throw new Error(`DEFAULT_PLAN '${DEFAULT_PLAN}' is not a configured plan`);
+}
+
+// Credits one generation request costs
+export const GENERATION_COST = parseInt(process.env.GENERATION_CREDIT_COST, 10) || 1;
+
+export default plans;
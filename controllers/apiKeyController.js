@@ -0,0 +1,145 @@
+import apiKeyService, { API_KEY_SCOPES } from '../services/apiKeyService.js';
+import { ownerScope } from '../utils/ownership.js';
+import { permissionsFor } from '../config/permissions.js';
+
+// Shape an API key record for API responses (never includes the hash)
+const formatApiKey = (record) => ({
+  id: record._id,
+  name: record.name,
+  prefix: record.prefix,
+  scopes: record.scopes,
+  ownerId: record.ownerId,
+  expiresAt: record.expiresAt,
+  lastUsedAt: record.lastUsedAt,
+  revokedAt: record.revokedAt,
+  createdAt: record.createdAt
+});
+
+/**
+ * Create an API key for the current user
+ * POST /api/api-keys
+ * Body: { name: string, scopes: string[], expiresAt?: string }
+ */
+const createApiKey = async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'name and a non-empty scopes array are required',
+        error: 'VALIDATION_ERROR'
+      });
+    }
+
+    const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown scopes: ${unknown.join(', ')}. Allowed: ${API_KEY_SCOPES.join(', ')}`,
+        error: 'VALIDATION_ERROR'
+      });
+    }
+
+    // A key can never do more than the user who creates it
+    const notGranted = scopes.filter(scope => !permissionsFor(req.user.role).includes(scope));
+    if (notGranted.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `Your role (${req.user.role}) cannot grant: ${notGranted.join(', ')}`,
+        error: 'FORBIDDEN'
+      });
+    }
+
+    let expiry = null;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+      if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'expiresAt must be a valid future date',
+          error: 'VALIDATION_ERROR'
+        });
+      }
+    }
+
+    const { record, key } = await apiKeyService.create(req.user.id, {
+      name: name,
+      scopes: [...new Set(scopes)],
+      expiresAt: expiry
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Store it now; it cannot be shown again.',
+      data: { ...formatApiKey(record), key: key }
+    });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create API key',
+      error: 'CREATE_ERROR'
+    });
+  }
+};
+
+/**
+ * List the current user's API keys (all keys for admins)
+ * GET /api/api-keys
+ */
+const getApiKeys = async (req, res) => {
+  try {
+    const keys = await apiKeyService.list(ownerScope(req.user));
+
+    res.status(200).json({
+      success: true,
+      message: 'API keys retrieved successfully',
+      data: keys.map(formatApiKey),
+      count: keys.length
+    });
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch API keys',
+      error: 'RETRIEVE_ERROR'
+    });
+  }
+};
+
+/**
+ * Revoke an API key
+ * DELETE /api/api-keys/:id
+ */
+const revokeApiKey = async (req, res) => {
+  try {
+    const revoked = await apiKeyService.revoke(req.params.id, ownerScope(req.user));
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found or already revoked',
+        error: 'NOT_FOUND'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke API key',
+      error: 'DELETE_ERROR'
+    });
+  }
+};
+
+export {
+  createApiKey,
+  getApiKeys,
+  revokeApiKey
+};
@@ -0,0 +1,261 @@
+import { writeDB, findOneDB } from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import authService, { AuthError } from '../services/authService.js';
+import authConfig from '../config/auth.js';
+import { DEFAULT_ROLE } from '../config/permissions.js';
+import { DUPLICATE_KEY } from '../config/indexes.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Shape a user document for API responses (never includes the password hash)
+const formatUser = (user) => ({
+  id: user._id,
+  email: user.email,
+  name: user.name,
+  role: user.role,
+  createdAt: user.createdAt
+});
+
+const sendAuthError = (res, error) => {
+  res.status(error.status).json({
+    success: false,
+    message: error.message,
+    error: error.code
+  });
+};
+
+/**
+ * Register a new user
+ * POST /api/auth/register
+ * Body: { email: string, password: string, name?: string }
+ */
+const register = async (req, res) => {
+  try {
+    const { password, name } = req.body;
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+
+    if (!EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid email is required',
+        error: 'VALIDATION_ERROR'
+      });
+    }
+
+    if (typeof password !== 'string' || password.length < authConfig.passwordMinLength) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${authConfig.passwordMinLength} characters`,
+        error: 'VALIDATION_ERROR'
+      });
+    }
+
+    const existing = await findOneDB('users', { email: email });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'An account with this email already exists',
+        error: 'EMAIL_TAKEN'
+      });
+    }
+
+    const user = {
+      _id: uuidv4(),
+      email: email,
+      name: name || null,
+      passwordHash: await authService.hashPassword(password),
+      role: DEFAULT_ROLE,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    try {
+      await writeDB('users', user);
+    } catch (error) {
+      // A parallel registration with the same email got in first (unique index on users.email)
+      if (error.code !== DUPLICATE_KEY) throw error;
+      return res.status(409).json({
+        success: false,
+        message: 'An account with this email already exists',
+        error: 'EMAIL_TAKEN'
+      });
+    }
+    const tokens = await authService.issueTokens(user);
+
+    res.status(201).json({
+      success: true,
+      message: 'User registered successfully',
+      data: { user: formatUser(user), ...tokens }
+    });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return sendAuthError(res, error);
+    }
+    console.error('Error registering user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to register user',
+      error: 'REGISTER_ERROR'
+    });
+  }
+};
+
+/**
+ * Log in with email and password
+ * POST /api/auth/login
+ * Body: { email: string, password: string }
+ */
+const login = async (req, res) => {
+  try {
+    const { password } = req.body;
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+
+    if (!email || typeof password !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'email and password are required',
+        error: 'VALIDATION_ERROR'
+      });
+    }
+
+    const user = await findOneDB('users', { email: email });
+    const valid = user ? await authService.verifyPassword(password, user.passwordHash) : false;
+
+    if (!valid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password',
+        error: 'INVALID_CREDENTIALS'
+      });
+    }
+
+    const tokens = await authService.issueTokens(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged in successfully',
+      data: { user: formatUser(user), ...tokens }
+    });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return sendAuthError(res, error);
+    }
+    console.error('Error logging in:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log in',
+      error: 'LOGIN_ERROR'
+    });
+  }
+};
+
+/**
+ * Exchange a refresh token for a new access token (and refresh token when rotation is on)
+ * POST /api/auth/refresh
+ * Body: { refreshToken: string }
+ */
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'refreshToken is required and must be a string',
+        error: 'VALIDATION_ERROR'
+      });
+    }
+
+    const { user, tokens } = await authService.refresh(refreshToken);
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: { user: formatUser(user), ...tokens }
+    });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return sendAuthError(res, error);
+    }
+    console.error('Error refreshing token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh token',
+      error: 'REFRESH_ERROR'
+    });
+  }
+};
+
+/**
+ * Revoke a refresh token and the session it belongs to
+ * POST /api/auth/logout
+ * Body: { refreshToken: string }
+ */
+const logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (refreshToken !== undefined && refreshToken !== null && typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'refreshToken must be a string',
+        error: 'VALIDATION_ERROR'
+      });
+    }
+
+    if (refreshToken) {
+      await authService.revoke(refreshToken);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log out',
+      error: 'LOGOUT_ERROR'
+    });
+  }
+};
+
+/**
+ * Get the authenticated user
+ * GET /api/auth/me
+ */
+const getCurrentUser = async (req, res) => {
+  try {
+    const user = await findOneDB('users', { _id: req.user.id });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        error: 'NOT_FOUND'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'User retrieved successfully',
+      data: formatUser(user)
+    });
+  } catch (error) {
+    console.error('Error fetching current user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch user',
+      error: 'RETRIEVE_ERROR'
+    });
+  }
+};
+
+export {
+  register,
+  login,
+  refresh,
+  logout,
+  getCurrentUser
+};
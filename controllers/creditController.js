@@ -0,0 +1,253 @@
+import creditService, { ACCOUNT_TYPES, LEDGER_TYPES } from '../services/creditService.js';
+import plans, { GENERATION_COST } from '../config/plans.js';
+import { findOneDB } from '../config/database.js';
+
+// Credits a debit has had back; older debits only record refundedAt
+const refundedAmount = (entry) => {
+  if (entry.type !== 'debit') return null;
+  if (entry.refunded !== undefined) return entry.refunded;
+  return entry.refundedAt ? -entry.amount : 0;
+};
+
+// Shape a ledger entry for API responses
+const formatEntry = (entry) => ({
+  id: entry._id,
+  type: entry.type,
+  amount: entry.amount,
+  balanceAfter: entry.balanceAfter,
+  reason: entry.reason || null,
+  chargeId: entry.chargeId || null,
+  // refundedAt is set once all of a debit's credits are back
+  refunded: refundedAmount(entry),
+  refundedAt: entry.refundedAt || null,
+  grantedBy: entry.grantedBy || null,
+  createdAt: entry.createdAt
+});
+
+// Find the account named by :accountId, e.g. "user:<id>" or "api_key:<id>". With
+// create, a missing account is opened; without it, it is only shown as it would be.
+// Returns null when the user or API key does not exist.
+const findAccount = async (param, { create = false } = {}) => {
+  const separator = param.indexOf(':');
+  const type = param.slice(0, separator);
+  const id = param.slice(separator + 1);
+  if (separator < 0 || !ACCOUNT_TYPES.includes(type) || !id) return null;
+
+  let ownerId = null;
+  if (type === 'user') {
+    const user = await findOneDB('users', { _id: id });
+    ownerId = user ? user._id : null;
+  } else {
+    const apiKey = await findOneDB('api_keys', { _id: id });
+    ownerId = apiKey ? apiKey.ownerId : null;
+  }
+  if (!ownerId) return null;
+
+  return create ? creditService.ensureAccount(param, ownerId) : creditService.peekAccount(param, ownerId);
+};
+
+const sendAccountNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Credit account not found. Use user:<userId> or api_key:<apiKeyId>.',
+  error: 'NOT_FOUND'
+});
+
+/**
+ * Balance and plan usage of the account the caller spends from
+ * GET /api/credits
+ */
+const getBalance = async (req, res) => {
+  try {
+    const account = await creditService.peekAccountFor(req.user.id, req.apiKey ? req.apiKey.id : null);
+
+    res.status(200).json({
+      success: true,
+      message: 'Credit balance retrieved successfully',
+      data: { ...creditService.summary(account), generationCost: GENERATION_COST }
+    });
+  } catch (error) {
+    console.error('Error fetching credit balance:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch credit balance',
+      error: 'RETRIEVE_ERROR'
+    });
+  }
+};
+
+/**
+ * Ledger of the account the caller spends from, newest first
+ * GET /api/credits/ledger
+ * Query: { type?: string, limit?: number }
+ */
+const getLedger = async (req, res) => {
+  try {
+    const { type } = req.query;
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+
+    if (type !== undefined && !LEDGER_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `type must be one of: ${LEDGER_TYPES.join(', ')}`,
+        error: 'INVALID_QUERY'
+      });
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'limit must be an integer between 1 and 100',
+        error: 'INVALID_QUERY'
+      });
+    }
+
+    const account = await creditService.peekAccountFor(req.user.id, req.apiKey ? req.apiKey.id : null);
+    const entries = await creditService.ledger(account._id, { type, limit });
+
+    res.status(200).json({
+      success: true,
+      message: 'Credit ledger retrieved successfully',
+      data: entries.map(formatEntry),
+      count: entries.length
+    });
+  } catch (error) {
+    console.error('Error fetching credit ledger:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch credit ledger',
+      error: 'RETRIEVE_ERROR'
+    });
+  }
+};
+
+/**
+ * List the configured plans
+ * GET /api/credits/plans
+ */
+const getPlans = (req, res) => {
+  res.status(200).json({
+    success: true,
+    message: 'Plans retrieved successfully',
+    data: Object.entries(plans).map(([name, plan]) => ({ name, ...plan })),
+    generationCost: GENERATION_COST
+  });
+};
+
+/**
+ * Get any credit account with its latest ledger entries (admin)
+ * GET /api/credits/accounts/:accountId
+ */
+const getAccount = async (req, res) => {
+  try {
+    const account = await findAccount(req.params.accountId);
+    if (!account) {
+      return sendAccountNotFound(res);
+    }
+
+    const entries = await creditService.ledger(account._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Credit account retrieved successfully',
+      data: { ...creditService.summary(account), ledger: entries.map(formatEntry) }
+    });
+  } catch (error) {
+    console.error('Error fetching credit account:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch credit account',
+      error: 'RETRIEVE_ERROR'
+    });
+  }
+};
+
+/**
+ * Grant credits to a user or API key (admin). Granting to an API key gives it
+ * its own balance, separate from its owner's.
+ * POST /api/credits/accounts/:accountId/grants
+ * Body: { amount: number, reason?: string }
+ */
+const grantCredits = async (req, res) => {
+  try {
+    const { amount, reason } = req.body;
+
+    if (!Number.isInteger(amount) || amount < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'amount must be a positive integer',
+        error: 'VALIDATION_ERROR'
+      });
+    }
+
+    const account = await findAccount(req.params.accountId, { create: true });
+    if (!account) {
+      return sendAccountNotFound(res);
+    }
+
+    const entry = await creditService.grant(account, amount, {
+      reason: reason || null,
+      grantedBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Credits granted successfully',
+      data: formatEntry(entry)
+    });
+  } catch (error) {
+    console.error('Error granting credits:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to grant credits',
+      error: 'GRANT_ERROR'
+    });
+  }
+};
+
+/**
+ * Move a user or API key to another plan (admin)
+ * PUT /api/credits/accounts/:accountId/plan
+ * Body: { plan: string }
+ */
+const setAccountPlan = async (req, res) => {
+  try {
+    const { plan } = req.body;
+
+    if (!plans[plan]) {
+      return res.status(400).json({
+        success: false,
+        message: `plan must be one of: ${Object.keys(plans).join(', ')}`,
+        error: 'VALIDATION_ERROR'
+      });
+    }
+
+    const account = await findAccount(req.params.accountId, { create: true });
+    if (!account) {
+      return sendAccountNotFound(res);
+    }
+
+    const updated = await creditService.setPlan(account, plan);
+
+    res.status(200).json({
+      success: true,
+      message: 'Plan updated successfully',
+      data: creditService.summary(updated)
+    });
+  } catch (error) {
+    console.error('Error updating plan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update plan',
+      error: 'UPDATE_ERROR'
+    });
+  }
+};
+
+export {
+  getBalance,
+  getLedger,
+  getPlans,
+  getAccount,
+  grantCredits,
+  setAccountPlan
+};
@@ -1,38 +1,362 @@
 import imageGenerationService from '../services/imageGenerationService.js';
-import { readDB, writeDB, getDB } from '../../config/database.js';
-import { v4 as uuidv4 } from 'uuid';
+import imageVariantService from '../services/imageVariantService.js';
+import imageInspectionService, { ImageValidationError } from '../services/imageInspectionService.js';
+import generationService, { GenerationError, MAX_SEED } from '../services/generationService.js';
+import jobService from '../services/jobService.js';
+import storageService from '../services/storageService.js';
+import webhookService from '../services/webhookService.js';
+import creditService, { CreditError } from '../services/creditService.js';
+import { GENERATION_COST } from '../config/plans.js';
+import promptVersionService from '../services/promptVersionService.js';
+import imageLineageService from '../services/imageLineageService.js';
+import stylePresetService, { validateStyleOptions } from '../services/stylePresetService.js';
+import generationCacheService, { MAX_CACHE_TTL_MS } from '../services/generationCacheService.js';
+import moderationService from '../services/moderationService.js';
+import { findOneDB, findManyDB, countDB, getDB } from '../config/database.js';
+import { parseListQuery, findPage } from '../utils/listQuery.js';
+import { ownerScope } from '../utils/ownership.js';
+
+// Response field -> document field it is built from (used for ?fields= projection)
+const GENERATED_IMAGE_FIELDS = {
+  id: '_id',
+  promptId: 'promptId',
+  promptName: 'promptName',
+  promptVersion: 'promptVersion',
+  prompt: 'prompt',
+  ownerId: 'ownerId',
+  imageUrl: '_id',
+  originalName: 'originalName',
+  size: 'size',
+  mimetype: 'mimetype',
+  width: 'width',
+  height: 'height',
+  variants: 'variants',
+  provider: 'provider',
+  model: 'model',
+  commentary: 'commentary',
+  templateId: 'templateId',
+  variables: 'variables',
+  batchId: 'batchId',
+  batchIndex: 'batchIndex',
+  referenceIndex: 'referenceIndex',
+  seed: 'seed',
+  temperature: 'temperature',
+  sourceImageId: 'sourceImageId',
+  rootImageId: 'rootImageId',
+  stylePreset: 'stylePreset',
+  styleInstruction: 'styleInstruction',
+  negativePrompt: 'negativePrompt',
+  aspectRatio: 'aspectRatio',
+  outputMimeType: 'outputMimeType',
+  safety: 'safety',
+  moderationStatus: 'moderationStatus',
+  moderation: 'moderation',
+  type: 'type',
+  createdAt: 'createdAt'
+};
+
+// Shape a generated image document for API responses
+const formatGeneratedImage = (image) => ({
+  id: image._id,
+  promptId: image.promptId,
+  promptName: image.promptName,
+  promptVersion: image.promptVersion || null,
+  prompt: image.prompt,
+  ownerId: image.ownerId,
+  imageUrl: `/api/images/${image._id}/raw`,
+  originalName: image.originalName,
+  size: image.size,
+  mimetype: image.mimetype,
+  width: image.width,
+  height: image.height,
+  variants: imageVariantService.formatVariants(image),
+  provider: image.provider,
+  model: image.model,
+  commentary: image.commentary,
+  templateId: image.templateId || null,
+  variables: image.variables || null,
+  batchId: image.batchId || null,
+  batchIndex: image.batchIndex === undefined ? null : image.batchIndex,
+  referenceIndex: image.referenceIndex === undefined ? null : image.referenceIndex,
+  seed: image.seed === undefined ? null : image.seed,
+  temperature: image.temperature === undefined ? null : image.temperature,
+  sourceImageId: image.sourceImageId || null,
+  rootImageId: image.rootImageId || null,
+  stylePreset: image.stylePreset || null,
+  styleInstruction: image.styleInstruction || null,
+  negativePrompt: image.negativePrompt || null,
+  aspectRatio: image.aspectRatio || null,
+  outputMimeType: image.outputMimeType || null,
+  safety: image.safety || null,
+  // Images stored before moderation have no status and count as clean
+  moderationStatus: image.moderationStatus || 'clean',
+  moderation: image.moderation || null,
+  type: image.type,
+  createdAt: image.createdAt
+});
+
+// Callers opt into a queued job with ?async=true, "async": true or a Prefer: respond-async header
+const wantsAsync = (req) =>
+  req.query.async === 'true' ||
+  req.body.async === true ||
+  req.body.async === 'true' ||
+  /\brespond-async\b/i.test(req.headers.prefer || '');
+
+const sendJobAccepted = (res, job) => {
+  res.status(202).location(`/api/jobs/${job._id}`).json({
+    success: true,
+    message: 'Generation job queued',
+    data: {
+      jobId: job._id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job._id}`,
+      createdAt: job.createdAt
+    }
+  });
+};
+
+// Validate an optional callbackUrl; sends the 400 and returns false when it is unusable
+const checkCallbackUrl = async (res, callbackUrl) => {
+  if (!callbackUrl) return true;
+
+  const problem = typeof callbackUrl === 'string' ? await webhookService.validateUrl(callbackUrl) : 'must be a string';
+  if (problem) {
+    res.status(400).json({
+      success: false,
+      message: `callbackUrl ${problem}`,
+      error: 'INVALID_CALLBACK_URL'
+    });
+    return false;
+  }
+  return true;
+};
+
+// Validate an optional provider/model choice against the model registry;
+// sends the 400 and returns false when it is unusable
+const checkModelSelection = (res, selection) => {
+  const problem = imageGenerationService.validateSelection(selection);
+  if (!problem) return true;
+
+  res.status(400).json({
+    success: false,
+    message: problem,
+    error: 'INVALID_MODEL'
+  });
+  return false;
+};
+
+// Resolve the request's stylePreset, negativePrompt, aspectRatio and outputMimeType;
+// sends the 400/404 and returns null when they are unusable
+const readStyle = async (req, res) => {
+  const { stylePreset, negativePrompt, aspectRatio, outputMimeType } = req.body;
+
+  const problem = validateStyleOptions({ negativePrompt, aspectRatio, outputMimeType });
+  if (problem || (stylePreset !== undefined && typeof stylePreset !== 'string')) {
+    res.status(400).json({
+      success: false,
+      message: problem || 'stylePreset must be a preset name',
+      error: 'VALIDATION_ERROR'
+    });
+    return null;
+  }
+
+  const style = await stylePresetService.resolve({ stylePreset, negativePrompt, aspectRatio, outputMimeType });
+  if (!style) {
+    res.status(404).json({
+      success: false,
+      message: `No style preset named '${stylePreset}'`,
+      error: 'PRESET_NOT_FOUND'
+    });
+  }
+  return style;
+};
+
+// Debit generations from the caller's credit account; sends the 402/429
+// and returns null when the account cannot pay for them
+const chargeGeneration = async (req, res, reason, count = 1) => {
+  try {
+    const account = await creditService.accountFor(req.user.id, req.apiKey ? req.apiKey.id : null);
+    return await creditService.debit(account, GENERATION_COST * count, { reason });
+  } catch (error) {
+    if (!(error instanceof CreditError)) throw error;
+
+    if (error.retryAfterMs) {
+      res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+    }
+    res.status(error.status).json({
+      success: false,
+      message: error.message,
+      error: error.code
+    });
+    return null;
+  }
+};
+
+// Form-data sends every field as a string
+const toNumber = (value) => (typeof value === 'string' && value.trim() !== '' ? Number(value) : value);
+
+// Reference images of a generate request, unchecked: referenceImage and/or
+// referenceImages in JSON, every uploaded file in form-data.
+// Returns { references: [{ data, mimeType }] } or { problem }.
+const readReferences = (req, isJson) => {
+  const references = [];
+
+  if (isJson) {
+    const { referenceImage, referenceImages, mimeType } = req.body;
+    if (referenceImage) {
+      references.push({ data: referenceImage, mimeType });
+    }
+    if (referenceImages !== undefined) {
+      if (!Array.isArray(referenceImages)) {
+        return { problem: 'referenceImages must be an array' };
+      }
+      for (const item of referenceImages) {
+        // Each entry is a base64 string or { referenceImage, mimeType }
+        if (typeof item === 'string') {
+          references.push({ data: item, mimeType: null });
+        } else if (item && typeof item.referenceImage === 'string') {
+          references.push({ data: item.referenceImage, mimeType: item.mimeType || null });
+        } else {
+          return { problem: 'Each referenceImages entry must be a base64 string or { referenceImage, mimeType }' };
+        }
+      }
+    }
+  } else if (req.files && req.files.length > 0) {
+    // Handle file uploads from multer
+    for (const file of req.files) {
+      references.push({ data: file.buffer.toString('base64'), mimeType: file.mimetype || req.body.mimeType });
+    }
+  } else if (req.body.referenceImage) {
+    references.push({ data: req.body.referenceImage, mimeType: req.body.mimeType });
+  }
+
+  return { references };
+};
+
+// Variations, seed and temperature of a generate request.
+// Returns { variations, seed, temperature } or { problem }.
+const parseBatchOptions = (body, referenceCount) => {
+  const variations = body.variations === undefined ? 1 : toNumber(body.variations);
+  if (!Number.isInteger(variations) || variations < 1) {
+    return { problem: 'variations must be a positive integer' };
+  }
+
+  const itemCount = referenceCount * variations;
+  if (itemCount > generationService.maxBatchItems) {
+    return {
+      problem: `A request can generate at most ${generationService.maxBatchItems} items ` +
+        `(reference images x variations); this one asks for ${itemCount}`
+    };
+  }
+
+  const seed = body.seed === undefined || body.seed === null ? null : toNumber(body.seed);
+  if (seed !== null && (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED)) {
+    return { problem: `seed must be an integer between 0 and ${MAX_SEED}` };
+  }
+
+  let temperature = body.temperature === undefined ? null : body.temperature;
+  if (typeof temperature === 'string') {
+    // Form-data sends one value per variation as a comma-separated list
+    const values = temperature.split(',').map(toNumber);
+    temperature = values.length === 1 ? values[0] : values;
+  }
+  if (temperature !== null) {
+    const values = Array.isArray(temperature) ? temperature : [temperature];
+    if (Array.isArray(temperature) && temperature.length !== variations) {
+      return { problem: 'temperature must be a number or a list with one number per variation' };
+    }
+    if (values.some(value => typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > 2)) {
+      return { problem: 'temperature must be between 0 and 2' };
+    }
+  }
+
+  return { variations, seed, temperature };
+};
+
+// Result cache controls of a generate request: force skips the lookup, cacheTtl
+// (seconds, 0 = do not keep) overrides how long the result is kept.
+// Returns { cache: { force, ttlMs } } or { problem }.
+const parseCacheOptions = (body) => {
+  const force = body.force === true || body.force === 'true';
+
+  const ttl = body.cacheTtl === undefined || body.cacheTtl === null ? null : toNumber(body.cacheTtl);
+  const maxTtl = MAX_CACHE_TTL_MS / 1000;
+  if (ttl !== null && (!Number.isInteger(ttl) || ttl < 0 || ttl > maxTtl)) {
+    return { problem: `cacheTtl must be a whole number of seconds between 0 and ${maxTtl}` };
+  }
+
+  return { cache: { force, ttlMs: ttl === null ? null : ttl * 1000 } };
+};
+
+// Report a failed synchronous generation to webhooks, then to the caller
+const sendGenerationError = (res, error, ownerId, callbackUrl) => {
+  generationService.notifySettled(ownerId, {
+    status: 'failed',
+    error: { code: error.code, type: error.type, message: error.message }
+  }, callbackUrl);
+  if (error.retryAfterMs) {
+    res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+  }
+  res.status(error.status).json({
+    success: false,
+    message: error.message,
+    error: error.code,
+    ...(error.safety ? { safety: error.safety } : {})
+  });
+};
 
 /**
- * Generate image using Gemini with promptId and reference image
+ * Generate images using Gemini with promptId and one or more reference images
  * POST /api/gemini/generate
- * Body: { promptId: string, referenceImage: string, mimeType?: string }
+ * Body: { promptId: string, referenceImage?: string, mimeType?: string,
+ *         referenceImages?: Array<string | { referenceImage, mimeType }>, sourceImageId?: string,
+ *         variations?: number, seed?: number, temperature?: number | number[],
+ *         stylePreset?: string, negativePrompt?: string, aspectRatio?: string, outputMimeType?: string,
+ *         force?: boolean, cacheTtl?: number,
+ *         variables?: Object, provider?: string, model?: string, async?: boolean, callbackUrl?: string }
+ * variables fill the prompt's {{placeholders}}; form-data sends them as a JSON string,
+ * takes every uploaded file as a reference image and temperatures as a comma-separated list.
+ * sourceImageId uses a stored (uploaded or generated) image as the reference instead of
+ * raw bytes, and links the results to it; see GET /api/images/:id/lineage.
+ * Each reference image is generated `variations` times (seed + i, or temperature[i]);
+ * every item is stored under one batchId and reported on its own. Responds 207 when some
+ * items failed and with the first item's error when all did.
+ * Responds 202 with a job id instead of waiting when async is requested.
+ * Items already generated with the same prompt text, reference bytes, model and parameters
+ * are served from the result cache (cached: true); force skips the lookup and cacheTtl
+ * (seconds, 0 = do not keep) sets how long this result is kept.
+ * The rendered prompt is checked against the moderation rules: blocked prompts get 422
+ * PROMPT_BLOCKED, flagged ones and unsafe outputs are stored with moderationStatus 'flagged'.
+ * callbackUrl receives a signed webhook when the generation ends.
+ * Costs GENERATION_COST credits per item, refunded for the items that fail or are cached.
  */
 const generateImage = async (req, res) => {
+  const callbackUrl = req.body.callbackUrl || null;
+  const provider = req.body.provider || null;
+  const model = req.body.model || null;
+  let charge = null;
   try {
     // Handle both JSON and form-data
-    let promptId, referenceImage, mimeType;
+    const isJson = Boolean(req.headers['content-type'] && req.headers['content-type'].includes('application/json'));
+    let promptId, variables;
     
-    if (req.headers['content-type'] && req.headers['content-type'].includes('application/json')) {
+    if (isJson) {
       // JSON request
-      ({ promptId, referenceImage, mimeType = 'image/jpeg' } = req.body);
+      ({ promptId, variables } = req.body);
     } else {
       // Form-data request
       promptId = req.body.promptId || req.body.promptid;
-      mimeType = req.body.mimeType || 'image/jpeg';
-      
-      // Handle file upload from multer
-      if (req.files && req.files.length > 0) {
-        const file = req.files[0];
-        referenceImage = file.buffer.toString('base64');
-        mimeType = file.mimetype || mimeType;
-      } else {
-        referenceImage = req.body.referenceImage;
+      try {
+        variables = req.body.variables ? JSON.parse(req.body.variables) : undefined;
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'variables must be a JSON object',
+          error: 'INVALID_VARIABLES'
+        });
       }
     }
 
-    console.log('Request body:', req.body);
-    console.log('Content-Type:', req.headers['content-type']);
-
     // Validate required fields
     if (!promptId) {
       return res.status(400).json({
@@ -42,103 +366,230 @@ const generateImage = async (req, res) => {
       });
     }
 
-    if (!referenceImage) {
+    // A JSON body could carry an object such as { "$ne": null }, which the lookup would read as a query operator
+    if (typeof promptId !== 'string') {
       return res.status(400).json({
         success: false,
-        message: 'referenceImage is required'
+        message: 'promptId must be a string',
+        error: 'VALIDATION_ERROR'
       });
     }
 
-    console.log('Generating image with promptId:', promptId);
+    const { references: candidates, problem: referenceProblem } = readReferences(req, isJson);
+    if (referenceProblem) {
+      return res.status(400).json({
+        success: false,
+        message: referenceProblem,
+        error: 'VALIDATION_ERROR'
+      });
+    }
 
-    // Fetch prompt from database using promptId
-    console.log('Searching for promptId:', promptId);
-    
-    // First, let's check what collections exist
-    const database = getDB();
-    const collections = await database.listCollections().toArray();
-    console.log('Available collections:', collections.map(c => c.name));
-    
-    const existingImages = await readDB('images', { promptId: promptId });
-    console.log('Found images:', existingImages.length);
-    
-    if (existingImages.length === 0) {
-      // Try to get all images to debug
-      const allImages = await readDB('images', {});
-      console.log('Total images in database:', allImages.length);
-      if (allImages.length > 0) {
-        console.log('Sample image:', allImages[0]);
+    // Iterating on a stored image: it is the reference, and the results are linked to it
+    const sourceImageId = req.body.sourceImageId || null;
+    let source = null;
+    if (sourceImageId) {
+      if (candidates.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Send either sourceImageId or reference images, not both',
+          error: 'VALIDATION_ERROR'
+        });
+      }
+
+      // Held and rejected images are not used as references, not even by admins
+      const sourceImage = await imageLineageService.findImage(String(sourceImageId), {
+        ...ownerScope(req.user),
+        ...moderationService.visibleFilter()
+      });
+      const sourceData = sourceImage && await imageLineageService.readBase64(sourceImage);
+      if (!sourceData) {
+        return res.status(404).json({
+          success: false,
+          message: 'No image found with the provided sourceImageId',
+          error: 'SOURCE_IMAGE_NOT_FOUND'
+        });
+      }
+      candidates.push({ data: sourceData, mimeType: sourceImage.mimetype });
+      source = imageLineageService.linkTo(sourceImage);
+    }
+
+    if (candidates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'referenceImage or sourceImageId is required'
+      });
+    }
+
+    const batch = parseBatchOptions(req.body, candidates.length);
+    if (batch.problem) {
+      return res.status(400).json({
+        success: false,
+        message: batch.problem,
+        error: 'VALIDATION_ERROR'
+      });
+    }
+    const itemCount = candidates.length * batch.variations;
+
+    const { cache, problem: cacheProblem } = parseCacheOptions(req.body);
+    if (cacheProblem) {
+      return res.status(400).json({
+        success: false,
+        message: cacheProblem,
+        error: 'VALIDATION_ERROR'
+      });
+    }
+
+    if (!await checkCallbackUrl(res, callbackUrl)) return;
+    if (!checkModelSelection(res, { provider, model, withReference: true })) return;
+    const style = await readStyle(req, res);
+    if (!style) return;
+
+    // Check each reference image by content; its real type is what we send to Gemini
+    const references = [];
+    for (const [index, candidate] of candidates.entries()) {
+      try {
+        references.push(imageInspectionService.inspectBase64(candidate.data, candidate.mimeType));
+      } catch (error) {
+        if (error instanceof ImageValidationError) {
+          let field = candidates.length > 1 ? `referenceImages[${index}]` : 'referenceImage';
+          if (source) field = 'sourceImageId';
+          return res.status(error.status).json({
+            success: false,
+            message: `Invalid ${field}: ${error.message}`,
+            error: error.code
+          });
+        }
+        throw error;
       }
-      
+    }
+
+    console.log('Generating image with promptId:', promptId);
+
+    // Fetch prompt from the prompts collection
+    const found = await findOneDB('prompts', { _id: promptId, ...ownerScope(req.user) });
+    // Generated images record the prompt version they came from
+    const promptData = found && await promptVersionService.ensureVersioned(found);
+
+    if (!promptData) {
       return res.status(404).json({
         success: false,
         message: 'No prompt found with the provided promptId',
-        debug: {
-          searchedFor: promptId,
-          totalImages: allImages.length,
-          collections: collections.map(c => c.name),
-          sampleImage: allImages.length > 0 ? {
-            promptId: allImages[0].promptId,
-            promptName: allImages[0].promptName
-          } : null
-        }
+        error: 'PROMPT_NOT_FOUND'
       });
     }
 
-    // Get the prompt from the first image (they should all have the same prompt)
-    const promptData = existingImages[0];
-    const promptText = promptData.prompt;
     const promptName = promptData.promptName;
 
-    console.log('Found prompt:', promptName);
-    console.log('Prompt text:', promptText);
-
-    // Generate image using image generation service
-    const imageResult = await imageGenerationService.generateImage(
-      promptText,
-      referenceImage,
-      mimeType
-    );
-
-    if (!imageResult.success) {
-      return res.status(500).json({
+    // Fill the template and moderate the result now, so bad variables and blocked
+    // prompts are rejected before anything is charged or queued
+    let rendered;
+    try {
+      rendered = generationService.renderPrompt(promptData, variables);
+      await generationService.moderatePrompt(rendered.text, style, req.user.id);
+    } catch (error) {
+      if (!(error instanceof GenerationError)) throw error;
+      return res.status(error.status).json({
         success: false,
-        message: 'Image generation failed',
-        error: imageResult.error
+        message: error.message,
+        error: error.code
       });
     }
 
-    // Save the generated image to database
-    const imageData = {
-      _id: uuidv4(),
-      promptId: promptId,
-      promptName: promptName,
-      prompt: promptText,
-      base64Image: imageResult.images[0].inlineData.data,
-      originalName: 'ai-generated-image.jpg',
-      size: imageResult.images[0].inlineData.data.length,
-      mimetype: 'image/jpeg',
-      createdAt: new Date().toISOString(),
-      type: 'generated' // Mark as generated image
-    };
+    // Prompt text can hold personal data; log only its size
+    console.log(`Found prompt ${promptId} (${rendered.text.length} characters)`);
+
+    const reason = itemCount > 1 ? `Generate ${itemCount} items from prompt ${promptId}` : `Generate from prompt ${promptId}`;
+    charge = await chargeGeneration(req, res, reason, itemCount);
+    if (!charge) return;
 
-    await writeDB('generated_images', imageData);
+    if (wantsAsync(req)) {
+      // Keep the reference bytes out of the job document; the worker reads them back from storage
+      const storedReferences = [];
+      for (const reference of references) {
+        const stored = await storageService.saveImage(reference.buffer, reference.mimetype, 'jobs');
+        storedReferences.push({ storageKey: stored.storageKey, mimetype: reference.mimetype });
+      }
+      const job = await jobService.enqueue('generate', req.user.id, {
+        promptId: promptId,
+        references: storedReferences,
+        promptVersion: promptData.version,
+        variables: rendered.variables,
+        variations: batch.variations,
+        seed: batch.seed,
+        temperature: batch.temperature,
+        source: source,
+        style: style,
+        cache: cache,
+        provider: provider,
+        model: model,
+        callbackUrl: callbackUrl,
+        chargeId: charge.id
+      });
+      return sendJobAccepted(res, job);
+    }
 
-    console.log('Image saved to database with ID:', imageData._id);
+    const { image, images, base64Image, batchId, items, cached } = await generationService.generateBatch(promptData, references, req.user.id, {
+      variables: rendered.variables,
+      variations: batch.variations,
+      seed: batch.seed,
+      temperature: batch.temperature,
+      source,
+      style,
+      cache,
+      provider,
+      model
+    });
+    await generationService.refundUnusedItems(charge.id, items, 'a generate request');
+    generationService.notifySettled(req.user.id, { status: 'succeeded', imageIds: images.map(item => item._id) }, callbackUrl);
 
-    res.status(200).json({
+    const failed = items.filter(item => item.status === 'failed').length;
+    res.status(failed > 0 ? 207 : 200).json({
       success: true,
-      message: 'Image generated successfully',
+      message: failed > 0
+        ? `${items.length - failed} of ${items.length} items generated successfully`
+        : 'Image generated successfully',
       data: {
-        imageId: imageData._id,
+        imageId: image._id,
         promptId: promptId,
         promptName: promptName,
-        base64Image: imageData.base64Image,
-        createdAt: imageData.createdAt
+        promptVersion: image.promptVersion,
+        templateId: image.templateId,
+        prompt: image.prompt,
+        variables: image.variables,
+        provider: image.provider,
+        model: image.model,
+        seed: image.seed,
+        temperature: image.temperature,
+        sourceImageId: image.sourceImageId,
+        rootImageId: image.rootImageId,
+        stylePreset: image.stylePreset,
+        negativePrompt: image.negativePrompt,
+        aspectRatio: image.aspectRatio,
+        outputMimeType: image.outputMimeType,
+        commentary: image.commentary,
+        safety: image.safety || null,
+        moderationStatus: image.moderationStatus || 'clean',
+        base64Image: base64Image,
+        imageUrl: `/api/images/${image._id}/raw`,
+        variants: imageVariantService.formatVariants(image),
+        // True when every item came from the result cache; see items[].cached
+        cached: cached,
+        // Every stored image, across all items; the fields above describe the first
+        images: images.map(formatGeneratedImage),
+        // Outcome of each reference image x variation; null batchId for a single item
+        batchId: batchId,
+        items: items,
+        createdAt: image.createdAt
       }
     });
 
   } catch (error) {
+    if (charge) {
+      await creditService.refund(charge.id, error instanceof GenerationError ? error.code : 'Generation failed');
+    }
+    if (error instanceof GenerationError) {
+      return sendGenerationError(res, error, req.user.id, callbackUrl);
+    }
     console.error('Error in generateImage controller:', error);
     res.status(500).json({
       success: false,
@@ -151,9 +602,17 @@ const generateImage = async (req, res) => {
 /**
  * Generate image using only text prompt (no reference image)
  * POST /api/gemini/generate-text
- * Body: { prompt: string }
+ * Body: { prompt: string, stylePreset?: string, negativePrompt?: string, aspectRatio?: string,
+ *         outputMimeType?: string, force?: boolean, cacheTtl?: number,
+ *         provider?: string, model?: string, async?: boolean, callbackUrl?: string }
+ * Served from the result cache (cached: true) and moderated like POST /api/gemini/generate.
+ * Costs GENERATION_COST credits, refunded if the generation fails or is cached.
  */
 const generateImageFromText = async (req, res) => {
+  const callbackUrl = req.body.callbackUrl || null;
+  const provider = req.body.provider || null;
+  const model = req.body.model || null;
+  let charge = null;
   try {
     const { prompt } = req.body;
 
@@ -164,49 +623,93 @@ const generateImageFromText = async (req, res) => {
       });
     }
 
-    console.log('Generating image from text prompt:', prompt);
+    if (!await checkCallbackUrl(res, callbackUrl)) return;
+    if (!checkModelSelection(res, { provider, model, withReference: false })) return;
+    const style = await readStyle(req, res);
+    if (!style) return;
 
-    // Generate image using image generation service
-    const imageResult = await imageGenerationService.generateImageFromText(prompt);
+    const { cache, problem: cacheProblem } = parseCacheOptions(req.body);
+    if (cacheProblem) {
+      return res.status(400).json({
+        success: false,
+        message: cacheProblem,
+        error: 'VALIDATION_ERROR'
+      });
+    }
 
-    if (!imageResult.success) {
-      return res.status(500).json({
+    // Refuse blocked prompts before anything is charged or queued
+    try {
+      await generationService.moderatePrompt(prompt, style, req.user.id);
+    } catch (error) {
+      if (!(error instanceof GenerationError)) throw error;
+      return res.status(error.status).json({
         success: false,
-        message: 'Image generation failed',
-        error: imageResult.error
+        message: error.message,
+        error: error.code
       });
     }
 
-    // Save the generated image to database
-    const imageData = {
-      _id: uuidv4(),
-      promptId: null, // No promptId for text-only generation
-      promptName: 'Text Prompt',
-      prompt: prompt,
-      base64Image: imageResult.images[0].inlineData.data,
-      originalName: 'ai-text-generated-image.jpg',
-      size: imageResult.images[0].inlineData.data.length,
-      mimetype: 'image/jpeg',
-      createdAt: new Date().toISOString(),
-      type: 'generated' // Mark as generated image
-    };
+    console.log(`Generating image from a text prompt (${String(prompt).length} characters)`);
 
-    await writeDB('generated_images', imageData);
+    charge = await chargeGeneration(req, res, 'Generate from text');
+    if (!charge) return;
 
-    console.log('Text-generated image saved to database with ID:', imageData._id);
+    if (wantsAsync(req)) {
+      const job = await jobService.enqueue('generate-text', req.user.id, {
+        prompt: prompt,
+        style: style,
+        cache: cache,
+        provider: provider,
+        model: model,
+        callbackUrl: callbackUrl,
+        chargeId: charge.id
+      });
+      return sendJobAccepted(res, job);
+    }
+
+    const { image, images, base64Image, cached } = await generationService.generateFromText(prompt, req.user.id, {
+      provider,
+      model,
+      style,
+      cache
+    });
+    if (cached) {
+      await creditService.refund(charge.id, 'Served from cache');
+    }
+    generationService.notifySettled(req.user.id, { status: 'succeeded', imageIds: images.map(item => item._id) }, callbackUrl);
 
     res.status(200).json({
       success: true,
       message: 'Image generated successfully from text',
       data: {
-        imageId: imageData._id,
+        imageId: image._id,
         prompt: prompt,
-        base64Image: imageData.base64Image,
-        createdAt: imageData.createdAt
+        provider: image.provider,
+        model: image.model,
+        stylePreset: image.stylePreset,
+        negativePrompt: image.negativePrompt,
+        aspectRatio: image.aspectRatio,
+        outputMimeType: image.outputMimeType,
+        commentary: image.commentary,
+        safety: image.safety || null,
+        moderationStatus: image.moderationStatus || 'clean',
+        base64Image: base64Image,
+        imageUrl: `/api/images/${image._id}/raw`,
+        variants: imageVariantService.formatVariants(image),
+        cached: cached,
+        // Every image the model returned; the fields above describe the first
+        images: images.map(formatGeneratedImage),
+        createdAt: image.createdAt
       }
     });
 
   } catch (error) {
+    if (charge) {
+      await creditService.refund(charge.id, error instanceof GenerationError ? error.code : 'Generation failed');
+    }
+    if (error instanceof GenerationError) {
+      return sendGenerationError(res, error, req.user.id, callbackUrl);
+    }
     console.error('Error in generateImageFromText controller:', error);
     res.status(500).json({
       success: false,
@@ -217,89 +720,92 @@ const generateImageFromText = async (req, res) => {
 };
 
 /**
- * Test Gemini API connection
+ * Test an image provider's connection (the default provider unless ?provider= names one)
  * GET /api/gemini/test
  */
 const testConnection = async (req, res) => {
   try {
-    const isConnected = await imageGenerationService.testConnection();
+    const provider = req.query.provider || null;
+    if (!checkModelSelection(res, { provider })) return;
+
+    const health = await imageGenerationService.healthCheck(provider);
     
-    if (isConnected) {
+    if (health.success) {
       res.status(200).json({
         success: true,
-        message: 'Gemini API connection successful'
+        message: `${health.provider} provider connection successful`,
+        data: health
       });
     } else {
-      res.status(500).json({
+      res.status(503).json({
         success: false,
-        message: 'Gemini API connection failed'
+        message: `${health.provider} provider connection failed`,
+        error: health.error
       });
     }
   } catch (error) {
-    console.error('Error testing Gemini connection:', error);
+    console.error('Error testing provider connection:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to test Gemini connection',
+      message: 'Failed to test provider connection',
       error: error.message
     });
   }
 };
 
 /**
- * Get all prompts
- * GET /api/gemini/prompts
+ * List the models in the registry with their capabilities and availability
+ * GET /api/gemini/models
  */
-const getPrompts = async (req, res) => {
+const getModels = async (req, res) => {
   try {
-    // Get all unique prompts from the images collection
-    const images = await readDB('images', {});
-    
-    // Extract unique prompts
-    const uniquePrompts = [];
-    const seenPrompts = new Set();
-    
-    images.forEach(img => {
-      if (img.promptId && !seenPrompts.has(img.promptId)) {
-        uniquePrompts.push({
-          id: img.promptId,
-          promptName: img.promptName,
-          prompt: img.prompt,
-          createdAt: img.createdAt
-        });
-        seenPrompts.add(img.promptId);
-      }
-    });
+    const models = await imageGenerationService.listModels();
 
     res.status(200).json({
       success: true,
-      message: 'Prompts retrieved successfully',
-      data: uniquePrompts
+      message: 'Models retrieved successfully',
+      data: models,
+      count: models.length,
+      defaultProvider: imageGenerationService.defaultProvider
     });
   } catch (error) {
-    console.error('Error fetching prompts:', error);
+    console.error('Error listing models:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch prompts',
-      error: error.message
+      message: 'Failed to list models',
+      error: 'RETRIEVE_ERROR'
     });
   }
 };
 
 /**
- * Get all generated images
+ * Get generated images, one page at a time. Images held for moderation or rejected are left out.
  * GET /api/gemini/generated-images
+ * Query: limit, cursor, sort, fields, promptId, promptVersion, batchId, mimetype, from, to
  */
 const getGeneratedImages = async (req, res) => {
   try {
-    const generatedImages = await readDB('generated_images', {});
+    const listQuery = parseListQuery(req.query, GENERATED_IMAGE_FIELDS);
+    listQuery.filter = { ...listQuery.filter, ...ownerScope(req.user), ...moderationService.visibleFilter() };
+    const { data, total, nextCursor } = await findPage('generated_images', listQuery, formatGeneratedImage);
     
     res.status(200).json({
       success: true,
       message: 'Generated images retrieved successfully',
-      data: generatedImages,
-      count: generatedImages.length
+      data: data,
+      count: data.length,
+      total: total,
+      nextCursor: nextCursor
     });
   } catch (error) {
+    if (error.code === 'INVALID_QUERY') {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        error: error.code
+      });
+    }
+
     console.error('Error fetching generated images:', error);
     res.status(500).json({
       success: false,
@@ -309,6 +815,34 @@ const getGeneratedImages = async (req, res) => {
   }
 };
 
+/**
+ * Drop the caller's cached generation results, so the next identical request generates again
+ * DELETE /api/gemini/cache
+ * Query: promptId (only that prompt's results)
+ */
+const clearCache = async (req, res) => {
+  try {
+    const filter = { ...ownerScope(req.user) };
+    if (req.query.promptId) {
+      filter.promptId = String(req.query.promptId);
+    }
+    const cleared = await generationCacheService.clear(filter);
+
+    res.status(200).json({
+      success: true,
+      message: 'Generation cache cleared',
+      data: { cleared: cleared }
+    });
+  } catch (error) {
+    console.error('Error clearing generation cache:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to clear generation cache',
+      error: 'DELETE_ERROR'
+    });
+  }
+};
+
 /**
  * Debug endpoint to test the complete flow
  * GET /api/gemini/debug
@@ -322,17 +856,19 @@ const debugFlow = async (req, res) => {
     const collections = await database.listCollections().toArray();
     console.log('📊 Available collections:', collections.map(c => c.name));
     
-    // Test prompts collection
-    const allImages = await readDB('images', {});
-    console.log('📊 Total images in database:', allImages.length);
-    
-    // Test generated images collection
-    const generatedImages = await readDB('generated_images', {});
-    console.log('📊 Total generated images:', generatedImages.length);
+    // Counts and a single sample, scoped like every other read, instead of
+    // loading whole collections
+    const scope = ownerScope(req.user);
+    const [totalImages, totalGeneratedImages, [sampleImage]] = await Promise.all([
+      countDB('images', scope),
+      countDB('generated_images', scope),
+      findManyDB('images', scope, { projection: { promptId: 1, promptName: 1, prompt: 1 }, limit: 1 })
+    ]);
+    console.log(`📊 Images: ${totalImages}, generated images: ${totalGeneratedImages}`);
     
     // Test Gemini connection
-    const geminiTest = await imageGenerationService.testConnection();
-    console.log('📊 Gemini connection test:', geminiTest);
+    const geminiTest = await imageGenerationService.healthCheck('gemini');
+    console.log('📊 Gemini connection test:', geminiTest.success ? 'ok' : 'failed');
     
     res.status(200).json({
       success: true,
@@ -340,15 +876,19 @@ const debugFlow = async (req, res) => {
       debug: {
         database: {
           collections: collections.map(c => c.name),
-          totalImages: allImages.length,
-          totalGeneratedImages: generatedImages.length,
-          sampleImage: allImages.length > 0 ? {
-            promptId: allImages[0].promptId,
-            promptName: allImages[0].promptName,
-            prompt: allImages[0].prompt?.substring(0, 100) + '...'
+          totalImages,
+          totalGeneratedImages,
+          sampleImage: sampleImage ? {
+            promptId: sampleImage.promptId,
+            promptName: sampleImage.promptName,
+            prompt: sampleImage.prompt?.substring(0, 100) + '...'
           } : null
         },
         gemini: geminiTest,
+        providers: {
+          default: imageGenerationService.defaultProvider,
+          available: imageGenerationService.providerNames
+        },
         environment: {
           hasGeminiKey: !!process.env.GEMINI_API_KEY,
           nodeEnv: process.env.NODE_ENV
@@ -369,7 +909,8 @@ export {
   generateImage,
   generateImageFromText,
   testConnection,
-  getPrompts,
+  getModels,
   getGeneratedImages,
+  clearCache,
   debugFlow
 };
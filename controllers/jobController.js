@@ -0,0 +1,257 @@
+import jobService, { JOB_STATUSES } from '../services/jobService.js';
+import jobEventService, { FINAL_JOB_EVENTS } from '../services/jobEventService.js';
+import { ownerScope } from '../utils/ownership.js';
+
+// Shape a job document for API responses (input stays internal)
+const formatJob = (job) => ({
+  id: job._id,
+  type: job.type,
+  status: job.status,
+  ownerId: job.ownerId,
+  result: job.result && job.result.imageId
+    ? { ...job.result, imageUrl: `/api/images/${job.result.imageId}/raw` }
+    : job.result,
+  error: job.error,
+  attempts: job.attempts,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+  cancelledAt: job.cancelledAt || null
+});
+
+const FINAL_JOB_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+// Keeps proxies from closing an idle stream
+const HEARTBEAT_MS = 15000;
+// Live events only reach streams in the process running the job; this catches up on the rest
+const CATCH_UP_MS = 2000;
+// How long a stream for a finished job waits for its final event to be recorded
+const FINAL_EVENT_GRACE_MS = 5000;
+
+/**
+ * List the current user's jobs (all jobs for admins), newest first
+ * GET /api/jobs
+ * Query: { status?: string, limit?: number }
+ */
+const getJobs = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+
+    if (status !== undefined && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${JOB_STATUSES.join(', ')}`,
+        error: 'INVALID_QUERY'
+      });
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'limit must be an integer between 1 and 100',
+        error: 'INVALID_QUERY'
+      });
+    }
+
+    const jobs = await jobService.list(ownerScope(req.user), { status, limit });
+
+    res.status(200).json({
+      success: true,
+      message: 'Jobs retrieved successfully',
+      data: jobs.map(formatJob),
+      count: jobs.length
+    });
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch jobs',
+      error: 'RETRIEVE_ERROR'
+    });
+  }
+};
+
+/**
+ * Get a job's status and, once it has finished, its result or error
+ * GET /api/jobs/:id
+ */
+const getJobById = async (req, res) => {
+  try {
+    const job = await jobService.get(req.params.id, ownerScope(req.user));
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+        error: 'NOT_FOUND'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Job retrieved successfully',
+      data: formatJob(job)
+    });
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch job',
+      error: 'RETRIEVE_ERROR'
+    });
+  }
+};
+
+/**
+ * Cancel a queued or running job
+ * POST /api/jobs/:id/cancel
+ */
+const cancelJob = async (req, res) => {
+  try {
+    const scope = ownerScope(req.user);
+    const job = await jobService.cancel(req.params.id, scope);
+
+    if (!job) {
+      const existing = await jobService.get(req.params.id, scope);
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Job not found',
+          error: 'NOT_FOUND'
+        });
+      }
+      return res.status(409).json({
+        success: false,
+        message: `Job has already ${existing.status === 'cancelled' ? 'been cancelled' : existing.status}`,
+        error: 'JOB_FINISHED'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Job cancelled successfully',
+      data: formatJob(job)
+    });
+  } catch (error) {
+    console.error('Error cancelling job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel job',
+      error: 'CANCEL_ERROR'
+    });
+  }
+};
+
+/**
+ * Stream a job's progress as Server-Sent Events: accepted, started,
+ * model_selected, provider_call_started, text (partial model output),
+ * image_stored, then completed, failed or cancelled. Event ids are per-job
+ * sequence numbers, so a reconnecting client resumes with Last-Event-ID.
+ * GET /api/jobs/:id/events
+ */
+const streamJobEvents = async (req, res) => {
+  let job;
+  try {
+    job = await jobService.get(req.params.id, ownerScope(req.user));
+  } catch (error) {
+    console.error('Error fetching job for event stream:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch job',
+      error: 'RETRIEVE_ERROR'
+    });
+  }
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: 'Job not found',
+      error: 'NOT_FOUND'
+    });
+  }
+
+  // EventSource sends Last-Event-ID on reconnect; ?lastEventId= covers clients that cannot set headers
+  const lastEventId = parseInt(req.headers['last-event-id'] || req.query.lastEventId, 10);
+  let lastSeq = Number.isInteger(lastEventId) && lastEventId > 0 ? lastEventId : 0;
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    // no-transform also keeps the compression middleware from buffering events
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  let closed = false;
+  let replaying = true;
+  const buffered = [];
+  let heartbeat = null;
+  let catchUp = null;
+  let graceTimer = null;
+  let unsubscribe = () => {};
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    clearInterval(catchUp);
+    clearTimeout(graceTimer);
+    unsubscribe();
+    res.end();
+  };
+
+  const send = (entry) => {
+    if (closed || entry.seq <= lastSeq) return;
+    lastSeq = entry.seq;
+    res.write(`id: ${entry.seq}\nevent: ${entry.event}\ndata: ${JSON.stringify(entry.data)}\n\n`);
+    if (FINAL_JOB_EVENTS.includes(entry.event)) {
+      close();
+    }
+  };
+
+  req.on('close', close);
+
+  // Subscribe before replaying so nothing published in between is lost
+  unsubscribe = jobEventService.subscribe(job._id, (entry) => {
+    if (replaying) {
+      buffered.push(entry);
+    } else {
+      send(entry);
+    }
+  });
+
+  try {
+    const history = await jobEventService.since(job._id, lastSeq);
+    history.forEach(send);
+    replaying = false;
+    buffered.forEach(send);
+    if (closed) return;
+
+    // A finished job may still be recording its final event; older jobs never had one
+    const current = await jobService.get(job._id, {});
+    if (closed) return;
+    if (current && FINAL_JOB_STATUSES.includes(current.status)) {
+      graceTimer = setTimeout(close, FINAL_EVENT_GRACE_MS);
+    }
+
+    heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+    catchUp = setInterval(() => {
+      jobEventService.since(job._id, lastSeq)
+        .then(entries => entries.forEach(send))
+        .catch(error => console.error('Error catching up on job events:', error));
+    }, CATCH_UP_MS);
+  } catch (error) {
+    console.error('Error streaming job events:', error);
+    close();
+  }
+};
+
+export {
+  getJobs,
+  getJobById,
+  cancelJob,
+  streamJobEvents
+};
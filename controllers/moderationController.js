@@ -0,0 +1,166 @@
+import moderationService from '../services/moderationService.js';
+
+// Shape a moderated image for API responses
+const formatItem = (image) => ({
+  id: image._id,
+  kind: image.kind,
+  ownerId: image.ownerId,
+  promptId: image.promptId || null,
+  prompt: image.prompt || null,
+  imageUrl: `/api/images/${image._id}/raw`,
+  mimetype: image.mimetype,
+  safety: image.safety || null,
+  moderationStatus: image.moderationStatus,
+  reasons: image.moderation.reasons,
+  flaggedAt: image.moderation.flaggedAt,
+  reviewedBy: image.moderation.reviewedBy,
+  reviewedAt: image.moderation.reviewedAt,
+  note: image.moderation.note,
+  createdAt: image.createdAt
+});
+
+// Shape a refused request for API responses
+const formatBlock = (block) => ({
+  id: block._id,
+  ownerId: block.ownerId,
+  prompt: block.prompt,
+  origin: block.origin,
+  reasons: block.reasons,
+  safety: block.safety,
+  createdAt: block.createdAt
+});
+
+// Parse ?limit=, sending the 400 and returning null when it is out of range
+const parseLimit = (req, res) => {
+  const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+  if (Number.isInteger(limit) && limit >= 1 && limit <= 100) return limit;
+
+  res.status(400).json({
+    success: false,
+    message: 'limit must be an integer between 1 and 100',
+    error: 'INVALID_QUERY'
+  });
+  return null;
+};
+
+/**
+ * Images held for review, oldest first (admin)
+ * GET /api/moderation/queue
+ * Query: { limit?: number }
+ */
+const getQueue = async (req, res) => {
+  try {
+    const limit = parseLimit(req, res);
+    if (limit === null) return;
+
+    const items = await moderationService.queue({ limit });
+
+    res.status(200).json({
+      success: true,
+      message: 'Moderation queue retrieved successfully',
+      data: items.map(formatItem),
+      count: items.length
+    });
+  } catch (error) {
+    console.error('Error fetching moderation queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch moderation queue',
+      error: 'RETRIEVE_ERROR'
+    });
+  }
+};
+
+// Record an admin's decision on a moderated image
+const reviewItem = (decision) => async (req, res) => {
+  try {
+    const { note } = req.body;
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'note must be a string',
+        error: 'VALIDATION_ERROR'
+      });
+    }
+
+    const item = await moderationService.review(req.params.id, decision, { reviewedBy: req.user.id, note: note || null });
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'No moderated image found with this ID',
+        error: 'NOT_FOUND'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Image ${decision}`,
+      data: formatItem(item)
+    });
+  } catch (error) {
+    console.error(`Error recording moderation decision (${decision}):`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record moderation decision',
+      error: 'UPDATE_ERROR'
+    });
+  }
+};
+
+/**
+ * Approve a held image, so it shows in listings again (admin)
+ * POST /api/moderation/items/:id/approve
+ * Body: { note?: string }
+ */
+const approveItem = reviewItem('approved');
+
+/**
+ * Reject a held image; it stays out of listings and is no longer served from the cache (admin)
+ * POST /api/moderation/items/:id/reject
+ * Body: { note?: string }
+ */
+const rejectItem = reviewItem('rejected');
+
+/**
+ * Requests refused by the moderation rules or the provider, newest first (admin)
+ * GET /api/moderation/blocks
+ * Query: { origin?: 'rules' | 'provider', limit?: number }
+ */
+const getBlocks = async (req, res) => {
+  try {
+    const { origin } = req.query;
+    if (origin !== undefined && !['rules', 'provider'].includes(origin)) {
+      return res.status(400).json({
+        success: false,
+        message: 'origin must be one of: rules, provider',
+        error: 'INVALID_QUERY'
+      });
+    }
+
+    const limit = parseLimit(req, res);
+    if (limit === null) return;
+
+    const blocks = await moderationService.listBlocks({ origin, limit });
+
+    res.status(200).json({
+      success: true,
+      message: 'Blocked requests retrieved successfully',
+      data: blocks.map(formatBlock),
+      count: blocks.length
+    });
+  } catch (error) {
+    console.error('Error fetching blocked requests:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch blocked requests',
+      error: 'RETRIEVE_ERROR'
+    });
+  }
+};
+
+export {
+  getQueue,
+  approveItem,
+  rejectItem,
+  getBlocks
+};
@@ -0,0 +1,467 @@
+import { readDB, writeDB, findOneDB, deleteDB, countDB } from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import { ownerScope } from '../utils/ownership.js';
+import { parseVariables, TemplateError } from '../utils/promptTemplate.js';
+import promptVersionService from '../services/promptVersionService.js';
+import moderationService from '../services/moderationService.js';
+
+// Shape a prompt document for API responses
+const formatPrompt = (prompt) => ({
+  id: prompt._id,
+  promptName: prompt.promptName,
+  prompt: prompt.prompt,
+  variables: prompt.variables || {},
+  // Prompts saved before versioning get version 1 on their first edit
+  version: prompt.version || 1,
+  ownerId: prompt.ownerId,
+  createdAt: prompt.createdAt,
+  updatedAt: prompt.updatedAt
+});
+
+// Shape a prompt version for API responses; the diff is only included for single lookups
+const formatVersion = (version, withDiff = false) => ({
+  version: version.version,
+  promptName: version.promptName,
+  prompt: version.prompt,
+  variables: version.variables,
+  authorId: version.authorId,
+  rolledBackFrom: version.rolledBackFrom,
+  ...(version.imageCount !== undefined ? { imageCount: version.imageCount } : {}),
+  ...(withDiff ? { diff: version.diff } : {}),
+  createdAt: version.createdAt
+});
+
+// Parse :version, sending the 400 and returning null when it is not a version number
+const parseVersionParam = (req, res) => {
+  const version = Number(req.params.version);
+  if (Number.isInteger(version) && version >= 1) return version;
+
+  res.status(400).json({
+    success: false,
+    message: 'version must be a positive integer',
+    error: 'VALIDATION_ERROR'
+  });
+  return null;
+};
+
+// promptName and prompt must be text: anything else would reach the template parser
+const isText = (value) => typeof value === 'string' && value.trim() !== '';
+
+// Run the moderation rules over a prompt about to be saved, so blocked text is
+// never stored or versioned; sends the 422 and returns false when it is blocked
+const checkModeration = async (req, res, { promptName, prompt }) => {
+  const { action, reasons } = moderationService.checkPrompt(`${promptName}\n${prompt}`);
+  if (action !== 'block') return true;
+
+  try {
+    await moderationService.recordBlock({ ownerId: req.user.id, prompt, origin: 'rules', reasons });
+  } catch (error) {
+    console.error('Failed to log blocked prompt:', error);
+  }
+  res.status(422).json({
+    success: false,
+    message: `Prompt blocked by moderation: ${reasons.join('; ')}`,
+    error: 'PROMPT_BLOCKED'
+  });
+  return false;
+};
+
+const sendTemplateError = (res, error) => {
+  res.status(error.status).json({
+    success: false,
+    message: error.message,
+    error: error.code
+  });
+};
+
+/**
+ * Create a prompt. The text may use {{name}} placeholders, each declared in
+ * variables as { type, default?, allowed?, description? }.
+ * POST /api/prompts
+ * Body: { promptName: string, prompt: string, variables?: Object }
+ */
+const createPrompt = async (req, res) => {
+  try {
+    const { promptName, prompt } = req.body;
+
+    if (!isText(promptName) || !isText(prompt)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: promptName and prompt are required and must be non-empty strings',
+        error: 'VALIDATION_ERROR'
+      });
+    }
+
+    if (!await checkModeration(req, res, { promptName, prompt })) return;
+
+    let variables;
+    try {
+      variables = parseVariables(prompt, req.body.variables);
+    } catch (error) {
+      if (error instanceof TemplateError) return sendTemplateError(res, error);
+      throw error;
+    }
+
+    const promptData = {
+      _id: uuidv4(),
+      promptName: promptName,
+      prompt: prompt,
+      variables: variables,
+      version: 1,
+      ownerId: req.user.id,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    await writeDB('prompts', promptData);
+    await promptVersionService.recordInitial(promptData, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Prompt created successfully',
+      data: formatPrompt(promptData)
+    });
+  } catch (error) {
+    console.error('Error creating prompt:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create prompt',
+      error: 'CREATE_ERROR'
+    });
+  }
+};
+
+/**
+ * Get all prompts
+ * GET /api/prompts
+ */
+const getPrompts = async (req, res) => {
+  try {
+    const prompts = await readDB('prompts', ownerScope(req.user));
+
+    res.status(200).json({
+      success: true,
+      message: 'Prompts retrieved successfully',
+      data: prompts.map(formatPrompt),
+      count: prompts.length
+    });
+  } catch (error) {
+    console.error('Error fetching prompts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch prompts',
+      error: 'RETRIEVE_ERROR'
+    });
+  }
+};
+
+/**
+ * Get a prompt by ID
+ * GET /api/prompts/:id
+ */
+const getPromptById = async (req, res) => {
+  try {
+    const prompt = await findOneDB('prompts', { _id: req.params.id, ...ownerScope(req.user) });
+
+    if (!prompt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prompt not found',
+        error: 'NOT_FOUND'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Prompt retrieved successfully',
+      data: formatPrompt(prompt)
+    });
+  } catch (error) {
+    console.error('Error fetching prompt:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch prompt',
+      error: 'RETRIEVE_ERROR'
+    });
+  }
+};
+
+/**
+ * Update a prompt, recording the result as a new version. Changing the text
+ * or the variables checks them against each other again.
+ * PUT /api/prompts/:id
+ * Body: { promptName?: string, prompt?: string, variables?: Object }
+ */
+const updatePrompt = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { promptName, prompt, variables } = req.body;
+
+    if (promptName === undefined && prompt === undefined && variables === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to update: provide promptName, prompt and/or variables',
+        error: 'VALIDATION_ERROR'
+      });
+    }
+
+    if ((promptName !== undefined && !isText(promptName)) || (prompt !== undefined && !isText(prompt))) {
+      return res.status(400).json({
+        success: false,
+        message: 'promptName and prompt must be non-empty strings',
+        error: 'VALIDATION_ERROR'
+      });
+    }
+
+    const existing = await findOneDB('prompts', { _id: id, ...ownerScope(req.user) });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prompt not found',
+        error: 'NOT_FOUND'
+      });
+    }
+
+    if ((promptName !== undefined || prompt !== undefined) && !await checkModeration(req, res, {
+      promptName: promptName !== undefined ? promptName : existing.promptName,
+      prompt: prompt !== undefined ? prompt : existing.prompt
+    })) return;
+
+    const updateData = {};
+    if (promptName !== undefined) updateData.promptName = promptName;
+    if (prompt !== undefined) updateData.prompt = prompt;
+
+    if (prompt !== undefined || variables !== undefined) {
+      try {
+        updateData.variables = parseVariables(
+          prompt !== undefined ? prompt : existing.prompt,
+          variables !== undefined ? variables : existing.variables
+        );
+      } catch (error) {
+        if (error instanceof TemplateError) return sendTemplateError(res, error);
+        throw error;
+      }
+    }
+
+    const updated = await promptVersionService.update(existing, updateData, { authorId: req.user.id });
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prompt not found',
+        error: 'NOT_FOUND'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Prompt updated successfully',
+      data: formatPrompt(updated)
+    });
+  } catch (error) {
+    console.error('Error updating prompt:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update prompt',
+      error: 'UPDATE_ERROR'
+    });
+  }
+};
+
+/**
+ * Delete a prompt
+ * DELETE /api/prompts/:id
+ * Prompts that still have uploaded images are kept to avoid orphaning them.
+ */
+const deletePrompt = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const prompt = await findOneDB('prompts', { _id: id, ...ownerScope(req.user) });
+
+    if (!prompt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prompt not found',
+        error: 'NOT_FOUND'
+      });
+    }
+
+    // Generated images point at the prompt's versions, so those must stay too
+    const imageCount = await countDB('images', { promptId: id });
+    const generatedCount = await countDB('generated_images', { promptId: id });
+    if (imageCount + generatedCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Prompt is still used by ${imageCount} uploaded and ${generatedCount} generated image(s)`,
+        error: 'PROMPT_IN_USE'
+      });
+    }
+
+    await deleteDB('prompts', { _id: id });
+    await promptVersionService.deleteAll(id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Prompt deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting prompt:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete prompt',
+      error: 'DELETE_ERROR'
+    });
+  }
+};
+
+/**
+ * List a prompt's versions, newest first, with how many images each produced
+ * GET /api/prompts/:id/versions
+ */
+const getPromptVersions = async (req, res) => {
+  try {
+    const prompt = await findOneDB('prompts', { _id: req.params.id, ...ownerScope(req.user) });
+
+    if (!prompt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prompt not found',
+        error: 'NOT_FOUND'
+      });
+    }
+
+    await promptVersionService.ensureVersioned(prompt);
+    const versions = await promptVersionService.list(prompt._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Prompt versions retrieved successfully',
+      data: versions.map(version => formatVersion(version)),
+      count: versions.length
+    });
+  } catch (error) {
+    console.error('Error fetching prompt versions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch prompt versions',
+      error: 'RETRIEVE_ERROR'
+    });
+  }
+};
+
+/**
+ * Get one version of a prompt with its diff from the version before
+ * GET /api/prompts/:id/versions/:version
+ */
+const getPromptVersion = async (req, res) => {
+  try {
+    const versionNumber = parseVersionParam(req, res);
+    if (versionNumber === null) return;
+
+    const prompt = await findOneDB('prompts', { _id: req.params.id, ...ownerScope(req.user) });
+
+    if (!prompt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prompt not found',
+        error: 'NOT_FOUND'
+      });
+    }
+
+    await promptVersionService.ensureVersioned(prompt);
+    const version = await promptVersionService.get(prompt._id, versionNumber);
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prompt version not found',
+        error: 'NOT_FOUND'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Prompt version retrieved successfully',
+      data: formatVersion(version, true)
+    });
+  } catch (error) {
+    console.error('Error fetching prompt version:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch prompt version',
+      error: 'RETRIEVE_ERROR'
+    });
+  }
+};
+
+/**
+ * Make an earlier version current again. History is kept: the restored
+ * content is saved as a new version.
+ * POST /api/prompts/:id/versions/:version/rollback
+ */
+const rollbackPrompt = async (req, res) => {
+  try {
+    const versionNumber = parseVersionParam(req, res);
+    if (versionNumber === null) return;
+
+    const prompt = await findOneDB('prompts', { _id: req.params.id, ...ownerScope(req.user) });
+
+    if (!prompt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prompt not found',
+        error: 'NOT_FOUND'
+      });
+    }
+
+    const current = await promptVersionService.ensureVersioned(prompt);
+    const version = await promptVersionService.get(prompt._id, versionNumber);
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prompt version not found',
+        error: 'NOT_FOUND'
+      });
+    }
+
+    if (version.version === current.version) {
+      return res.status(409).json({
+        success: false,
+        message: `Version ${version.version} is already the current version`,
+        error: 'ALREADY_CURRENT'
+      });
+    }
+
+    // The version may predate the current rules
+    if (!await checkModeration(req, res, version)) return;
+
+    const updated = await promptVersionService.rollback(current, version, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: `Prompt rolled back to version ${version.version}`,
+      data: formatPrompt(updated)
+    });
+  } catch (error) {
+    console.error('Error rolling back prompt:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to roll back prompt',
+      error: 'UPDATE_ERROR'
+    });
+  }
+};
+
+export {
+  createPrompt,
+  getPrompts,
+  getPromptById,
+  updatePrompt,
+  deletePrompt,
+  getPromptVersions,
+  getPromptVersion,
+  rollbackPrompt
+};
@@ -0,0 +1,201 @@
+import stylePresetService, { ASPECT_RATIOS, OUTPUT_MIME_TYPES } from '../services/stylePresetService.js';
+
+// Fields an update may change; the name is the preset's identity
+const UPDATABLE_FIELDS = ['description', 'instruction', 'negativePrompt', 'aspectRatio', 'outputMimeType'];
+
+// Shape a style preset for API responses
+const formatPreset = (preset) => ({
+  id: preset._id,
+  name: preset.name,
+  description: preset.description,
+  instruction: preset.instruction,
+  negativePrompt: preset.negativePrompt,
+  aspectRatio: preset.aspectRatio,
+  outputMimeType: preset.outputMimeType,
+  createdBy: preset.createdBy,
+  createdAt: preset.createdAt,
+  updatedAt: preset.updatedAt
+});
+
+const sendPresetNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Style preset not found',
+  error: 'NOT_FOUND'
+});
+
+/**
+ * List the style presets
+ * GET /api/presets
+ */
+const getPresets = async (req, res) => {
+  try {
+    const presets = await stylePresetService.list();
+
+    res.status(200).json({
+      success: true,
+      message: 'Style presets retrieved successfully',
+      data: presets.map(formatPreset),
+      count: presets.length,
+      aspectRatios: ASPECT_RATIOS,
+      outputMimeTypes: OUTPUT_MIME_TYPES
+    });
+  } catch (error) {
+    console.error('Error fetching style presets:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch style presets',
+      error: 'RETRIEVE_ERROR'
+    });
+  }
+};
+
+/**
+ * Get one style preset
+ * GET /api/presets/:name
+ */
+const getPreset = async (req, res) => {
+  try {
+    const preset = await stylePresetService.get(req.params.name);
+    if (!preset) {
+      return sendPresetNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Style preset retrieved successfully',
+      data: formatPreset(preset)
+    });
+  } catch (error) {
+    console.error('Error fetching style preset:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch style preset',
+      error: 'RETRIEVE_ERROR'
+    });
+  }
+};
+
+/**
+ * Create a style preset (admin)
+ * POST /api/presets
+ * Body: { name: string, instruction: string, description?: string, negativePrompt?: string,
+ *         aspectRatio?: string, outputMimeType?: string }
+ */
+const createPreset = async (req, res) => {
+  try {
+    const { name, instruction, description, negativePrompt, aspectRatio, outputMimeType } = req.body;
+    const fields = { name, instruction, description, negativePrompt, aspectRatio, outputMimeType };
+
+    const problem = stylePresetService.validate(fields);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem,
+        error: 'VALIDATION_ERROR'
+      });
+    }
+
+    const preset = await stylePresetService.create(fields, req.user.id);
+    if (!preset) {
+      return res.status(409).json({
+        success: false,
+        message: `A style preset named '${name}' already exists`,
+        error: 'PRESET_EXISTS'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Style preset created successfully',
+      data: formatPreset(preset)
+    });
+  } catch (error) {
+    console.error('Error creating style preset:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create style preset',
+      error: 'CREATE_ERROR'
+    });
+  }
+};
+
+/**
+ * Update a style preset (admin). Send null to clear an optional field.
+ * PUT /api/presets/:name
+ * Body: any of { description, instruction, negativePrompt, aspectRatio, outputMimeType }
+ */
+const updatePreset = async (req, res) => {
+  try {
+    const changes = Object.fromEntries(
+      UPDATABLE_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+    );
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Send at least one of: ${UPDATABLE_FIELDS.join(', ')}`,
+        error: 'VALIDATION_ERROR'
+      });
+    }
+
+    const problem = stylePresetService.validate(changes, true);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem,
+        error: 'VALIDATION_ERROR'
+      });
+    }
+
+    const preset = await stylePresetService.update(req.params.name, changes);
+    if (!preset) {
+      return sendPresetNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Style preset updated successfully',
+      data: formatPreset(preset)
+    });
+  } catch (error) {
+    console.error('Error updating style preset:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update style preset',
+      error: 'UPDATE_ERROR'
+    });
+  }
+};
+
+/**
+ * Delete a style preset (admin). Images made with it keep its values.
+ * DELETE /api/presets/:name
+ */
+const deletePreset = async (req, res) => {
+  try {
+    const deleted = await stylePresetService.delete(req.params.name);
+    if (!deleted) {
+      return sendPresetNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Style preset deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting style preset:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete style preset',
+      error: 'DELETE_ERROR'
+    });
+  }
+};
+
+export {
+  getPresets,
+  getPreset,
+  createPreset,
+  updatePreset,
+  deletePreset
+};
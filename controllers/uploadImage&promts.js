@@ -1,85 +1,143 @@
 import multer from 'multer';
-import path from 'path';
-import fs from 'fs';
+import { Readable } from 'stream';
 import { v4 as uuidv4 } from 'uuid';
-import { connectDB, writeDB, readDB, updateDB, deleteDB, getDB } from '../config/database.js';
+import { connectDB, writeDB, findManyDB, findOneDB, countDB, deleteDB } from '../config/database.js';
+import storageService from '../services/storageService.js';
+import imageVariantService from '../services/imageVariantService.js';
+import imageInspectionService, { ImageValidationError } from '../services/imageInspectionService.js';
+import duplicateDetectionService from '../services/duplicateDetectionService.js';
+import imageLineageService from '../services/imageLineageService.js';
+import moderationService from '../services/moderationService.js';
+import authService, { AuthError } from '../services/authService.js';
+import { parseListQuery, findPage } from '../utils/listQuery.js';
+import { ownerScope, canAccess } from '../utils/ownership.js';
 
 // Initialize database connection
 connectDB();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadDir = 'uploads/ai-images';
-    // Create directory if it doesn't exist
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    // Generate unique filename with timestamp
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const fileExtension = path.extname(file.originalname);
-    const fileName = `${file.fieldname}-${uniqueSuffix}${fileExtension}`;
-    cb(null, fileName);
+// Configure multer for file uploads (kept in memory, then handed to the storage service)
+const storage = multer.memoryStorage();
+
+// Configure multer. There is no fileFilter: extensions and client-declared
+// mimetypes prove nothing, so uploads are checked by content in uploadImage.
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: imageInspectionService.maxBytes
   }
 });
 
-// File filter to only allow image files
-const fileFilter = (req, file, cb) => {
-  const allowedTypes = /jpeg|jpg|png|gif|webp/;
-  const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-  const mimetype = allowedTypes.test(file.mimetype);
-
-  if (mimetype && extname) {
-    return cb(null, true);
-  } else {
-    cb(new Error('Only image files (JPEG, PNG, GIF, WebP) are allowed!'));
-  }
+// Response field -> document field it is built from (used for ?fields= projection)
+const IMAGE_FIELDS = {
+  id: '_id',
+  promptId: 'promptId',
+  promptName: 'promptName',
+  prompt: 'prompt',
+  ownerId: 'ownerId',
+  imageUrl: '_id',
+  originalName: 'originalName',
+  size: 'size',
+  mimetype: 'mimetype',
+  width: 'width',
+  height: 'height',
+  variants: 'variants',
+  moderationStatus: 'moderationStatus',
+  moderation: 'moderation',
+  uploadedAt: 'uploadedAt',
+  createdAt: 'createdAt'
 };
 
-// Configure multer
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
-  },
-  fileFilter: fileFilter
+// Shape an image document for API responses
+const formatImage = (image) => ({
+  id: image._id,
+  promptId: image.promptId,
+  promptName: image.promptName,
+  prompt: image.prompt,
+  ownerId: image.ownerId,
+  imageUrl: `/api/images/${image._id}/raw`,
+  originalName: image.originalName,
+  size: image.size,
+  mimetype: image.mimetype,
+  width: image.width,
+  height: image.height,
+  variants: imageVariantService.formatVariants(image),
+  // Images stored before moderation have no status and count as clean
+  moderationStatus: image.moderationStatus || 'clean',
+  moderation: image.moderation || null,
+  uploadedAt: image.uploadedAt,
+  createdAt: image.createdAt
+});
+
+// Shape a duplicate match for API responses, flagging byte-identical copies
+const formatMatch = (contentHash) => ({ image, distance }) => ({
+  id: image._id,
+  promptId: image.promptId,
+  promptName: image.promptName,
+  imageUrl: `/api/images/${image._id}/raw`,
+  distance: distance,
+  exact: image.contentHash === contentHash
 });
 
 // Upload image API endpoint (handles both file upload and base64)
 export const uploadImage = async (req, res) => {
   try {
     // Validate required fields
-    const { promptId, promptName, prompt } = req.body;
+    const { promptId } = req.body;
     const aiImage = req.body.aiImage;
     
-    if (!promptId || !promptName || !prompt) {
+    if (!promptId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required field: promptId is required',
+        error: 'VALIDATION_ERROR'
+      });
+    }
+
+    // Only a string id: an object would reach findOneDB as a query operator
+    if (typeof promptId !== 'string') {
       return res.status(400).json({
         success: false,
-        message: 'Missing required fields: promptId, promptName, and prompt are required',
+        message: 'promptId must be a string',
         error: 'VALIDATION_ERROR'
       });
     }
 
-    let base64DataUrl = aiImage;
+    // Prompt name and text come from the prompts collection
+    const promptData = await findOneDB('prompts', { _id: promptId, ...ownerScope(req.user) });
+    if (!promptData) {
+      return res.status(404).json({
+        success: false,
+        message: 'No prompt found with the provided promptId',
+        error: 'PROMPT_NOT_FOUND'
+      });
+    }
+
+    // The image is filed under the prompt's text, so that text goes through the moderation rules
+    const promptCheck = moderationService.checkPrompt(promptData.prompt);
+    if (promptCheck.action === 'block') {
+      await moderationService.recordBlock({
+        ownerId: req.user.id,
+        prompt: promptData.prompt,
+        origin: 'rules',
+        reasons: promptCheck.reasons
+      });
+      return res.status(422).json({
+        success: false,
+        message: `Prompt blocked by moderation: ${promptCheck.reasons.join('; ')}`,
+        error: 'PROMPT_BLOCKED'
+      });
+    }
+
+    // Identify the image from its bytes, never from the client's claims
+    let image;
     let originalName = 'uploaded-image';
-    let size = 0;
-    let mimetype = 'image/jpeg';
 
-    // If file was uploaded via multer, convert to base64
     if (req.file) {
-      const imageBuffer = fs.readFileSync(req.file.path);
-      const base64ImageData = imageBuffer.toString('base64');
-      base64DataUrl = `data:${req.file.mimetype};base64,${base64ImageData}`;
+      image = { ...imageInspectionService.inspect(req.file.buffer, req.file.mimetype), buffer: req.file.buffer };
       originalName = req.file.originalname;
-      size = req.file.size;
-      mimetype = req.file.mimetype;
-      
-      // Clean up uploaded file since we're storing as base64
-      fs.unlinkSync(req.file.path);
-    } else if (!aiImage) {
+    } else if (aiImage) {
+      image = imageInspectionService.inspectBase64(aiImage);
+    } else {
       return res.status(400).json({
         success: false,
         message: 'No image data provided (either file upload or base64)',
@@ -87,16 +145,65 @@ export const uploadImage = async (req, res) => {
       });
     }
 
+    // Hashing decodes the pixels, which the header checks above do not
+    let hashes;
+    try {
+      hashes = await duplicateDetectionService.computeHashes(image.buffer);
+    } catch (error) {
+      throw new ImageValidationError('CORRUPT_IMAGE', `Corrupt ${image.mimetype} image: ${error.message}`);
+    }
+
+    // Identical bytes share the existing blob instead of storing another copy.
+    // Blobs are shared across owners, but other users' images are never reported.
+    const exactDuplicate = await duplicateDetectionService.findExact(hashes.contentHash);
+    const visibleDuplicate = exactDuplicate && canAccess(req.user, exactDuplicate) ? exactDuplicate : null;
+
+    // Store the bytes and derivatives; the document only keeps storage keys
+    let stored;
+    if (exactDuplicate) {
+      stored = {
+        storageKey: exactDuplicate.storageKey,
+        storageDriver: exactDuplicate.storageDriver,
+        etag: exactDuplicate.etag,
+        size: exactDuplicate.size,
+        width: exactDuplicate.width,
+        height: exactDuplicate.height,
+        variants: exactDuplicate.variants
+      };
+    } else {
+      try {
+        stored = await imageVariantService.storeWithVariants(image.buffer, image, 'images');
+      } catch (error) {
+        console.error('Failed to store image:', error);
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to store image',
+          error: 'STORAGE_ERROR'
+        });
+      }
+    }
+
     // Prepare data for database
     const imageData = {
       _id: uuidv4(),
       promptId: promptId,
-      promptName: promptName,
-      prompt: prompt,
-      base64Image: base64DataUrl,
+      promptName: promptData.promptName,
+      prompt: promptData.prompt,
+      ownerId: req.user.id,
+      storageKey: stored.storageKey,
+      storageDriver: stored.storageDriver,
+      etag: stored.etag,
       originalName: originalName,
-      size: size,
-      mimetype: mimetype,
+      size: stored.size,
+      mimetype: image.mimetype,
+      width: stored.width,
+      height: stored.height,
+      variants: stored.variants,
+      contentHash: hashes.contentHash,
+      perceptualHash: hashes.perceptualHash,
+      hashBands: hashes.hashBands,
+      duplicateOf: visibleDuplicate ? visibleDuplicate._id : null,
+      ...moderationService.initialFields(promptCheck.reasons),
       uploadedAt: new Date(),
       createdAt: new Date(),
       updatedAt: new Date()
@@ -108,6 +215,9 @@ export const uploadImage = async (req, res) => {
       console.log('Image saved to database:', result.insertedId);
     } catch (error) {
       console.error('Failed to save image to database:', error);
+      if (!exactDuplicate) {
+        await imageVariantService.deleteStored(imageData);
+      }
       return res.status(500).json({
         success: false,
         message: 'Failed to save image to database',
@@ -115,44 +225,33 @@ export const uploadImage = async (req, res) => {
       });
     }
 
-    // Prepare response data (without base64 for performance)
-    const responseData = {
-      id: imageData._id,
-      promptId: imageData.promptId,
-      promptName: imageData.promptName,
-      prompt: imageData.prompt,
-      originalName: imageData.originalName,
-      size: imageData.size,
-      mimetype: imageData.mimetype,
-      uploadedAt: imageData.uploadedAt
-    };
+    const nearDuplicates = await duplicateDetectionService.findSimilar(hashes.perceptualHash, {
+      excludeId: imageData._id,
+      scope: readScope(req.user)
+    });
 
     res.status(201).json({
       success: true,
-      message: 'Image uploaded and converted to base64 successfully',
-      data: responseData
+      message: visibleDuplicate
+        ? 'Image uploaded successfully (identical to an existing image, storage shared)'
+        : 'Image uploaded successfully',
+      data: {
+        ...formatImage(imageData),
+        duplicateOf: imageData.duplicateOf,
+        nearDuplicates: nearDuplicates.map(formatMatch(hashes.contentHash))
+      }
     });
 
   } catch (error) {
-    console.error('Upload error:', error);
-    
-    // Handle multer errors
-    if (error.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({
-        success: false,
-        message: 'File too large. Maximum size is 10MB',
-        error: 'FILE_SIZE_ERROR'
-      });
-    }
-
-    if (error.message.includes('Only image files')) {
-      return res.status(400).json({
+    if (error instanceof ImageValidationError) {
+      return res.status(error.status).json({
         success: false,
         message: error.message,
-        error: 'INVALID_FILE_TYPE'
+        error: error.code
       });
     }
 
+    console.error('Upload error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error during upload',
@@ -161,21 +260,31 @@ export const uploadImage = async (req, res) => {
   }
 };
 
-// Get all uploaded images
+// Get uploaded images, one page at a time, leaving out those held for moderation or rejected
+// Query: limit, cursor, sort, fields, promptId, mimetype, from, to
 export const getAllImages = async (req, res) => {
   try {
-    console.log('getAllImages function called');
-    const images = await readDB('images');
-    console.log('Images retrieved from database:', images.length);
+    const listQuery = parseListQuery(req.query, IMAGE_FIELDS);
+    listQuery.filter = { ...listQuery.filter, ...ownerScope(req.user), ...moderationService.visibleFilter() };
+    const { data, total, nextCursor } = await findPage('images', listQuery, formatImage);
     
     res.status(200).json({
       success: true,
-      message: 'Images retrieved successfussy',
-      promptId: images.map(img => img.promptId),
-    aiImage: images.map(img => img.base64Image)  ,
-      count: images.length
+      message: 'Images retrieved successfully',
+      data: data,
+      count: data.length,
+      total: total,
+      nextCursor: nextCursor
     });
   } catch (error) {
+    if (error.code === 'INVALID_QUERY') {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        error: error.code
+      });
+    }
+
     console.error('Get all images error:', error);
     res.status(500).json({
       success: false,
@@ -185,13 +294,21 @@ export const getAllImages = async (req, res) => {
   }
 };
 
-// Get image by ID (includes base64 data)
+// Find an uploaded or generated image by ID, optionally limited by an owner scope
+const findImageDocument = async (id, scope = {}) => {
+  return await findOneDB('images', { _id: id, ...scope }) || await findOneDB('generated_images', { _id: id, ...scope });
+};
+
+// Owner and moderation filter for reading one image: held and rejected images
+// read as missing for everyone but admins
+const readScope = (user) => ({ ...ownerScope(user), ...moderationService.visibleScope(user) });
+
+// Get image by ID (?variant=<name> streams that derivative instead)
 export const getImageById = async (req, res) => {
   try {
     const { id } = req.params;
     
-    const images = await readDB('images', { _id: id });
-    const image = images.length > 0 ? images[0] : null;
+    const image = await findImageDocument(id, readScope(req.user));
     
     if (!image) {
       return res.status(404).json({
@@ -201,20 +318,14 @@ export const getImageById = async (req, res) => {
       });
     }
     
+    if (req.query.variant) {
+      return getImageRaw(req, res);
+    }
+    
     res.status(200).json({
       success: true,
       message: 'Image retrieved successfully',
-      data: {
-        id: image._id,
-        promptId: image.promptId,
-        promptName: image.promptName,
-        prompt: image.prompt,
-        base64Image: image.base64Image,
-        originalName: image.originalName,
-        size: image.size,
-        mimetype: image.mimetype,
-        uploadedAt: image.uploadedAt
-      }
+      data: formatImage(image)
     });
   } catch (error) {
     console.error('Get image error:', error);
@@ -226,7 +337,7 @@ export const getImageById = async (req, res) => {
   }
 };
 
-// Get images by promptId
+// Get images by promptId, leaving out those held for moderation or rejected
 export const getImagesByPromptId = async (req, res) => {
   try {
     const { promptId } = req.params;
@@ -239,7 +350,11 @@ export const getImagesByPromptId = async (req, res) => {
       });
     }
     
-    const images = await readDB('images', { promptId: promptId });
+    const images = await findManyDB('images', {
+      promptId: promptId,
+      ...ownerScope(req.user),
+      ...moderationService.visibleFilter()
+    }, { projection: { base64Image: 0 } });
     
     if (images.length === 0) {
       return res.status(404).json({
@@ -249,18 +364,7 @@ export const getImagesByPromptId = async (req, res) => {
       });
     }
     
-    // Return images with base64 data for promptId search
-    const imageList = images.map(img => ({
-      id: img._id,
-      promptId: img.promptId,
-      promptName: img.promptName,
-      prompt: img.prompt,
-      base64Image: img.base64Image,
-      originalName: img.originalName,
-      size: img.size,
-      mimetype: img.mimetype,
-      uploadedAt: img.uploadedAt
-    }));
+    const imageList = images.map(formatImage);
     
     res.status(200).json({
       success: true,
@@ -278,20 +382,278 @@ export const getImagesByPromptId = async (req, res) => {
   }
 };
 
+// Parse a single-range "bytes=start-end" header against a blob size.
+// Returns null when the header is absent or unsupported, false when unsatisfiable.
+const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    start = Math.max(size - Number(match[2]), 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+
+  if (start > end || start >= size) return false;
+  return { start, end };
+};
+
+// Stream the raw image bytes (or a ?variant=<name> derivative) for an uploaded or generated image.
+// Callers need images:read and see their own images (all for admins); a signed URL
+// from GET /api/images/:id/signed-url stands in for credentials.
+export const getImageRaw = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { variant } = req.query;
+
+    // The signature is bound to this image ID, whose owner was checked when the URL was
+    // issued; moderation is checked on every request, since a review can come later
+    const scope = req.signedUrl ? moderationService.visibleFilter() : readScope(req.user);
+    const image = await findImageDocument(id, scope);
+
+    if (!image || (!image.storageKey && !image.base64Image)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found',
+        error: 'NOT_FOUND'
+      });
+    }
+
+    let entry = image;
+    if (variant) {
+      entry = image.variants && image.variants[variant];
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: `Variant '${variant}' not found for this image`,
+          error: 'VARIANT_NOT_FOUND',
+          available: Object.keys(image.variants || {})
+        });
+      }
+    }
+
+    // Documents not yet moved by the storage migration still carry base64
+    const legacyBuffer = entry.storageKey
+      ? null
+      : Buffer.from(entry.base64Image.replace(/^data:[^;]+;base64,/, ''), 'base64');
+    const size = legacyBuffer ? legacyBuffer.length : entry.size;
+    const etag = entry.etag || `"${image._id}"`;
+
+    res.set({
+      'Content-Type': entry.mimetype,
+      'ETag': etag,
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': 'private, max-age=31536000, immutable',
+      'Cross-Origin-Resource-Policy': 'cross-origin'
+    });
+
+    if (req.headers['if-none-match'] === etag) {
+      return res.status(304).end();
+    }
+
+    const range = parseRange(req.headers.range, size);
+    if (range === false) {
+      res.set('Content-Range', `bytes */${size}`);
+      return res.status(416).end();
+    }
+
+    if (range) {
+      res.status(206);
+      res.set({
+        'Content-Range': `bytes ${range.start}-${range.end}/${size}`,
+        'Content-Length': range.end - range.start + 1
+      });
+    } else {
+      res.status(200);
+      res.set('Content-Length', size);
+    }
+
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+
+    const stream = legacyBuffer
+      ? Readable.from(range ? legacyBuffer.subarray(range.start, range.end + 1) : legacyBuffer)
+      : await storageService.createReadStream(entry.storageKey, range || undefined);
+
+    stream.on('error', (error) => {
+      console.error('Raw image stream error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Get raw image error:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving image',
+      error: 'RETRIEVE_ERROR'
+    });
+  }
+};
+
+// Short-lived URL for an image's raw bytes that works without credentials, e.g. in <img> tags
+// Query: variant
+export const getImageSignedUrl = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const variant = req.query.variant ? String(req.query.variant) : null;
+
+    const image = await findImageDocument(id, readScope(req.user));
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found',
+        error: 'NOT_FOUND'
+      });
+    }
+    if (variant && !(image.variants && image.variants[variant])) {
+      return res.status(404).json({
+        success: false,
+        message: `Variant '${variant}' not found for this image`,
+        error: 'VARIANT_NOT_FOUND',
+        available: Object.keys(image.variants || {})
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Signed URL created successfully',
+      data: authService.signImageUrl(image._id, variant)
+    });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        error: error.code
+      });
+    }
+    console.error('Sign image URL error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating signed URL',
+      error: 'RETRIEVE_ERROR'
+    });
+  }
+};
+
+// List stored images that look like this one (?threshold= max differing bits out of 64)
+export const getImageDuplicates = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const threshold = req.query.threshold === undefined ? undefined : Number(req.query.threshold);
+
+    if (threshold !== undefined && (!Number.isInteger(threshold) || threshold < 0 || threshold > 64)) {
+      return res.status(400).json({
+        success: false,
+        message: 'threshold must be an integer between 0 and 64',
+        error: 'INVALID_QUERY'
+      });
+    }
+
+    const image = await findOneDB('images', { _id: id, ...readScope(req.user) });
+
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found',
+        error: 'NOT_FOUND'
+      });
+    }
+
+    if (!image.perceptualHash) {
+      return res.status(409).json({
+        success: false,
+        message: 'Image has no perceptual hash yet; run npm run backfill:hashes',
+        error: 'HASH_MISSING'
+      });
+    }
+
+    const matches = await duplicateDetectionService.findSimilar(image.perceptualHash, {
+      excludeId: id,
+      threshold,
+      scope: readScope(req.user)
+    });
+    const data = matches.map(formatMatch(image.contentHash));
+
+    res.status(200).json({
+      success: true,
+      message: 'Similar images retrieved successfully',
+      data: data,
+      count: data.length
+    });
+  } catch (error) {
+    console.error('Get image duplicates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving similar images',
+      error: 'RETRIEVE_ERROR'
+    });
+  }
+};
+
+// Ancestry (nearest first) and descendant tree of an image, following sourceImageId links
+export const getImageLineage = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const image = await findImageDocument(id, ownerScope(req.user));
+
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found',
+        error: 'NOT_FOUND'
+      });
+    }
+
+    const lineage = await imageLineageService.lineage(image, ownerScope(req.user));
+
+    res.status(200).json({
+      success: true,
+      message: 'Image lineage retrieved successfully',
+      data: lineage
+    });
+  } catch (error) {
+    console.error('Get image lineage error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving image lineage',
+      error: 'RETRIEVE_ERROR'
+    });
+  }
+};
+
 // Delete image
 export const deleteImage = async (req, res) => {
   try {
     const { id } = req.params;
     
-    const result = await deleteDB('images', { _id: id });
+    const image = await findOneDB('images', { _id: id, ...ownerScope(req.user) });
     
-    if (result.deletedCount === 0) {
+    if (!image) {
       return res.status(404).json({
         success: false,
         message: 'Image not found',
         error: 'NOT_FOUND'
       });
     }
+
+    await deleteDB('images', { _id: id });
+
+    // Exact duplicates share blobs; only remove them once nothing references them
+    const sharedCount = image.storageKey ? await countDB('images', { storageKey: image.storageKey }) : 0;
+    if (sharedCount === 0) {
+      await imageVariantService.deleteStored(image);
+    }
     
     res.status(200).json({
       success: true,
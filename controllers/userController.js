@@ -0,0 +1,93 @@
+import { findManyDB, findOneDB, updateDB } from '../config/database.js';
+import { ROLES } from '../config/permissions.js';
+
+// Shape a user document for API responses (never includes the password hash)
+const formatUser = (user) => ({
+  id: user._id,
+  email: user.email,
+  name: user.name,
+  role: user.role,
+  createdAt: user.createdAt
+});
+
+/**
+ * List users
+ * GET /api/users
+ */
+const getUsers = async (req, res) => {
+  try {
+    const users = await findManyDB('users', {}, { sort: { createdAt: -1 }, projection: { passwordHash: 0 } });
+
+    res.status(200).json({
+      success: true,
+      message: 'Users retrieved successfully',
+      data: users.map(formatUser),
+      count: users.length
+    });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch users',
+      error: 'RETRIEVE_ERROR'
+    });
+  }
+};
+
+/**
+ * Change a user's role. Takes effect on the user's next login or token refresh.
+ * PUT /api/users/:id/role
+ * Body: { role: 'admin' | 'editor' | 'viewer' }
+ */
+const updateUserRole = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `role must be one of: ${ROLES.join(', ')}`,
+        error: 'VALIDATION_ERROR'
+      });
+    }
+
+    if (id === req.user.id && role !== 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'Admins cannot remove their own admin role',
+        error: 'VALIDATION_ERROR'
+      });
+    }
+
+    const result = await updateDB('users', { _id: id }, { role: role, updatedAt: new Date() });
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        error: 'NOT_FOUND'
+      });
+    }
+
+    const user = await findOneDB('users', { _id: id });
+
+    res.status(200).json({
+      success: true,
+      message: 'User role updated successfully',
+      data: formatUser(user)
+    });
+  } catch (error) {
+    console.error('Error updating user role:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user role',
+      error: 'UPDATE_ERROR'
+    });
+  }
+};
+
+export {
+  getUsers,
+  updateUserRole
+};
@@ -0,0 +1,273 @@
+import webhookService, { WEBHOOK_EVENTS, DELIVERY_STATUSES } from '../services/webhookService.js';
+import { ownerScope } from '../utils/ownership.js';
+
+// Shape a webhook endpoint for API responses (the secret is only shown on creation)
+const formatWebhook = (record) => ({
+  id: record._id,
+  url: record.url,
+  events: record.events,
+  ownerId: record.ownerId,
+  createdAt: record.createdAt
+});
+
+// Shape a delivery for API responses; the attempt log is only included for single lookups
+const formatDelivery = (delivery, withLog = false) => ({
+  id: delivery._id,
+  webhookId: delivery.webhookId,
+  url: delivery.url,
+  event: delivery.event,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  responseStatus: delivery.responseStatus || null,
+  lastError: delivery.lastError || null,
+  nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : null,
+  deliveredAt: delivery.deliveredAt,
+  createdAt: delivery.createdAt,
+  ...(withLog ? { payload: delivery.payload, log: delivery.log } : {})
+});
+
+/**
+ * Register a webhook endpoint
+ * POST /api/webhooks
+ * Body: { url: string, events?: string[] }
+ */
+const createWebhook = async (req, res) => {
+  try {
+    const { url } = req.body;
+    const events = req.body.events === undefined ? WEBHOOK_EVENTS : req.body.events;
+
+    const problem = typeof url === 'string' ? await webhookService.validateUrl(url) : 'is required';
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: `url ${problem}`,
+        error: 'VALIDATION_ERROR'
+      });
+    }
+
+    if (!Array.isArray(events) || events.length === 0 || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+      return res.status(400).json({
+        success: false,
+        message: `events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}`,
+        error: 'VALIDATION_ERROR'
+      });
+    }
+
+    const record = await webhookService.create(req.user.id, { url, events: [...new Set(events)] });
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook registered. Store the secret now; it cannot be shown again.',
+      data: { ...formatWebhook(record), secret: record.secret }
+    });
+  } catch (error) {
+    console.error('Error registering webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to register webhook',
+      error: 'CREATE_ERROR'
+    });
+  }
+};
+
+/**
+ * List the current user's webhook endpoints (all endpoints for admins)
+ * GET /api/webhooks
+ */
+const getWebhooks = async (req, res) => {
+  try {
+    const webhooks = await webhookService.list(ownerScope(req.user));
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhooks retrieved successfully',
+      data: webhooks.map(formatWebhook),
+      count: webhooks.length
+    });
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch webhooks',
+      error: 'RETRIEVE_ERROR'
+    });
+  }
+};
+
+/**
+ * Remove a webhook endpoint
+ * DELETE /api/webhooks/:id
+ */
+const deleteWebhook = async (req, res) => {
+  try {
+    const removed = await webhookService.remove(req.params.id, ownerScope(req.user));
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found',
+        error: 'NOT_FOUND'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook removed successfully'
+    });
+  } catch (error) {
+    console.error('Error removing webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove webhook',
+      error: 'DELETE_ERROR'
+    });
+  }
+};
+
+/**
+ * Get the secret that signs deliveries to per-request callbackUrl targets
+ * GET /api/webhooks/secret
+ */
+const getCallbackSecret = async (req, res) => {
+  try {
+    const secret = await webhookService.accountSecret(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Callback signing secret retrieved successfully',
+      data: { secret }
+    });
+  } catch (error) {
+    console.error('Error fetching callback secret:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch callback secret',
+      error: 'RETRIEVE_ERROR'
+    });
+  }
+};
+
+/**
+ * List webhook deliveries, newest first
+ * GET /api/webhooks/deliveries
+ * Query: { status?: string, webhookId?: string, limit?: number }
+ */
+const getDeliveries = async (req, res) => {
+  try {
+    const { status, webhookId } = req.query;
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+
+    if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${DELIVERY_STATUSES.join(', ')}`,
+        error: 'INVALID_QUERY'
+      });
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'limit must be an integer between 1 and 100',
+        error: 'INVALID_QUERY'
+      });
+    }
+
+    const deliveries = await webhookService.listDeliveries(ownerScope(req.user), { status, webhookId, limit });
+
+    res.status(200).json({
+      success: true,
+      message: 'Deliveries retrieved successfully',
+      data: deliveries.map(delivery => formatDelivery(delivery)),
+      count: deliveries.length
+    });
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch deliveries',
+      error: 'RETRIEVE_ERROR'
+    });
+  }
+};
+
+/**
+ * Get a delivery with its payload and attempt log
+ * GET /api/webhooks/deliveries/:id
+ */
+const getDeliveryById = async (req, res) => {
+  try {
+    const delivery = await webhookService.getDelivery(req.params.id, ownerScope(req.user));
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found',
+        error: 'NOT_FOUND'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Delivery retrieved successfully',
+      data: formatDelivery(delivery, true)
+    });
+  } catch (error) {
+    console.error('Error fetching webhook delivery:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch delivery',
+      error: 'RETRIEVE_ERROR'
+    });
+  }
+};
+
+/**
+ * Send a finished delivery again
+ * POST /api/webhooks/deliveries/:id/replay
+ */
+const replayDelivery = async (req, res) => {
+  try {
+    const scope = ownerScope(req.user);
+    const delivery = await webhookService.replay(req.params.id, scope);
+
+    if (!delivery) {
+      const existing = await webhookService.getDelivery(req.params.id, scope);
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Delivery not found',
+          error: 'NOT_FOUND'
+        });
+      }
+      return res.status(409).json({
+        success: false,
+        message: 'Delivery is still being sent',
+        error: 'DELIVERY_IN_PROGRESS'
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Delivery queued for replay',
+      data: formatDelivery(delivery)
+    });
+  } catch (error) {
+    console.error('Error replaying webhook delivery:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to replay delivery',
+      error: 'REPLAY_ERROR'
+    });
+  }
+};
+
+export {
+  createWebhook,
+  getWebhooks,
+  deleteWebhook,
+  getCallbackSecret,
+  getDeliveries,
+  getDeliveryById,
+  replayDelivery
+};
@@ -1,5 +1,8 @@
 import app from './app.js';
 import { connectDB, closeDB } from './config/database.js';
+import { ensureIndexes } from './config/indexes.js';
+import jobService from './services/jobService.js';
+import webhookService from './services/webhookService.js';
 import dotenv from 'dotenv';
 
 // Load environment variables
@@ -12,6 +15,11 @@ const gracefulShutdown = async (signal, server) => {
   console.log(`\n🛑 Received ${signal}. Starting graceful shutdown...`);
   
   try {
+    // Let running generation jobs finish before the database goes away
+    await jobService.stop();
+    webhookService.stop();
+    console.log('✅ Job and webhook workers stopped');
+
     // Close database connection
     await closeDB();
     console.log('✅ Database connection closed');
@@ -40,6 +48,13 @@ const startServer = async () => {
     console.log('🔗 Connecting to MongoDB...');
     await connectDB();
     console.log('✅ Database connected successfully');
+    await ensureIndexes();
+    console.log('✅ Database indexes ensured');
+
+    // Start the background workers for queued generation jobs and webhook deliveries
+    await jobService.start();
+    await webhookService.start();
+    console.log('✅ Job and webhook workers started');
     
     // Start HTTP server
     console.log('🚀 Starting HTTP server...');
@@ -0,0 +1,110 @@
+import authService, { AuthError } from '../services/authService.js';
+import apiKeyService from '../services/apiKeyService.js';
+
+// Pull the bearer token out of the Authorization header
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme && scheme.toLowerCase() === 'bearer' && token ? token : null;
+};
+
+/**
+ * API key sent by server-to-server callers in the X-API-Key header
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+export const getApiKey = (req) => req.headers['x-api-key'] || null;
+
+const sendAuthError = (res, error) => {
+  res.status(error.status).json({
+    success: false,
+    message: error.message,
+    error: error.code
+  });
+};
+
+/**
+ * Verify a sent API key ahead of the rate limiter and attach
+ * req.verifiedApiKey = { record, user } when it is valid. Invalid keys pass
+ * through without it, so they are limited per IP and refused by authenticate.
+ */
+export const identifyApiKey = async (req, res, next) => {
+  const apiKey = getApiKey(req);
+  if (!apiKey) {
+    return next();
+  }
+
+  try {
+    req.verifiedApiKey = await apiKeyService.verify(apiKey);
+  } catch (error) {
+    if (!(error instanceof AuthError)) {
+      return next(error);
+    }
+  }
+  next();
+};
+
+/**
+ * Require a valid access token or API key and attach req.user = { id, email, role }.
+ * API key callers also get req.apiKey = { id, scopes }.
+ */
+export const authenticate = async (req, res, next) => {
+  const apiKey = getApiKey(req);
+  const token = getBearerToken(req);
+
+  if (!apiKey && !token) {
+    return sendAuthError(res, new AuthError('UNAUTHORIZED', 'Authentication required'));
+  }
+
+  try {
+    if (apiKey) {
+      // Already verified by identifyApiKey for routes under /api
+      const { record, user } = req.verifiedApiKey || await apiKeyService.verify(apiKey);
+      req.user = { id: user._id, email: user.email, role: user.role };
+      req.apiKey = { id: record._id, scopes: record.scopes };
+    } else {
+      req.user = authService.verifyAccessToken(token);
+    }
+    next();
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return sendAuthError(res, error);
+    }
+    next(error);
+  }
+};
+
+/**
+ * For raw image bytes: accept a signed URL (see authService.signImageUrl) in
+ * place of credentials, so <img> tags work. Sets req.signedUrl when it does;
+ * without a signature this is authenticate.
+ */
+export const authenticateOrSignedUrl = (req, res, next) => {
+  if (req.query.signature === undefined) {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    authService.verifyImageUrl(req.params.id, req.query.expires, req.query.signature);
+    req.signedUrl = true;
+    next();
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return sendAuthError(res, error);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Attach req.user when credentials are sent; anonymous requests pass through
+ */
+export const optionalAuth = (req, res, next) => {
+  if (!getApiKey(req) && !getBearerToken(req)) {
+    return next();
+  }
+
+  authenticate(req, res, next);
+};
+
+export default authenticate;
@@ -0,0 +1,59 @@
+import { ROUTE_PERMISSIONS, DEBUG_ROUTES_ENABLED, permissionsFor } from '../config/permissions.js';
+
+/**
+ * Enforce the permission config/permissions.js maps to the matched route.
+ * The caller's role must grant it and, for API keys, the key's scopes too.
+ * Use after authenticate.
+ */
+export const authorize = (req, res, next) => {
+  const method = req.method === 'HEAD' ? 'GET' : req.method;
+  const routeKey = `${method} ${req.route.path}`;
+
+  if (!(routeKey in ROUTE_PERMISSIONS)) {
+    // Fail closed so a new route cannot ship without a permission
+    console.error(`No permission mapped for route ${routeKey}`);
+    return res.status(403).json({
+      success: false,
+      message: 'Access to this route is not configured',
+      error: 'FORBIDDEN'
+    });
+  }
+
+  const permission = ROUTE_PERMISSIONS[routeKey];
+  // A signed URL was checked for access when it was issued
+  if (permission === null || req.signedUrl) {
+    return next();
+  }
+
+  if (!permissionsFor(req.user.role).includes(permission)) {
+    return res.status(403).json({
+      success: false,
+      message: `Your role (${req.user.role}) does not have the '${permission}' permission`,
+      error: 'FORBIDDEN'
+    });
+  }
+
+  if (req.apiKey && !req.apiKey.scopes.includes(permission)) {
+    return res.status(403).json({
+      success: false,
+      message: `API key is missing the '${permission}' scope`,
+      error: 'INSUFFICIENT_SCOPE'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Hide debug routes entirely when they are disabled (see DEBUG_ROUTES_ENABLED)
+ */
+export const debugRoute = (req, res, next) => {
+  if (!DEBUG_ROUTES_ENABLED) {
+    return res.status(404).json({
+      success: false,
+      message: 'Route not found',
+      error: 'NOT_FOUND'
+    });
+  }
+  next();
+};
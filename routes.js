@@ -1,42 +1,161 @@
 import express from 'express';
-import { uploadImage, getAllImages, getImageById, getImagesByPromptId, deleteImage, upload } from './controllers/uploadImage&promts.js';
-import { generateImage, generateImageFromText, testConnection, getPrompts, getGeneratedImages, debugFlow } from './controllers/geminiController.js';
+import { uploadImage, getAllImages, getImageById, getImageRaw, getImageSignedUrl, getImageDuplicates, getImageLineage, getImagesByPromptId, deleteImage, upload } from './controllers/uploadImage&promts.js';
+import { generateImage, generateImageFromText, testConnection, getModels, getGeneratedImages, clearCache, debugFlow } from './controllers/geminiController.js';
+import { createPrompt, getPrompts, getPromptById, updatePrompt, deletePrompt, getPromptVersions, getPromptVersion, rollbackPrompt } from './controllers/promptController.js';
+import { register, login, refresh, logout, getCurrentUser } from './controllers/authController.js';
+import { createApiKey, getApiKeys, revokeApiKey } from './controllers/apiKeyController.js';
+import { getUsers, updateUserRole } from './controllers/userController.js';
+import { getJobs, getJobById, cancelJob, streamJobEvents } from './controllers/jobController.js';
+import { createWebhook, getWebhooks, deleteWebhook, getCallbackSecret, getDeliveries, getDeliveryById, replayDelivery } from './controllers/webhookController.js';
+import { getBalance, getLedger, getPlans, getAccount, grantCredits, setAccountPlan } from './controllers/creditController.js';
+import { getPresets, getPreset, createPreset, updatePreset, deletePreset } from './controllers/stylePresetController.js';
+import { getQueue, approveItem, rejectItem, getBlocks } from './controllers/moderationController.js';
+import { authenticate, authenticateOrSignedUrl } from './middleware/auth.js';
+import { authorize, debugRoute } from './middleware/permissions.js';
 
 const router = express.Router();
 
+// Every route's required permission lives in config/permissions.js;
+// authenticated routes run authenticate, then authorize.
+
+// =============================================================================
+// AUTH ROUTES
+// =============================================================================
+
+// Register user
+// POST /api/auth/register
+router.post('/auth/register', register);
+
+// Log in
+// POST /api/auth/login
+router.post('/auth/login', login);
+
+// Refresh access token
+// POST /api/auth/refresh
+router.post('/auth/refresh', refresh);
+
+// Log out (revoke refresh token)
+// POST /api/auth/logout
+router.post('/auth/logout', logout);
+
+// Get current user
+// GET /api/auth/me
+router.get('/auth/me', authenticate, authorize, getCurrentUser);
+
+// =============================================================================
+// USER ADMINISTRATION ROUTES
+// =============================================================================
+
+// List users (admin)
+// GET /api/users
+router.get('/users', authenticate, authorize, getUsers);
+
+// Change a user's role (admin)
+// PUT /api/users/:id/role
+router.put('/users/:id/role', authenticate, authorize, updateUserRole);
+
+// =============================================================================
+// API KEY ROUTES
+// =============================================================================
+
+// Create API key
+// POST /api/api-keys
+router.post('/api-keys', authenticate, authorize, createApiKey);
+
+// List API keys
+// GET /api/api-keys
+router.get('/api-keys', authenticate, authorize, getApiKeys);
+
+// Revoke API key
+// DELETE /api/api-keys/:id
+router.delete('/api-keys/:id', authenticate, authorize, revokeApiKey);
+
 // =============================================================================
 // IMAGE MANAGEMENT ROUTES
 // =============================================================================
 
 // Upload image endpoint (supports both file upload and base64)
 // POST /api/images/upload
-router.post('/images/upload', upload.single('aiImage'), uploadImage);
+router.post('/images/upload', authenticate, authorize, upload.single('aiImage'), uploadImage);
 
 // Get all images
 // GET /api/images
-router.get('/images', (req, res) => {
+router.get('/images', authenticate, authorize, (req, res) => {
   console.log('Route /images hit, calling getAllImages');
   getAllImages(req, res);
 });
 
 // Alternative route for getAllImages
 // GET /api/images/getAllImages
-router.get('/images/getAllImages', (req, res) => {
+router.get('/images/getAllImages', authenticate, authorize, (req, res) => {
   console.log('Route /images/getAllImages hit, calling getAllImages');
   getAllImages(req, res);
 });
 
 // Get images by promptId
 // GET /api/images/prompt/:promptId
-router.get('/images/prompt/:promptId', getImagesByPromptId);
+router.get('/images/prompt/:promptId', authenticate, authorize, getImagesByPromptId);
+
+// Stream raw image bytes (uploaded or generated), with ETag and Range support.
+// Needs credentials or a signed URL (so <img> tags work)
+// GET /api/images/:id/raw
+router.get('/images/:id/raw', authenticateOrSignedUrl, authorize, getImageRaw);
+
+// Short-lived signed URL for an image's raw bytes
+// GET /api/images/:id/signed-url
+router.get('/images/:id/signed-url', authenticate, authorize, getImageSignedUrl);
+
+// List visually similar images
+// GET /api/images/:id/duplicates
+router.get('/images/:id/duplicates', authenticate, authorize, getImageDuplicates);
+
+// Ancestry and descendant tree of an image
+// GET /api/images/:id/lineage
+router.get('/images/:id/lineage', authenticate, authorize, getImageLineage);
 
 // Get image by ID
 // GET /api/images/:id
-router.get('/images/:id', getImageById);
+router.get('/images/:id', authenticate, authorize, getImageById);
 
 // Delete image
 // DELETE /api/images/:id
-router.delete('/images/:id', deleteImage);
+router.delete('/images/:id', authenticate, authorize, deleteImage);
+
+// =============================================================================
+// PROMPT ROUTES
+// =============================================================================
+
+// Create prompt
+// POST /api/prompts
+router.post('/prompts', authenticate, authorize, createPrompt);
+
+// Get all prompts
+// GET /api/prompts
+router.get('/prompts', authenticate, authorize, getPrompts);
+
+// Get prompt by ID
+// GET /api/prompts/:id
+router.get('/prompts/:id', authenticate, authorize, getPromptById);
+
+// Update prompt
+// PUT /api/prompts/:id
+router.put('/prompts/:id', authenticate, authorize, updatePrompt);
+
+// Delete prompt
+// DELETE /api/prompts/:id
+router.delete('/prompts/:id', authenticate, authorize, deletePrompt);
+
+// List prompt versions
+// GET /api/prompts/:id/versions
+router.get('/prompts/:id/versions', authenticate, authorize, getPromptVersions);
+
+// Get a prompt version with its diff
+// GET /api/prompts/:id/versions/:version
+router.get('/prompts/:id/versions/:version', authenticate, authorize, getPromptVersion);
+
+// Roll a prompt back to an earlier version
+// POST /api/prompts/:id/versions/:version/rollback
+router.post('/prompts/:id/versions/:version/rollback', authenticate, authorize, rollbackPrompt);
 
 // =============================================================================
 // GEMINI AI ROUTES
@@ -44,27 +163,159 @@ router.delete('/images/:id', deleteImage);
 
 // Generate image with promptId and reference image
 // POST /api/gemini/generate
-router.post('/gemini/generate', generateImage);
+router.post('/gemini/generate', authenticate, authorize, generateImage);
 
 // Generate image from text prompt only
 // POST /api/gemini/generate-text
-router.post('/gemini/generate-text', generateImageFromText);
+router.post('/gemini/generate-text', authenticate, authorize, generateImageFromText);
 
-// Test Gemini connection
+// Test Gemini connection (debug route, spends real API quota)
 // GET /api/gemini/test
-router.get('/gemini/test', testConnection);
+router.get('/gemini/test', debugRoute, authenticate, authorize, testConnection);
 
-// Get all prompts
+// List the models in the registry and whether they are available
+// GET /api/gemini/models
+router.get('/gemini/models', authenticate, authorize, getModels);
+
+// Get all prompts (kept for older clients, same as GET /api/prompts)
 // GET /api/gemini/prompts
-router.get('/gemini/prompts', getPrompts);
+router.get('/gemini/prompts', authenticate, authorize, getPrompts);
 
 // Get all generated images
 // GET /api/gemini/generated-images
-router.get('/gemini/generated-images', getGeneratedImages);
+router.get('/gemini/generated-images', authenticate, authorize, getGeneratedImages);
 
-// Debug endpoint
+// Clear the caller's cached generation results
+// DELETE /api/gemini/cache
+router.delete('/gemini/cache', authenticate, authorize, clearCache);
+
+// Debug endpoint (debug route)
 // GET /api/gemini/debug
-router.get('/gemini/debug', debugFlow);
+router.get('/gemini/debug', debugRoute, authenticate, authorize, debugFlow);
+
+// =============================================================================
+// JOB ROUTES
+// =============================================================================
+
+// List generation jobs
+// GET /api/jobs
+router.get('/jobs', authenticate, authorize, getJobs);
+
+// Get job status and result
+// GET /api/jobs/:id
+router.get('/jobs/:id', authenticate, authorize, getJobById);
+
+// Stream job progress (Server-Sent Events, resumable with Last-Event-ID)
+// GET /api/jobs/:id/events
+router.get('/jobs/:id/events', authenticate, authorize, streamJobEvents);
+
+// Cancel a queued or running job
+// POST /api/jobs/:id/cancel
+router.post('/jobs/:id/cancel', authenticate, authorize, cancelJob);
+
+// =============================================================================
+// WEBHOOK ROUTES
+// =============================================================================
+
+// Register webhook endpoint
+// POST /api/webhooks
+router.post('/webhooks', authenticate, authorize, createWebhook);
+
+// List webhook endpoints
+// GET /api/webhooks
+router.get('/webhooks', authenticate, authorize, getWebhooks);
+
+// Get the signing secret for callbackUrl deliveries
+// GET /api/webhooks/secret
+router.get('/webhooks/secret', authenticate, authorize, getCallbackSecret);
+
+// List deliveries
+// GET /api/webhooks/deliveries
+router.get('/webhooks/deliveries', authenticate, authorize, getDeliveries);
+
+// Get delivery with attempt log
+// GET /api/webhooks/deliveries/:id
+router.get('/webhooks/deliveries/:id', authenticate, authorize, getDeliveryById);
+
+// Replay a delivery
+// POST /api/webhooks/deliveries/:id/replay
+router.post('/webhooks/deliveries/:id/replay', authenticate, authorize, replayDelivery);
+
+// Remove webhook endpoint
+// DELETE /api/webhooks/:id
+router.delete('/webhooks/:id', authenticate, authorize, deleteWebhook);
+
+// =============================================================================
+// CREDIT ROUTES
+// =============================================================================
+
+// Get the caller's credit balance and plan usage
+// GET /api/credits
+router.get('/credits', authenticate, authorize, getBalance);
+
+// Get the caller's credit ledger
+// GET /api/credits/ledger
+router.get('/credits/ledger', authenticate, authorize, getLedger);
+
+// List plans
+// GET /api/credits/plans
+router.get('/credits/plans', authenticate, authorize, getPlans);
+
+// Get a user's or API key's credit account (admin)
+// GET /api/credits/accounts/:accountId
+router.get('/credits/accounts/:accountId', authenticate, authorize, getAccount);
+
+// Grant credits (admin)
+// POST /api/credits/accounts/:accountId/grants
+router.post('/credits/accounts/:accountId/grants', authenticate, authorize, grantCredits);
+
+// Change plan (admin)
+// PUT /api/credits/accounts/:accountId/plan
+router.put('/credits/accounts/:accountId/plan', authenticate, authorize, setAccountPlan);
+
+// =============================================================================
+// STYLE PRESET ROUTES
+// =============================================================================
+
+// List style presets
+// GET /api/presets
+router.get('/presets', authenticate, authorize, getPresets);
+
+// Get a style preset
+// GET /api/presets/:name
+router.get('/presets/:name', authenticate, authorize, getPreset);
+
+// Create a style preset (admin)
+// POST /api/presets
+router.post('/presets', authenticate, authorize, createPreset);
+
+// Update a style preset (admin)
+// PUT /api/presets/:name
+router.put('/presets/:name', authenticate, authorize, updatePreset);
+
+// Delete a style preset (admin)
+// DELETE /api/presets/:name
+router.delete('/presets/:name', authenticate, authorize, deletePreset);
+
+// =============================================================================
+// MODERATION ROUTES
+// =============================================================================
+
+// Images held for review (admin)
+// GET /api/moderation/queue
+router.get('/moderation/queue', authenticate, authorize, getQueue);
+
+// Approve a held image (admin)
+// POST /api/moderation/items/:id/approve
+router.post('/moderation/items/:id/approve', authenticate, authorize, approveItem);
+
+// Reject a held image (admin)
+// POST /api/moderation/items/:id/reject
+router.post('/moderation/items/:id/reject', authenticate, authorize, rejectItem);
+
+// Requests refused by moderation (admin)
+// GET /api/moderation/blocks
+router.get('/moderation/blocks', authenticate, authorize, getBlocks);
 
 export default router;
 
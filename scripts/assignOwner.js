@@ -0,0 +1,41 @@
+import { connectDB, closeDB, findOneDB, getDB } from '../config/database.js';
+
+/**
+ * Give every ownerless prompt, image and generated image an owner.
+ * Records created before accounts existed have no ownerId and are only
+ * visible to admins until they are assigned.
+ *
+ * Usage: npm run assign:owner -- <email>
+ */
+const COLLECTIONS = ['prompts', 'images', 'generated_images'];
+
+const assignOwner = async () => {
+  const [email] = process.argv.slice(2);
+
+  if (!email) {
+    throw new Error('Usage: npm run assign:owner -- <email>');
+  }
+
+  await connectDB();
+
+  const user = await findOneDB('users', { email: email.toLowerCase() });
+  if (!user) {
+    throw new Error(`No user with email ${email}`);
+  }
+
+  for (const name of COLLECTIONS) {
+    const result = await getDB().collection(name).updateMany(
+      { ownerId: { $exists: false } },
+      { $set: { ownerId: user._id } }
+    );
+    console.log(`✅ ${name}: ${result.modifiedCount} record(s) assigned to ${email}`);
+  }
+};
+
+assignOwner()
+  .then(() => closeDB())
+  .catch(async (error) => {
+    console.error('❌ Failed to assign owner:', error.message);
+    await closeDB();
+    process.exit(1);
+  });
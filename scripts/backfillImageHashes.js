@@ -0,0 +1,56 @@
+import { connectDB, closeDB, getDB } from '../config/database.js';
+import storageService from '../services/storageService.js';
+import duplicateDetectionService, { hashBandsOf } from '../services/duplicateDetectionService.js';
+
+/**
+ * Compute contentHash/perceptualHash for uploaded images stored before
+ * duplicate detection existed, so they show up in duplicate lookups, and add
+ * the hashBands index field to images hashed before it existed.
+ * Existing copies keep their own blobs; only new uploads are deduplicated.
+ *
+ * Usage: npm run backfill:hashes
+ */
+const backfill = async () => {
+  await connectDB();
+
+  const collection = getDB().collection('images');
+  const cursor = collection.find(
+    { perceptualHash: { $exists: false }, storageKey: { $exists: true } },
+    { projection: { storageKey: 1 } }
+  );
+  let updated = 0;
+  let failed = 0;
+
+  for await (const doc of cursor) {
+    try {
+      const buffer = await storageService.read(doc.storageKey);
+      const hashes = await duplicateDetectionService.computeHashes(buffer);
+      await collection.updateOne({ _id: doc._id }, { $set: hashes });
+      updated++;
+    } catch (error) {
+      console.log(`⚠️  Could not hash images/${doc._id}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  // Banding needs only the stored hash, not the bytes
+  let banded = 0;
+  const unbanded = collection.find(
+    { perceptualHash: { $exists: true }, hashBands: { $exists: false } },
+    { projection: { perceptualHash: 1 } }
+  );
+  for await (const doc of unbanded) {
+    await collection.updateOne({ _id: doc._id }, { $set: { hashBands: hashBandsOf(doc.perceptualHash) } });
+    banded++;
+  }
+
+  console.log(`✅ images: ${updated} hashed, ${failed} failed, ${banded} banded`);
+};
+
+backfill()
+  .then(() => closeDB())
+  .catch(async (error) => {
+    console.error('❌ Hash backfill failed:', error);
+    await closeDB();
+    process.exit(1);
+  });
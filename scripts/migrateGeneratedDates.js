@@ -0,0 +1,31 @@
+import { connectDB, closeDB, getDB } from '../config/database.js';
+
+/**
+ * Convert generated_images.createdAt from ISO strings to Dates.
+ * Older generations stored createdAt as a string, which sorts and filters
+ * separately from Date values and breaks paging/date-range queries.
+ *
+ * Usage: npm run migrate:dates
+ */
+const migrate = async () => {
+  await connectDB();
+
+  const collection = getDB().collection('generated_images');
+  const cursor = collection.find({ createdAt: { $type: 'string' } }, { projection: { createdAt: 1 } });
+  let migrated = 0;
+
+  for await (const doc of cursor) {
+    await collection.updateOne({ _id: doc._id }, { $set: { createdAt: new Date(doc.createdAt) } });
+    migrated++;
+  }
+
+  console.log(`✅ generated_images: ${migrated} createdAt value(s) converted`);
+};
+
+migrate()
+  .then(() => closeDB())
+  .catch(async (error) => {
+    console.error('❌ Date migration failed:', error);
+    await closeDB();
+    process.exit(1);
+  });
@@ -0,0 +1,77 @@
+import { connectDB, closeDB, getDB } from '../config/database.js';
+import storageService from '../services/storageService.js';
+
+/**
+ * Move base64 image payloads out of Mongo documents into the storage backend.
+ * Each migrated document gets storageKey/storageDriver/etag/size and loses
+ * base64Image. Safe to re-run: only documents that still have base64Image
+ * are touched.
+ *
+ * Usage: npm run migrate:storage [-- --dry-run]
+ */
+const COLLECTIONS = [
+  { name: 'images', prefix: 'images' },
+  { name: 'generated_images', prefix: 'generated' }
+];
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrateCollection = async ({ name, prefix }) => {
+  const collection = getDB().collection(name);
+  const cursor = collection.find({ base64Image: { $exists: true } });
+  let migrated = 0;
+  let skipped = 0;
+
+  for await (const doc of cursor) {
+    const match = /^data:([^;]+);base64,(.*)$/s.exec(doc.base64Image || '');
+    const mimetype = match ? match[1] : doc.mimetype;
+
+    // Old text-to-image records hold a placeholder string, not image bytes
+    if (!mimetype || !mimetype.startsWith('image/')) {
+      console.log(`⚠️  Skipping ${name}/${doc._id}: mimetype ${mimetype} is not an image`);
+      skipped++;
+      continue;
+    }
+
+    const buffer = Buffer.from(match ? match[2] : doc.base64Image, 'base64');
+
+    if (dryRun) {
+      console.log(`Would migrate ${name}/${doc._id} (${buffer.length} bytes, ${mimetype})`);
+      migrated++;
+      continue;
+    }
+
+    const stored = await storageService.saveImage(buffer, mimetype, prefix);
+    await collection.updateOne(
+      { _id: doc._id },
+      {
+        $set: {
+          storageKey: stored.storageKey,
+          storageDriver: stored.storageDriver,
+          etag: stored.etag,
+          size: stored.size,
+          mimetype: mimetype
+        },
+        $unset: { base64Image: '' }
+      }
+    );
+    migrated++;
+  }
+
+  console.log(`✅ ${name}: ${migrated} migrated, ${skipped} skipped${dryRun ? ' (dry run)' : ''}`);
+};
+
+const migrate = async () => {
+  await connectDB();
+  for (const collection of COLLECTIONS) {
+    await migrateCollection(collection);
+  }
+};
+
+migrate()
+  .then(() => closeDB())
+  .catch(async (error) => {
+    console.error('❌ Storage migration failed:', error);
+    await closeDB();
+    process.exit(1);
+  });
@@ -0,0 +1,44 @@
+import { connectDB, closeDB, readDB, findOneDB, writeDB } from '../config/database.js';
+
+/**
+ * Backfill the prompts collection from existing uploaded images.
+ * Before prompts were stored on their own, each image carried its own
+ * promptId/promptName/prompt. This creates one prompt per distinct promptId,
+ * keeping the ID so existing images and clients keep working.
+ *
+ * Usage: npm run seed:prompts
+ */
+const seedPrompts = async () => {
+  await connectDB();
+
+  const images = await readDB('images', { promptId: { $ne: null } });
+  const seen = new Set();
+  let created = 0;
+
+  for (const img of images) {
+    if (seen.has(img.promptId)) continue;
+    seen.add(img.promptId);
+
+    const existing = await findOneDB('prompts', { _id: img.promptId });
+    if (existing) continue;
+
+    await writeDB('prompts', {
+      _id: img.promptId,
+      promptName: img.promptName,
+      prompt: img.prompt,
+      createdAt: img.createdAt || new Date(),
+      updatedAt: new Date()
+    });
+    created++;
+  }
+
+  console.log(`✅ Seeded ${created} prompt(s) from ${seen.size} distinct promptId(s)`);
+};
+
+seedPrompts()
+  .then(() => closeDB())
+  .catch(async (error) => {
+    console.error('❌ Prompt seeding failed:', error);
+    await closeDB();
+    process.exit(1);
+  });
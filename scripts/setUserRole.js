@@ -0,0 +1,33 @@
+import { connectDB, closeDB, findOneDB, updateDB } from '../config/database.js';
+import { ROLES } from '../config/permissions.js';
+
+/**
+ * Change a user's role, e.g. to create the first admin.
+ *
+ * Usage: npm run user:role -- <email> <role>
+ */
+const setUserRole = async () => {
+  const [email, role] = process.argv.slice(2);
+
+  if (!email || !ROLES.includes(role)) {
+    throw new Error(`Usage: npm run user:role -- <email> <${ROLES.join('|')}>`);
+  }
+
+  await connectDB();
+
+  const user = await findOneDB('users', { email: email.toLowerCase() });
+  if (!user) {
+    throw new Error(`No user with email ${email}`);
+  }
+
+  await updateDB('users', { _id: user._id }, { role: role, updatedAt: new Date() });
+  console.log(`✅ ${email} is now ${role} (takes effect on their next login or token refresh)`);
+};
+
+setUserRole()
+  .then(() => closeDB())
+  .catch(async (error) => {
+    console.error('❌ Failed to set role:', error.message);
+    await closeDB();
+    process.exit(1);
+  });
@@ -0,0 +1,94 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { writeDB, findOneDB, findManyDB, updateDB } from '../config/database.js';
+import { AuthError } from './authService.js';
+
+export const API_KEY_SCOPES = ['images:read', 'images:write', 'prompts:read', 'prompts:write', 'generate', 'webhooks:manage'];
+
+const KEY_PREFIX = 'pxk_';
+
+/**
+ * Hash an API key for storage and lookup. Keys are 256 random bits, so a
+ * plain SHA-256 is enough; bcrypt would only slow down every request.
+ * @param {string} key - Plain API key
+ * @returns {string} - Hex digest
+ */
+export const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+class ApiKeyService {
+  /**
+   * Create an API key
+   * @param {string} ownerId - User the key acts as
+   * @param {Object} options - { name, scopes, expiresAt }
+   * @returns {Promise<Object>} - { record, key }; the plain key is only available here
+   */
+  async create(ownerId, { name, scopes, expiresAt = null }) {
+    const key = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+
+    const record = {
+      _id: uuidv4(),
+      ownerId: ownerId,
+      name: name,
+      prefix: key.slice(0, KEY_PREFIX.length + 6),
+      keyHash: hashApiKey(key),
+      scopes: scopes,
+      expiresAt: expiresAt,
+      lastUsedAt: null,
+      revokedAt: null,
+      createdAt: new Date()
+    };
+
+    await writeDB('api_keys', record);
+    return { record, key };
+  }
+
+  /**
+   * Resolve a presented API key to its record and owner
+   * @param {string} key - Plain API key from the request
+   * @returns {Promise<Object>} - { record, user }
+   * @throws {AuthError}
+   */
+  async verify(key) {
+    const record = await findOneDB('api_keys', { keyHash: hashApiKey(key) });
+
+    if (!record || record.revokedAt) {
+      throw new AuthError('INVALID_API_KEY', 'Invalid or revoked API key');
+    }
+    if (record.expiresAt && record.expiresAt < new Date()) {
+      throw new AuthError('API_KEY_EXPIRED', 'API key has expired');
+    }
+
+    const user = await findOneDB('users', { _id: record.ownerId });
+    if (!user) {
+      throw new AuthError('INVALID_API_KEY', 'API key owner no longer exists');
+    }
+
+    // Usage tracking must not slow down or fail the request
+    updateDB('api_keys', { _id: record._id }, { lastUsedAt: new Date() })
+      .catch(error => console.error('Failed to record API key usage:', error));
+
+    return { record, user };
+  }
+
+  /**
+   * List API keys visible under an owner scope
+   * @param {Object} scope - Mongo filter, e.g. { ownerId }
+   * @returns {Promise<Array>} - Key records
+   */
+  list(scope) {
+    return findManyDB('api_keys', scope, { sort: { createdAt: -1 }, projection: { keyHash: 0 } });
+  }
+
+  /**
+   * Revoke an API key
+   * @param {string} id - Key record ID
+   * @param {Object} scope - Mongo filter limiting which keys may be revoked
+   * @returns {Promise<boolean>} - false when no matching active key exists
+   */
+  async revoke(id, scope) {
+    const result = await updateDB('api_keys', { _id: id, revokedAt: null, ...scope }, { revokedAt: new Date() });
+    return result.matchedCount > 0;
+  }
+}
+
+export default new ApiKeyService();
@@ -0,0 +1,233 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import { v4 as uuidv4 } from 'uuid';
+import authConfig from '../config/auth.js';
+import { writeDB, findOneDB, getDB } from '../config/database.js';
+
+export class AuthError extends Error {
+  constructor(code, message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class AuthService {
+  constructor() {
+    if (!authConfig.jwtSecret) {
+      console.warn('⚠️  JWT_SECRET is not set; authentication endpoints will reject every request');
+    }
+  }
+
+  getSecret() {
+    if (!authConfig.jwtSecret) {
+      throw new AuthError('AUTH_NOT_CONFIGURED', 'JWT_SECRET is not set in environment variables', 500);
+    }
+    return authConfig.jwtSecret;
+  }
+
+  /**
+   * Hash a plain-text password with bcrypt
+   * @param {string} password - Plain-text password
+   * @returns {Promise<string>} - bcrypt hash
+   */
+  hashPassword(password) {
+    return bcrypt.hash(password, authConfig.bcryptRounds);
+  }
+
+  /**
+   * Check a plain-text password against a bcrypt hash
+   * @param {string} password - Plain-text password
+   * @param {string} passwordHash - bcrypt hash
+   * @returns {Promise<boolean>}
+   */
+  verifyPassword(password, passwordHash) {
+    return bcrypt.compare(password, passwordHash);
+  }
+
+  /**
+   * Sign a short-lived access token for a user
+   * @param {Object} user - User document
+   * @returns {string} - JWT
+   */
+  signAccessToken(user) {
+    return jwt.sign(
+      { email: user.email, role: user.role },
+      this.getSecret(),
+      {
+        subject: user._id,
+        issuer: authConfig.issuer,
+        expiresIn: Math.floor(authConfig.accessTokenTtlMs / 1000)
+      }
+    );
+  }
+
+  /**
+   * Verify an access token
+   * @param {string} token - JWT from the Authorization header
+   * @returns {Object} - { id, email, role }
+   * @throws {AuthError}
+   */
+  verifyAccessToken(token) {
+    try {
+      const payload = jwt.verify(token, this.getSecret(), { issuer: authConfig.issuer });
+      return { id: payload.sub, email: payload.email, role: payload.role };
+    } catch (error) {
+      if (error instanceof AuthError) throw error;
+      if (error.name === 'TokenExpiredError') {
+        throw new AuthError('TOKEN_EXPIRED', 'Access token has expired');
+      }
+      throw new AuthError('INVALID_TOKEN', 'Invalid access token');
+    }
+  }
+
+  /**
+   * Signature of a raw image URL: HMAC-SHA256 over the image ID and expiry
+   * @param {string} imageId - Image ID
+   * @param {number} expires - Unix seconds after which the URL stops working
+   * @returns {string} - Hex digest
+   */
+  imageUrlSignature(imageId, expires) {
+    return crypto.createHmac('sha256', this.getSecret()).update(`image-url:${imageId}:${expires}`).digest('hex');
+  }
+
+  /**
+   * Short-lived URL for an image's raw bytes that needs no credentials
+   * @param {string} imageId - Image ID, already checked to be visible to the caller
+   * @param {string} [variant] - Derivative to stream instead of the original
+   * @returns {Object} - { url, expiresAt }
+   */
+  signImageUrl(imageId, variant = null) {
+    const expires = Math.floor((Date.now() + authConfig.imageUrlTtlMs) / 1000);
+    const query = new URLSearchParams({ expires: String(expires), signature: this.imageUrlSignature(imageId, expires) });
+    if (variant) query.set('variant', variant);
+    return { url: `/api/images/${imageId}/raw?${query}`, expiresAt: new Date(expires * 1000) };
+  }
+
+  /**
+   * Check a signed image URL
+   * @param {string} imageId - Image ID from the path
+   * @param {string} expires - expires query parameter
+   * @param {string} signature - signature query parameter
+   * @throws {AuthError} - When the signature does not match or has expired
+   */
+  verifyImageUrl(imageId, expires, signature) {
+    const expected = /^\d+$/.test(String(expires)) ? this.imageUrlSignature(imageId, expires) : '';
+    const given = String(signature);
+    if (!expected || given.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected))) {
+      throw new AuthError('INVALID_SIGNATURE', 'Image URL signature is invalid');
+    }
+    if (Number(expires) * 1000 < Date.now()) {
+      throw new AuthError('URL_EXPIRED', 'Image URL has expired');
+    }
+  }
+
+  /**
+   * Create and store a new refresh token
+   * @param {string} userId - Owner of the token
+   * @param {string} [familyId] - Login session the token belongs to
+   * @returns {Promise<string>} - Opaque refresh token (only its hash is stored)
+   */
+  async createRefreshToken(userId, familyId = uuidv4()) {
+    const token = crypto.randomBytes(48).toString('base64url');
+
+    await writeDB('refresh_tokens', {
+      _id: uuidv4(),
+      userId: userId,
+      familyId: familyId,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + authConfig.refreshTokenTtlMs),
+      revokedAt: null,
+      createdAt: new Date()
+    });
+
+    return token;
+  }
+
+  /**
+   * Issue an access/refresh token pair for a user
+   * @param {Object} user - User document
+   * @param {string} [familyId] - Existing login session when refreshing
+   * @returns {Promise<Object>} - { accessToken, refreshToken, tokenType, expiresIn }
+   */
+  async issueTokens(user, familyId) {
+    return {
+      accessToken: this.signAccessToken(user),
+      refreshToken: await this.createRefreshToken(user._id, familyId),
+      tokenType: 'Bearer',
+      expiresIn: Math.floor(authConfig.accessTokenTtlMs / 1000)
+    };
+  }
+
+  /**
+   * Exchange a refresh token for new tokens, rotating it when configured
+   * @param {string} refreshToken - Opaque refresh token
+   * @returns {Promise<Object>} - { user, tokens }
+   * @throws {AuthError}
+   */
+  async refresh(refreshToken) {
+    const tokens = getDB().collection('refresh_tokens');
+    const stored = await findOneDB('refresh_tokens', { tokenHash: hashToken(refreshToken) });
+
+    if (!stored) {
+      throw new AuthError('INVALID_REFRESH_TOKEN', 'Invalid refresh token');
+    }
+
+    if (stored.revokedAt) {
+      // A rotated token came back: assume it leaked and end the whole session
+      await tokens.updateMany({ familyId: stored.familyId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+      throw new AuthError('REFRESH_TOKEN_REUSED', 'Refresh token has already been used; please log in again');
+    }
+
+    if (stored.expiresAt < new Date()) {
+      throw new AuthError('REFRESH_TOKEN_EXPIRED', 'Refresh token has expired; please log in again');
+    }
+
+    const user = await findOneDB('users', { _id: stored.userId });
+    if (!user) {
+      throw new AuthError('INVALID_REFRESH_TOKEN', 'Invalid refresh token');
+    }
+
+    if (!authConfig.rotateRefreshTokens) {
+      return {
+        user,
+        tokens: {
+          accessToken: this.signAccessToken(user),
+          refreshToken: refreshToken,
+          tokenType: 'Bearer',
+          expiresIn: Math.floor(authConfig.accessTokenTtlMs / 1000)
+        }
+      };
+    }
+
+    // Revoke atomically so two concurrent refreshes cannot both succeed
+    const result = await tokens.updateOne({ _id: stored._id, revokedAt: null }, { $set: { revokedAt: new Date() } });
+    if (result.modifiedCount === 0) {
+      throw new AuthError('REFRESH_TOKEN_REUSED', 'Refresh token has already been used; please log in again');
+    }
+
+    return { user, tokens: await this.issueTokens(user, stored.familyId) };
+  }
+
+  /**
+   * Revoke the session a refresh token belongs to (logout)
+   * @param {string} refreshToken - Opaque refresh token
+   * @returns {Promise<void>}
+   */
+  async revoke(refreshToken) {
+    const stored = await findOneDB('refresh_tokens', { tokenHash: hashToken(refreshToken) });
+    if (!stored) return;
+
+    await getDB().collection('refresh_tokens').updateMany(
+      { familyId: stored.familyId, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+  }
+}
+
+export default new AuthService();
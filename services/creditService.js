@@ -0,0 +1,370 @@
+import { v4 as uuidv4 } from 'uuid';
+import plans, { DEFAULT_PLAN } from '../config/plans.js';
+import { getDB, writeDB, findOneDB, findManyDB } from '../config/database.js';
+
+export const ACCOUNT_TYPES = ['user', 'api_key'];
+
+export const LEDGER_TYPES = ['grant', 'debit', 'refund'];
+
+/**
+ * A debit that could not be made
+ */
+export class CreditError extends Error {
+  constructor(code, message, status = 402, retryAfterMs = null) {
+    super(message);
+    this.name = 'CreditError';
+    this.code = code;
+    this.status = status;
+    // For caps: time until the period resets
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// UTC day and month keys, plus when each ends
+const periodsAt = (date) => {
+  const iso = date.toISOString();
+  const dayEnd = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+  const monthEnd = Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+  return { day: iso.slice(0, 10), month: iso.slice(0, 7), dayEnd, monthEnd };
+};
+
+/**
+ * Build a credit account ID
+ * @param {string} type - One of ACCOUNT_TYPES
+ * @param {string} id - User or API key ID
+ * @returns {string} - e.g. "user:<id>"
+ */
+export const accountId = (type, id) => `${type}:${id}`;
+
+/**
+ * Credit balances and the ledger of every change to them. Each user has an
+ * account; an API key gets its own account once an admin funds it or gives it
+ * a plan, and until then spends its owner's credits. Accounts live in
+ * `credit_accounts`, ledger entries in `credit_ledger`.
+ */
+class CreditService {
+  constructor() {
+    console.log(`Credit Service initialized (default plan: ${DEFAULT_PLAN})`);
+  }
+
+  /**
+   * Settings of a plan, falling back to the default plan for removed ones
+   * @param {string} name - Plan name
+   * @returns {Object} - { name, initialCredits, dailyCap, monthlyCap }
+   */
+  plan(name) {
+    const planName = plans[name] ? name : DEFAULT_PLAN;
+    return { name: planName, ...plans[planName] };
+  }
+
+  // Fields of an account as it is first created. New user accounts get
+  // their plan's initial credits.
+  newAccount(id, ownerId) {
+    const [type] = id.split(':');
+    const plan = this.plan(DEFAULT_PLAN);
+    const now = new Date();
+    const { day, month } = periodsAt(now);
+    return {
+      type: type,
+      ownerId: ownerId,
+      plan: plan.name,
+      balance: type === 'user' ? plan.initialCredits : 0,
+      usage: { day, dayUsed: 0, month, monthUsed: 0 },
+      createdAt: now,
+      updatedAt: now
+    };
+  }
+
+  /**
+   * Get an account, creating it on first use
+   * @param {string} id - Account ID, see accountId()
+   * @param {string} ownerId - User the account belongs to
+   * @returns {Promise<Object>} - Account document
+   */
+  async ensureAccount(id, ownerId) {
+    const fields = this.newAccount(id, ownerId);
+
+    let result;
+    try {
+      result = await getDB().collection('credit_accounts').updateOne(
+        { _id: id },
+        { $setOnInsert: fields },
+        { upsert: true }
+      );
+    } catch (error) {
+      // A parallel request created the account first
+      if (error.code !== 11000) throw error;
+      result = { upsertedCount: 0 };
+    }
+
+    if (result.upsertedCount > 0 && fields.balance > 0) {
+      await this.record(id, 'grant', fields.balance, fields.balance, { reason: `Initial credits for the ${fields.plan} plan` });
+    }
+    return findOneDB('credit_accounts', { _id: id });
+  }
+
+  /**
+   * Get an account without creating it: one that does not exist yet is
+   * returned as it would be created, with no ledger behind it
+   * @param {string} id - Account ID, see accountId()
+   * @param {string} ownerId - User the account belongs to
+   * @returns {Promise<Object>} - Account document, stored or not
+   */
+  async peekAccount(id, ownerId) {
+    return await findOneDB('credit_accounts', { _id: id }) || { _id: id, ...this.newAccount(id, ownerId) };
+  }
+
+  /**
+   * Account a request spends from: the API key's own account when it has one,
+   * otherwise the user's
+   * @param {string} userId - req.user.id
+   * @param {string} [apiKeyId] - req.apiKey.id for API key callers
+   * @returns {Promise<Object>} - Account document
+   */
+  async accountFor(userId, apiKeyId = null) {
+    if (apiKeyId) {
+      const keyAccount = await findOneDB('credit_accounts', { _id: accountId('api_key', apiKeyId) });
+      if (keyAccount) return keyAccount;
+    }
+    return this.ensureAccount(accountId('user', userId), userId);
+  }
+
+  /**
+   * accountFor() for reads: the user's account is not created when missing,
+   * see peekAccount()
+   * @param {string} userId - req.user.id
+   * @param {string} [apiKeyId] - req.apiKey.id for API key callers
+   * @returns {Promise<Object>} - Account document, stored or not
+   */
+  async peekAccountFor(userId, apiKeyId = null) {
+    if (apiKeyId) {
+      const keyAccount = await findOneDB('credit_accounts', { _id: accountId('api_key', apiKeyId) });
+      if (keyAccount) return keyAccount;
+    }
+    return this.peekAccount(accountId('user', userId), userId);
+  }
+
+  /**
+   * Take credits from an account. The balance and the plan's caps are checked
+   * and updated in one atomic write, so concurrent requests cannot overspend.
+   * @param {Object} account - Account document
+   * @param {number} amount - Credits to take
+   * @param {Object} [details] - { reason }
+   * @returns {Promise<Object>} - Charge { id, accountId, amount }, needed for refund()
+   * @throws {CreditError}
+   */
+  async debit(account, amount, { reason } = {}) {
+    const accounts = getDB().collection('credit_accounts');
+    const plan = this.plan(account.plan);
+
+    // A period that rolled over between the reset and the debit gets one more try
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const now = new Date();
+      const periods = periodsAt(now);
+
+      // Start new day and month counters
+      await accounts.updateOne(
+        { _id: account._id, 'usage.day': { $ne: periods.day } },
+        { $set: { 'usage.day': periods.day, 'usage.dayUsed': 0 } }
+      );
+      await accounts.updateOne(
+        { _id: account._id, 'usage.month': { $ne: periods.month } },
+        { $set: { 'usage.month': periods.month, 'usage.monthUsed': 0 } }
+      );
+
+      const filter = {
+        _id: account._id,
+        balance: { $gte: amount },
+        'usage.day': periods.day,
+        'usage.month': periods.month
+      };
+      if (plan.dailyCap !== null) filter['usage.dayUsed'] = { $lte: plan.dailyCap - amount };
+      if (plan.monthlyCap !== null) filter['usage.monthUsed'] = { $lte: plan.monthlyCap - amount };
+
+      const updated = await accounts.findOneAndUpdate(
+        filter,
+        {
+          $inc: { balance: -amount, 'usage.dayUsed': amount, 'usage.monthUsed': amount },
+          $set: { updatedAt: now }
+        },
+        { returnDocument: 'after' }
+      );
+
+      if (updated) {
+        const entry = await this.record(account._id, 'debit', -amount, updated.balance, {
+          reason: reason || null,
+          period: { day: periods.day, month: periods.month },
+          refunded: 0,
+          refundedAt: null
+        });
+        return { id: entry._id, accountId: account._id, amount };
+      }
+
+      const current = await findOneDB('credit_accounts', { _id: account._id });
+      if (current.balance < amount) {
+        throw new CreditError(
+          'INSUFFICIENT_CREDITS',
+          `This generation costs ${amount} credit(s); the balance is ${current.balance}`
+        );
+      }
+      if (current.usage.day === periods.day && plan.dailyCap !== null && current.usage.dayUsed + amount > plan.dailyCap) {
+        throw new CreditError(
+          'DAILY_CAP_REACHED',
+          `The ${plan.name} plan allows ${plan.dailyCap} credit(s) per day`,
+          429,
+          periods.dayEnd - now.getTime()
+        );
+      }
+      if (current.usage.month === periods.month && plan.monthlyCap !== null && current.usage.monthUsed + amount > plan.monthlyCap) {
+        throw new CreditError(
+          'MONTHLY_CAP_REACHED',
+          `The ${plan.name} plan allows ${plan.monthlyCap} credit(s) per month`,
+          429,
+          periods.monthEnd - now.getTime()
+        );
+      }
+    }
+
+    throw new CreditError('CREDIT_CONFLICT', 'Could not debit credits, try again', 409);
+  }
+
+  /**
+   * Return a charge's credits, or part of them. A charge is never refunded
+   * more than it cost, however many refunds race. Usage only goes back down if
+   * the charge was made in the current day or month. Failures are logged,
+   * never thrown: a refund runs while handling another failure.
+   * @param {string} chargeId - Charge ID from debit()
+   * @param {string} reason - Why the credits are returned
+   * @param {number} [amount] - Credits to return; whatever is left of the charge when omitted
+   * @returns {Promise<void>}
+   */
+  async refund(chargeId, reason, amount = null) {
+    try {
+      const ledger = getDB().collection('credit_ledger');
+
+      // Claim the amount by moving `refunded` on from the value we read;
+      // a concurrent refund that moved it first makes us read it again
+      for (let attempt = 0; attempt < 3; attempt++) {
+        const debit = await findOneDB('credit_ledger', { _id: chargeId, type: 'debit', refundedAt: null });
+        if (!debit) return;
+
+        const charged = -debit.amount;
+        const alreadyRefunded = debit.refunded || 0;
+        const refundAmount = Math.min(amount === null ? charged : amount, charged - alreadyRefunded);
+        if (refundAmount <= 0) return;
+
+        const total = alreadyRefunded + refundAmount;
+        const claimed = await ledger.updateOne(
+          // Charges made before partial refunds have no `refunded` field; null matches it
+          { _id: chargeId, refundedAt: null, refunded: debit.refunded === undefined ? null : debit.refunded },
+          { $set: { refunded: total, refundedAt: total === charged ? new Date() : null } }
+        );
+        if (claimed.modifiedCount === 0) continue;
+
+        const accounts = getDB().collection('credit_accounts');
+        const updated = await accounts.findOneAndUpdate(
+          { _id: debit.accountId },
+          { $inc: { balance: refundAmount }, $set: { updatedAt: new Date() } },
+          { returnDocument: 'after' }
+        );
+        await accounts.updateOne(
+          { _id: debit.accountId, 'usage.day': debit.period.day },
+          { $inc: { 'usage.dayUsed': -refundAmount } }
+        );
+        await accounts.updateOne(
+          { _id: debit.accountId, 'usage.month': debit.period.month },
+          { $inc: { 'usage.monthUsed': -refundAmount } }
+        );
+
+        await this.record(debit.accountId, 'refund', refundAmount, updated.balance, { reason, chargeId });
+        return;
+      }
+      console.error(`Gave up refunding charge ${chargeId}: it kept changing`);
+    } catch (error) {
+      console.error(`Failed to refund charge ${chargeId}:`, error);
+    }
+  }
+
+  /**
+   * Add credits to an account
+   * @param {Object} account - Account document
+   * @param {number} amount - Credits to add
+   * @param {Object} details - { reason, grantedBy }
+   * @returns {Promise<Object>} - Ledger entry
+   */
+  async grant(account, amount, { reason, grantedBy }) {
+    const updated = await getDB().collection('credit_accounts').findOneAndUpdate(
+      { _id: account._id },
+      { $inc: { balance: amount }, $set: { updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    return this.record(account._id, 'grant', amount, updated.balance, { reason, grantedBy });
+  }
+
+  /**
+   * Move an account to another plan; the balance is kept
+   * @param {Object} account - Account document
+   * @param {string} planName - Key of config/plans.js
+   * @returns {Promise<Object>} - Updated account
+   */
+  setPlan(account, planName) {
+    return getDB().collection('credit_accounts').findOneAndUpdate(
+      { _id: account._id },
+      { $set: { plan: planName, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+  }
+
+  /**
+   * Ledger entries for an account, newest first
+   * @param {string} id - Account ID
+   * @param {Object} filters - { type, limit }
+   * @returns {Promise<Array>}
+   */
+  ledger(id, { type, limit = 20 } = {}) {
+    const query = { accountId: id };
+    if (type) query.type = type;
+    return findManyDB('credit_ledger', query, { sort: { createdAt: -1 }, limit });
+  }
+
+  /**
+   * Balance, plan and what is left of the caps in the current periods
+   * @param {Object} account - Account document
+   * @returns {Object}
+   */
+  summary(account) {
+    const plan = this.plan(account.plan);
+    const periods = periodsAt(new Date());
+    const usedToday = account.usage.day === periods.day ? account.usage.dayUsed : 0;
+    const usedThisMonth = account.usage.month === periods.month ? account.usage.monthUsed : 0;
+
+    return {
+      accountId: account._id,
+      type: account.type,
+      ownerId: account.ownerId,
+      balance: account.balance,
+      plan: plan.name,
+      dailyCap: plan.dailyCap,
+      monthlyCap: plan.monthlyCap,
+      usedToday: usedToday,
+      usedThisMonth: usedThisMonth
+    };
+  }
+
+  // Append a ledger entry
+  async record(id, type, amount, balanceAfter, fields = {}) {
+    const entry = {
+      _id: uuidv4(),
+      accountId: id,
+      type: type,
+      amount: amount,
+      balanceAfter: balanceAfter,
+      ...fields,
+      createdAt: new Date()
+    };
+    await writeDB('credit_ledger', entry);
+    return entry;
+  }
+}
+
+export default new CreditService();
@@ -0,0 +1,126 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import dotenv from 'dotenv';
+import { findOneDB, findManyDB } from '../config/database.js';
+
+// Load environment variables
+dotenv.config();
+
+// Number of set bits per nibble, for Hamming distance on hex hashes
+const NIBBLE_BITS = [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4];
+
+// The 64-bit hash is split into 8 bands of 8 bits, stored as "<band>:<hex>" in
+// hashBands. Two hashes less than 8 bits apart share at least one band, so a
+// multikey index on hashBands narrows the candidates before distances are computed.
+const BAND_COUNT = 8;
+
+// Largest distance the bands guarantee to find: with BAND_COUNT bits differing,
+// every band can hold one of them
+const GUARANTEED_DISTANCE = BAND_COUNT - 1;
+
+// Most candidates compared per lookup
+const MAX_CANDIDATES = 1000;
+
+/**
+ * Bands of a perceptual hash, for the hashBands field
+ * @param {string} perceptualHash - 16-digit hex dHash
+ * @returns {string[]}
+ */
+export const hashBandsOf = (perceptualHash) => {
+  const width = perceptualHash.length / BAND_COUNT;
+  return Array.from({ length: BAND_COUNT }, (_, band) => `${band}:${perceptualHash.slice(band * width, (band + 1) * width)}`);
+};
+
+class DuplicateDetectionService {
+  constructor() {
+    // Max differing bits (out of 64) for two images to count as near-duplicates.
+    // The default is the largest distance the band index always finds.
+    this.threshold = Number(process.env.DUPLICATE_HAMMING_THRESHOLD) || GUARANTEED_DISTANCE;
+  }
+
+  /**
+   * Compute the exact and perceptual hashes of an image
+   * @param {Buffer} buffer - Image bytes
+   * @returns {Promise<Object>} - { contentHash, perceptualHash } as hex strings, plus perceptualHash's hashBands
+   */
+  async computeHashes(buffer) {
+    const contentHash = crypto.createHash('sha256').update(buffer).digest('hex');
+
+    // dHash: shrink to 9x8 grayscale and record whether each pixel is
+    // brighter than its right-hand neighbour, giving 64 bits
+    const pixels = await sharp(buffer)
+      .rotate()
+      .grayscale()
+      .resize(9, 8, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+
+    let bits = 0n;
+    for (let row = 0; row < 8; row++) {
+      for (let col = 0; col < 8; col++) {
+        const left = pixels[row * 9 + col];
+        const right = pixels[row * 9 + col + 1];
+        bits = (bits << 1n) | (left > right ? 1n : 0n);
+      }
+    }
+
+    const perceptualHash = bits.toString(16).padStart(16, '0');
+    return { contentHash, perceptualHash, hashBands: hashBandsOf(perceptualHash) };
+  }
+
+  /**
+   * Number of differing bits between two perceptual hashes
+   * @param {string} a - Hex hash
+   * @param {string} b - Hex hash
+   * @returns {number}
+   */
+  hammingDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+      distance += NIBBLE_BITS[parseInt(a[i], 16) ^ parseInt(b[i], 16)];
+    }
+    return distance;
+  }
+
+  /**
+   * Find an uploaded image with exactly the same bytes
+   * @param {string} contentHash - SHA-256 hex of the image bytes
+   * @returns {Promise<Object|null>} - Image document
+   */
+  findExact(contentHash) {
+    return findOneDB('images', { contentHash: contentHash });
+  }
+
+  /**
+   * Find uploaded images that look like the given perceptual hash. Only images
+   * sharing a hash band are compared: every match up to GUARANTEED_DISTANCE bits
+   * away is found, and above that only those whose differences leave a band intact,
+   * up to MAX_CANDIDATES candidates. Images an admin rejected are never matches.
+   * @param {string} perceptualHash - Hex dHash
+   * @param {Object} [options] - { excludeId, threshold, limit, scope } where scope is an extra Mongo filter
+   * @returns {Promise<Array>} - [{ image, distance }] sorted by distance
+   */
+  async findSimilar(perceptualHash, { excludeId, threshold = this.threshold, limit = 20, scope = {} } = {}) {
+    const candidates = await findManyDB(
+      'images',
+      {
+        $and: [
+          scope,
+          { hashBands: { $in: hashBandsOf(perceptualHash) }, _id: { $ne: excludeId }, moderationStatus: { $ne: 'rejected' } }
+        ]
+      },
+      {
+        projection: { _id: 1, promptId: 1, promptName: 1, perceptualHash: 1, contentHash: 1 },
+        limit: MAX_CANDIDATES
+      }
+    );
+
+    return candidates
+      .map(image => ({ image, distance: this.hammingDistance(perceptualHash, image.perceptualHash) }))
+      .filter(match => match.distance <= threshold)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, limit);
+  }
+}
+
+export default new DuplicateDetectionService();
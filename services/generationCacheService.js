@@ -0,0 +1,113 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import storageService from './storageService.js';
+import { getDB, findOneDB, findManyDB } from '../config/database.js';
+
+// Load environment variables
+dotenv.config();
+
+// Longest time a request may ask for its result to be kept
+export const MAX_CACHE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Results of earlier generations, so re-running the same prompt, reference
+ * image, model and parameters returns the stored images instead of calling
+ * the provider again. Entries live in `generation_cache`, keyed by a hash of
+ * everything that shapes the output, and belong to the user who made them.
+ * GENERATION_CACHE_TTL_MS sets how long they are kept (0 turns caching off).
+ */
+class GenerationCacheService {
+  constructor() {
+    const ttl = parseInt(process.env.GENERATION_CACHE_TTL_MS, 10);
+    this.ttlMs = Number.isInteger(ttl) && ttl >= 0 ? Math.min(ttl, MAX_CACHE_TTL_MS) : 24 * 60 * 60 * 1000;
+    console.log(`Generation Cache Service initialized (${this.ttlMs ? `ttl ${this.ttlMs}ms` : 'off'})`);
+  }
+
+  /**
+   * Cache key of a generation
+   * @param {Object} parts - { ownerId, provider, model, prompt, reference (Buffer|null), params }
+   *   where params holds every generation parameter, e.g. seed and outputMimeType
+   * @returns {string} - Hex digest
+   */
+  key({ ownerId, provider, model, prompt, reference, params }) {
+    const sortedParams = Object.fromEntries(Object.keys(params).sort().map(name => [name, params[name]]));
+    return sha256(JSON.stringify({
+      ownerId,
+      provider,
+      model,
+      prompt,
+      reference: reference ? sha256(reference) : null,
+      params: sortedParams
+    }));
+  }
+
+  /**
+   * Stored result for a key, if it has not expired and its images still exist and were not rejected
+   * @param {string} key - See key()
+   * @returns {Promise<Object|null>} - { image, images, base64Image } like a fresh generation
+   */
+  async get(key) {
+    const entry = await findOneDB('generation_cache', { _id: key });
+    if (!entry) return null;
+
+    const cache = getDB().collection('generation_cache');
+    if (entry.expiresAt <= new Date()) {
+      await cache.deleteOne({ _id: key });
+      return null;
+    }
+
+    const found = await findManyDB('generated_images', { _id: { $in: entry.imageIds } });
+    // Keep the order the images were generated in
+    const images = entry.imageIds.map(id => found.find(image => image._id === id)).filter(Boolean);
+    const rejected = images.some(image => image.moderationStatus === 'rejected');
+    if (images.length !== entry.imageIds.length || !images[0].storageKey || rejected) {
+      // An image was deleted or rejected by a moderator since; the entry can no longer be served
+      await cache.deleteOne({ _id: key });
+      return null;
+    }
+
+    await cache.updateOne({ _id: key }, { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } });
+    const buffer = await storageService.read(images[0].storageKey);
+    return { image: images[0], images, base64Image: buffer.toString('base64') };
+  }
+
+  /**
+   * Remember a generation's images under its key, replacing any older entry
+   * @param {string} key - See key()
+   * @param {Array} images - Stored generated_images documents
+   * @param {Object} details - { ownerId, promptId, ttlMs } (ttlMs defaults to GENERATION_CACHE_TTL_MS)
+   * @returns {Promise<void>}
+   */
+  async set(key, images, { ownerId, promptId = null, ttlMs = null }) {
+    const ttl = ttlMs === null ? this.ttlMs : ttlMs;
+    if (!ttl) return;
+
+    const now = new Date();
+    await getDB().collection('generation_cache').replaceOne(
+      { _id: key },
+      {
+        ownerId: ownerId,
+        promptId: promptId,
+        imageIds: images.map(image => image._id),
+        hits: 0,
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + ttl)
+      },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Drop cache entries
+   * @param {Object} filter - Owner scope, optionally with promptId
+   * @returns {Promise<number>} - Entries removed
+   */
+  async clear(filter) {
+    const result = await getDB().collection('generation_cache').deleteMany(filter);
+    return result.deletedCount;
+  }
+}
+
+export default new GenerationCacheService();
@@ -0,0 +1,641 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { v4 as uuidv4 } from 'uuid';
+import imageGenerationService from './imageGenerationService.js';
+import imageVariantService from './imageVariantService.js';
+import imageInspectionService from './imageInspectionService.js';
+import storageService from './storageService.js';
+import jobService from './jobService.js';
+import { statusFor } from './providers/providerErrors.js';
+import { resolveVariables, renderTemplate, TemplateError } from '../utils/promptTemplate.js';
+import webhookService from './webhookService.js';
+import creditService from './creditService.js';
+import promptVersionService from './promptVersionService.js';
+import generationCacheService from './generationCacheService.js';
+import moderationService from './moderationService.js';
+import { GENERATION_COST } from '../config/plans.js';
+import { writeDB, findOneDB, deleteDB } from '../config/database.js';
+
+// Webhook event sent for each way a generation can end
+const SETTLED_EVENTS = {
+  succeeded: 'generation.completed',
+  failed: 'generation.failed',
+  cancelled: 'generation.cancelled'
+};
+
+// Seeds are sent to providers as 32-bit signed integers
+export const MAX_SEED = 2 ** 31 - 1;
+
+const orNull = (value) => (value === undefined ? null : value);
+
+// Style fields recorded on every generated image, so it can be reproduced
+const styleFields = (style) => ({
+  stylePreset: style ? style.stylePreset : null,
+  styleInstruction: style ? style.styleInstruction : null,
+  negativePrompt: style ? style.negativePrompt : null,
+  aspectRatio: style ? style.aspectRatio : null,
+  outputMimeType: style ? style.outputMimeType : null
+});
+
+// What the provider is sent of a style
+const styleParams = (style) => ({
+  styleInstruction: style ? style.styleInstruction : null,
+  negativePrompt: style ? style.negativePrompt : null,
+  aspectRatio: style ? style.aspectRatio : null
+});
+
+// Shape a batch item outcome for responses and job results
+const batchItem = (outcome) => ({
+  index: outcome.index,
+  referenceIndex: outcome.referenceIndex,
+  variation: outcome.variation,
+  seed: outcome.seed,
+  temperature: outcome.temperature,
+  status: outcome.status,
+  // Served from the result cache rather than generated
+  cached: outcome.saved ? outcome.saved.cached : false,
+  imageIds: outcome.saved ? outcome.saved.images.map(image => image._id) : [],
+  error: outcome.error ? { code: outcome.error.code, type: outcome.error.type, message: outcome.error.message } : null
+});
+
+/**
+ * A generation that could not produce a stored image
+ */
+export class GenerationError extends Error {
+  constructor(code, message, status = 500, type = code, retryAfterMs = null) {
+    super(message);
+    this.name = 'GenerationError';
+    this.code = code;
+    this.status = status;
+    // Provider error category, e.g. QUOTA_EXCEEDED
+    this.type = type;
+    // When the provider said how long to wait before trying again
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+class GenerationService {
+  constructor() {
+    // Most items (reference images x variations) one request may generate,
+    // and how many of them are sent to the provider at once
+    this.maxBatchItems = parseInt(process.env.MAX_BATCH_ITEMS, 10) || 8;
+    this.batchConcurrency = parseInt(process.env.BATCH_CONCURRENCY, 10) || 2;
+    console.log('Generation Service initialized');
+
+    jobService.registerHandler('generate', {
+      run: (job, onProgress) => this.runPromptJob(job, onProgress),
+      discard: (job, result) => this.discardImages(this.generatedImageIds(result)),
+      settled: (job, outcome) => this.settleJob(job, outcome),
+      cleanup: (job) => this.deleteJobReferences(job)
+    });
+    jobService.registerHandler('generate-text', {
+      run: (job, onProgress) => this.runTextJob(job, onProgress),
+      discard: (job, result) => this.discardImages(this.generatedImageIds(result)),
+      settled: (job, outcome) => this.settleJob(job, outcome)
+    });
+  }
+
+  /**
+   * Fill a stored prompt's placeholders from request variables
+   * @param {Object} prompt - Prompt document
+   * @param {Object} [values] - Variable values from the request
+   * @returns {Object} - { text, variables } with defaults filled in
+   * @throws {GenerationError} - INVALID_VARIABLES
+   */
+  renderPrompt(prompt, values) {
+    try {
+      const variables = resolveVariables(prompt, values);
+      return { text: renderTemplate(prompt.prompt, variables), variables };
+    } catch (error) {
+      if (error instanceof TemplateError) {
+        throw new GenerationError(error.code, error.message, error.status);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Run the moderation rules over the text a generation will send. The negative
+   * prompt is checked too; preset instructions are written by admins.
+   * @param {string} text - Rendered prompt text
+   * @param {Object|null} style - See stylePresetService.resolve
+   * @param {string} ownerId - User asking, for the block log
+   * @returns {Promise<string[]>} - Reasons to hold the result for review; empty when clean
+   * @throws {GenerationError} - PROMPT_BLOCKED
+   */
+  async moderatePrompt(text, style, ownerId) {
+    const checked = [text, style && style.negativePrompt].filter(Boolean).join('\n');
+    const { action, reasons } = moderationService.checkPrompt(checked);
+    if (action !== 'block') return reasons;
+
+    try {
+      await moderationService.recordBlock({ ownerId, prompt: text, origin: 'rules', reasons });
+    } catch (error) {
+      console.error('Failed to log blocked prompt:', error);
+    }
+    throw new GenerationError('PROMPT_BLOCKED', `Prompt blocked by moderation: ${reasons.join('; ')}`, 422, 'SAFETY_BLOCKED');
+  }
+
+  /**
+   * Generate an image from a stored prompt and a reference image, then store it
+   * @param {Object} prompt - Prompt document, or a version of it (with version set);
+   *   its placeholders are filled from variables
+   * @param {Object} reference - { buffer, mimetype } of an inspected image
+   * @param {string} ownerId - User the generated image belongs to
+   * @param {Object} [options] - { variables, provider, model, seed, temperature,
+   *   batch: { batchId, batchIndex, referenceIndex }, source: { sourceImageId, rootImageId }
+   *   (when the reference is a stored image), style (see stylePresetService.resolve),
+   *   cache: { force, ttlMs } (see withCache), onProgress(event, data) }
+   * @returns {Promise<Object>} - { image, images, base64Image, cached }; image is the first of images
+   * @throws {GenerationError} - Including PROMPT_BLOCKED when the moderation rules refuse the prompt
+   */
+  async generateFromPrompt(prompt, reference, ownerId, {
+    variables, provider, model, seed = null, temperature = null, batch = null, source = null, style = null,
+    cache = {}, onProgress = () => {}
+  } = {}) {
+    const rendered = this.renderPrompt(prompt, variables);
+    const promptFlags = await this.moderatePrompt(rendered.text, style, ownerId);
+    const params = { seed, temperature, ...styleParams(style) };
+    const lookup = {
+      ownerId,
+      promptId: prompt._id,
+      provider,
+      model,
+      withReference: true,
+      prompt: rendered.text,
+      reference: reference.buffer,
+      params: { ...params, outputMimeType: style ? style.outputMimeType : null }
+    };
+
+    return this.withCache(lookup, cache, onProgress, async () => {
+      const result = await imageGenerationService.generateImage(
+        rendered.text,
+        reference.buffer.toString('base64'),
+        reference.mimetype,
+        { provider, model, ...params, onProgress }
+      );
+
+      return this.saveResult(result, ownerId, onProgress, {
+        promptId: prompt._id,
+        promptName: prompt.promptName,
+        promptVersion: prompt.version || null,
+        // The stored prompt is the template; prompt is the text that was sent
+        templateId: prompt._id,
+        variables: rendered.variables,
+        prompt: rendered.text,
+        // Images from one request share a batchId
+        batchId: batch ? batch.batchId : null,
+        batchIndex: batch ? batch.batchIndex : null,
+        referenceIndex: batch ? batch.referenceIndex : null,
+        seed: seed,
+        temperature: temperature,
+        // Lineage: the stored image this one was made from, and the top of its family
+        sourceImageId: source ? source.sourceImageId : null,
+        rootImageId: source ? source.rootImageId : null,
+        ...styleFields(style),
+        originalName: 'ai-generated-image'
+      }, promptFlags);
+    });
+  }
+
+  /**
+   * Serve a generation from the result cache, or run it and cache the images it
+   * stored. Cache trouble is logged and never fails the generation.
+   * @param {Object} lookup - { ownerId, promptId, provider, model, withReference, prompt, reference, params }
+   * @param {Object} cache - { force: skip the lookup (the result is still cached),
+   *   ttlMs: how long to keep the result, 0 to not keep it; GENERATION_CACHE_TTL_MS when omitted }
+   * @param {Function} onProgress - Receives ('cache_hit', { imageIds })
+   * @param {Function} generate - Runs the generation, resolving to saveResult()'s result
+   * @returns {Promise<Object>} - The result, with cached: true when it came from the cache
+   */
+  async withCache(lookup, { force = false, ttlMs = null } = {}, onProgress, generate) {
+    if (!generationCacheService.ttlMs) {
+      return { ...await generate(), cached: false };
+    }
+
+    let key = null;
+    try {
+      // Key on the model that will actually run, so a new default model is not served old results
+      const selection = await imageGenerationService.resolveModel(lookup);
+      if (!selection.error) {
+        key = generationCacheService.key({ ...lookup, provider: selection.provider, model: selection.model });
+      }
+      const hit = key && !force ? await generationCacheService.get(key) : null;
+      if (hit) {
+        onProgress('cache_hit', { imageIds: hit.images.map(image => image._id) });
+        return { ...hit, cached: true };
+      }
+    } catch (error) {
+      console.error('Generation cache lookup failed:', error);
+    }
+
+    const saved = await generate();
+    if (key) {
+      try {
+        await generationCacheService.set(key, saved.images, { ownerId: lookup.ownerId, promptId: lookup.promptId, ttlMs });
+      } catch (error) {
+        console.error('Failed to cache generation result:', error);
+      }
+    }
+    return { ...saved, cached: false };
+  }
+
+  /**
+   * Items of a batch: every variation of every reference image. Variation i
+   * uses seed + i; without a seed, variations get random consecutive seeds so
+   * they differ, and a single item leaves the seed to the provider.
+   * @param {number} referenceCount - Number of reference images
+   * @param {Object} [options] - { variations, seed, temperature (number, or one per variation) }
+   * @returns {Array} - [{ index, referenceIndex, variation, seed, temperature }]
+   */
+  planBatch(referenceCount, { variations = 1, seed = null, temperature = null } = {}) {
+    let baseSeed = orNull(seed);
+    if (baseSeed === null && variations > 1) {
+      baseSeed = crypto.randomInt(MAX_SEED);
+    }
+
+    const items = [];
+    for (let referenceIndex = 0; referenceIndex < referenceCount; referenceIndex++) {
+      for (let variation = 0; variation < variations; variation++) {
+        items.push({
+          index: items.length,
+          referenceIndex: referenceIndex,
+          variation: variation,
+          seed: baseSeed === null ? null : (baseSeed + variation) % (MAX_SEED + 1),
+          temperature: orNull(Array.isArray(temperature) ? temperature[variation] : temperature)
+        });
+      }
+    }
+    return items;
+  }
+
+  /**
+   * Generate every item of a batch from a stored prompt, a few at a time, and
+   * store each result as its own generated images linked by a batchId. An item
+   * that fails is reported in its entry and does not stop the others.
+   * @param {Object} prompt - Prompt document, see generateFromPrompt
+   * @param {Array} references - [{ buffer, mimetype }] of inspected images
+   * @param {string} ownerId - User the generated images belong to
+   * @param {Object} [options] - { variables, provider, model, variations, seed, temperature, source, style,
+   *   cache, onProgress(event, data) }
+   * @returns {Promise<Object>} - { batchId, items, image, images, base64Image, cached }; image and
+   *   base64Image describe the first stored image. batchId is null for a single item, and
+   *   cached is true when every item came from the result cache.
+   * @throws {GenerationError} - The first item's error when every item failed
+   */
+  async generateBatch(prompt, references, ownerId, {
+    variables, provider, model, variations, seed, temperature, source = null, style = null, cache = {},
+    onProgress = () => {}
+  } = {}) {
+    const items = this.planBatch(references.length, { variations, seed, temperature });
+    // A single item is an ordinary generation, with the same events and record as before batches
+    const batchId = items.length > 1 ? uuidv4() : null;
+    const outcomes = [];
+
+    const runItem = async (item) => {
+      const itemProgress = batchId ? (event, data) => onProgress(event, { ...data, item: item.index }) : onProgress;
+      try {
+        const saved = await this.generateFromPrompt(prompt, references[item.referenceIndex], ownerId, {
+          variables,
+          provider,
+          model,
+          seed: item.seed,
+          temperature: item.temperature,
+          batch: batchId ? { batchId, batchIndex: item.index, referenceIndex: item.referenceIndex } : null,
+          source,
+          style,
+          cache,
+          onProgress: itemProgress
+        });
+        outcomes[item.index] = { ...item, status: 'succeeded', saved };
+        if (batchId) onProgress('item_completed', { item: item.index, imageIds: saved.images.map(image => image._id) });
+      } catch (error) {
+        if (!(error instanceof GenerationError)) {
+          console.error(`Batch item ${item.index} failed:`, error);
+        }
+        const failure = error instanceof GenerationError
+          ? error
+          : new GenerationError('GENERATION_ERROR', error.message, 500, 'UNKNOWN_ERROR');
+        outcomes[item.index] = { ...item, status: 'failed', error: failure };
+        if (batchId) onProgress('item_failed', { item: item.index, code: failure.code, type: failure.type, message: failure.message });
+      }
+    };
+
+    // Each worker takes the next item until none are left
+    let next = 0;
+    const worker = async () => {
+      while (next < items.length) {
+        await runItem(items[next++]);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.batchConcurrency, items.length) }, worker));
+
+    const succeeded = outcomes.filter(outcome => outcome.status === 'succeeded');
+    if (succeeded.length === 0) {
+      throw outcomes[0].error;
+    }
+
+    const images = succeeded.flatMap(outcome => outcome.saved.images);
+    return {
+      batchId: batchId,
+      items: outcomes.map(batchItem),
+      image: images[0],
+      images: images,
+      base64Image: succeeded[0].saved.base64Image,
+      cached: succeeded.every(outcome => outcome.saved.cached)
+    };
+  }
+
+  /**
+   * Give back the credits of batch items that produced nothing or came from the cache
+   * @param {string} chargeId - Charge that paid for the batch
+   * @param {Array} items - Item outcomes from generateBatch
+   * @param {string} label - What the batch belonged to, for the ledger reason
+   * @returns {Promise<void>}
+   */
+  async refundUnusedItems(chargeId, items, label) {
+    const failed = items.filter(item => item.status === 'failed').length;
+    const cached = items.filter(item => item.cached).length;
+    if (failed + cached === 0) return;
+
+    const reasons = [];
+    if (failed) reasons.push(`${failed} failed`);
+    if (cached) reasons.push(`${cached} served from cache`);
+    await creditService.refund(
+      chargeId,
+      `${reasons.join(', ')} of ${items.length} items of ${label}`,
+      (failed + cached) * GENERATION_COST
+    );
+  }
+
+  /**
+   * Generate an image from free text, then store it
+   * @param {string} prompt - Prompt text
+   * @param {string} ownerId - User the generated image belongs to
+   * @param {Object} [options] - { provider, model, style, cache (see withCache), onProgress(event, data) }
+   * @returns {Promise<Object>} - { image, images, base64Image, cached }; image is the first of images
+   * @throws {GenerationError} - Including PROMPT_BLOCKED when the moderation rules refuse the prompt
+   */
+  async generateFromText(prompt, ownerId, { provider, model, style = null, cache = {}, onProgress = () => {} } = {}) {
+    const promptFlags = await this.moderatePrompt(prompt, style, ownerId);
+    const lookup = {
+      ownerId,
+      promptId: null,
+      provider,
+      model,
+      withReference: false,
+      prompt,
+      reference: null,
+      params: { ...styleParams(style), outputMimeType: style ? style.outputMimeType : null }
+    };
+
+    return this.withCache(lookup, cache, onProgress, async () => {
+      const result = await imageGenerationService.generateFromText(prompt, { provider, model, ...styleParams(style), onProgress });
+
+      return this.saveResult(result, ownerId, onProgress, {
+        promptId: null, // No promptId for text-only generation
+        promptName: 'Text Prompt',
+        promptVersion: null,
+        templateId: null,
+        variables: null,
+        prompt: prompt,
+        ...styleFields(style),
+        originalName: 'ai-text-generated-image'
+      }, promptFlags);
+    });
+  }
+
+  // Check every image part the model returned, store each with its variants
+  // and record it in generated_images along with the model's commentary and
+  // safety verdict. promptFlags (see moderatePrompt) or an unsafe rating hold
+  // the images for review.
+  async saveResult(result, ownerId, onProgress, fields, promptFlags = []) {
+    if (!result.success) {
+      const error = new GenerationError(
+        result.errorType,
+        result.error,
+        statusFor(result.errorType),
+        result.errorType,
+        result.retryAfterMs || null
+      );
+      // Why the provider withheld the output, when it said
+      error.safety = result.safety || null;
+      if (result.errorType === 'SAFETY_BLOCKED') {
+        try {
+          await moderationService.recordBlock({
+            ownerId,
+            prompt: fields.prompt,
+            origin: 'provider',
+            reasons: [result.reason || 'SAFETY_BLOCKED'],
+            safety: error.safety
+          });
+        } catch (recordError) {
+          console.error('Failed to log blocked generation:', recordError);
+        }
+      }
+      throw error;
+    }
+
+    // Inspect all parts before storing any, so a bad part leaves nothing behind
+    let outputs;
+    try {
+      outputs = result.images.map(part => ({
+        base64: part.inlineData.data,
+        info: imageInspectionService.inspectBase64(part.inlineData.data, part.inlineData.mimeType)
+      }));
+    } catch (error) {
+      console.error('Model returned an invalid image:', error.message);
+      throw new GenerationError('INVALID_GENERATED_IMAGE', `Model returned an invalid image: ${error.message}`, 502, error.code);
+    }
+
+    if (fields.outputMimeType) {
+      outputs = await Promise.all(outputs.map(output => this.convertOutput(output, fields.outputMimeType)));
+    }
+
+    const moderation = moderationService.initialFields([...promptFlags, ...moderationService.reviewSafety(result.safety)]);
+
+    const images = [];
+    for (const output of outputs) {
+      const generated = output.info;
+      const stored = await imageVariantService.storeWithVariants(generated.buffer, generated, 'generated');
+
+      const image = {
+        _id: uuidv4(),
+        ...fields,
+        originalName: `${fields.originalName}.${generated.mimetype.split('/')[1].replace('jpeg', 'jpg')}`,
+        ownerId: ownerId,
+        provider: result.provider,
+        model: result.model || null,
+        commentary: result.text || null,
+        // Provider's safety ratings and finish reason; null when it gives none
+        safety: result.safety || null,
+        ...moderation,
+        storageKey: stored.storageKey,
+        storageDriver: stored.storageDriver,
+        etag: stored.etag,
+        size: stored.size,
+        mimetype: generated.mimetype,
+        width: stored.width,
+        height: stored.height,
+        variants: stored.variants,
+        createdAt: new Date(),
+        type: 'generated' // Mark as generated image
+      };
+
+      await writeDB('generated_images', image);
+      console.log('Generated image saved to database with ID:', image._id);
+      onProgress('image_stored', { imageId: image._id, imageUrl: `/api/images/${image._id}/raw` });
+      images.push(image);
+    }
+
+    return { image: images[0], images, base64Image: outputs[0].base64 };
+  }
+
+  // Re-encode an inspected output as the requested type; the model picks its own
+  async convertOutput(output, mimetype) {
+    if (output.info.mimetype === mimetype) return output;
+
+    const buffer = await sharp(output.info.buffer).toFormat(mimetype.split('/')[1]).toBuffer();
+    return {
+      base64: buffer.toString('base64'),
+      info: { ...imageInspectionService.inspect(buffer), buffer }
+    };
+  }
+
+  /**
+   * A prompt as it was at one version, so edits made after a job was queued
+   * do not change what it generates
+   * @param {Object} prompt - Current prompt document
+   * @param {number} [versionNumber] - Version to use; the current one when omitted
+   * @returns {Promise<Object>} - Prompt document with that version's content
+   */
+  async promptAtVersion(prompt, versionNumber) {
+    if (!versionNumber || versionNumber === prompt.version) return prompt;
+
+    const version = await promptVersionService.get(prompt._id, versionNumber);
+    if (!version) {
+      throw new GenerationError('PROMPT_VERSION_NOT_FOUND', `Version ${versionNumber} of the prompt no longer exists`, 404);
+    }
+    return {
+      ...prompt,
+      promptName: version.promptName,
+      prompt: version.prompt,
+      variables: version.variables,
+      version: version.version
+    };
+  }
+
+  // Stored reference images of a generate job; jobs queued before batches have a single `reference`
+  jobReferences(job) {
+    return job.input.references || [job.input.reference];
+  }
+
+  async deleteJobReferences(job) {
+    for (const reference of this.jobReferences(job)) {
+      await storageService.delete(reference.storageKey);
+    }
+  }
+
+  // Job handler for POST /api/gemini/generate; the reference images were stored when the job was queued
+  async runPromptJob(job, onProgress) {
+    const current = await findOneDB('prompts', { _id: job.input.promptId });
+    if (!current) {
+      throw new GenerationError('PROMPT_NOT_FOUND', 'The prompt was deleted before the job ran', 404);
+    }
+    const prompt = await this.promptAtVersion(current, job.input.promptVersion);
+
+    const references = [];
+    for (const stored of this.jobReferences(job)) {
+      references.push({ buffer: await storageService.read(stored.storageKey), mimetype: stored.mimetype });
+    }
+    const { image, images, batchId, items } = await this.generateBatch(prompt, references, job.ownerId, {
+      variables: job.input.variables,
+      provider: job.input.provider,
+      model: job.input.model,
+      variations: job.input.variations || 1,
+      seed: job.input.seed,
+      temperature: job.input.temperature,
+      source: job.input.source || null,
+      style: job.input.style || null,
+      cache: job.input.cache || {},
+      onProgress
+    });
+    return { imageId: image._id, imageIds: images.map(item => item._id), batchId, items };
+  }
+
+  // Job handler for POST /api/gemini/generate-text
+  async runTextJob(job, onProgress) {
+    const { image, images, cached } = await this.generateFromText(job.input.prompt, job.ownerId, {
+      provider: job.input.provider,
+      model: job.input.model,
+      style: job.input.style || null,
+      cache: job.input.cache || {},
+      onProgress
+    });
+    return { imageId: image._id, imageIds: images.map(item => item._id), cached };
+  }
+
+  /**
+   * Queue webhook deliveries reporting how a generation ended
+   * @param {string} ownerId - User whose webhooks are notified
+   * @param {Object} outcome - { status: 'succeeded'|'failed'|'cancelled', imageIds?, jobId?, error? }
+   * @param {string} [callbackUrl] - Per-request callback URL
+   * @returns {Promise<void>}
+   */
+  notifySettled(ownerId, { status, imageIds = [], jobId = null, error = null }, callbackUrl = null) {
+    const imageId = imageIds[0] || null;
+    return webhookService.notify(ownerId, SETTLED_EVENTS[status], {
+      status: status,
+      jobId: jobId,
+      imageId: imageId,
+      imageIds: imageIds,
+      imageUrl: imageId ? `/api/images/${imageId}/raw` : null,
+      error: error
+    }, callbackUrl);
+  }
+
+  // Refund a job that produced nothing or was served from the cache, or the failed
+  // and cached items of a batch job, then send its webhooks
+  async settleJob(job, outcome) {
+    if (job.input.chargeId) {
+      if (outcome.status !== 'succeeded') {
+        await creditService.refund(job.input.chargeId, `Job ${job._id} ${outcome.status}`);
+      } else if (outcome.result.items) {
+        await this.refundUnusedItems(job.input.chargeId, outcome.result.items, `job ${job._id}`);
+      } else if (outcome.result.cached) {
+        await creditService.refund(job.input.chargeId, `Job ${job._id} served from cache`);
+      }
+    }
+    await this.notifyJobSettled(job, outcome);
+  }
+
+  notifyJobSettled(job, outcome) {
+    return this.notifySettled(job.ownerId, {
+      status: outcome.status,
+      imageIds: outcome.result ? outcome.result.imageIds : [],
+      jobId: job._id,
+      error: outcome.error
+    }, job.input.callbackUrl);
+  }
+
+  // Images a job result generated itself; cached ones belong to an earlier generation
+  generatedImageIds(result) {
+    if (result.items) {
+      return result.items.filter(item => !item.cached).flatMap(item => item.imageIds);
+    }
+    return result.cached ? [] : result.imageIds;
+  }
+
+  // Remove the images generated for a job that was cancelled while it ran
+  async discardImages(imageIds) {
+    for (const imageId of imageIds) {
+      const image = await findOneDB('generated_images', { _id: imageId });
+      if (!image) continue;
+
+      await deleteDB('generated_images', { _id: imageId });
+      await imageVariantService.deleteStored(image);
+    }
+  }
+}
+
+export default new GenerationService();
@@ -1,289 +1,320 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import dotenv from 'dotenv';
+import GeminiProvider from './providers/geminiProvider.js';
+import MockProvider from './providers/mockProvider.js';
+import CircuitBreaker from './providers/circuitBreaker.js';
+import { providerFailure, isRetryable } from './providers/providerErrors.js';
+import registry from '../config/models.js';
 
 // Load environment variables
 dotenv.config();
 
+// Failure types that suggest the provider itself is down, as opposed to a bad request
+const OUTAGE_ERRORS = ['PROVIDER_UNAVAILABLE', 'TIMEOUT'];
+
+const envInt = (name, fallback) => {
+  const parsed = parseInt(process.env[name], 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Routes generation calls to an image provider and picks the model from the
+ * registry in config/models.js. Every provider implements:
+ *   generateImage(prompt, referenceImageBase64, mimeType, { model, onProgress, ...params })
+ *   generateFromText(prompt, { model, onProgress, ...params })
+ *   healthCheck()
+ *   listModels() (optional) - names the provider can serve right now
+ * The generate methods resolve to { success: true, images: [{ inlineData }], model, text }
+ * (text being the model's commentary) or { success: false, error, errorType, retryAfterMs? }
+ * with errorType from providers/providerErrors.js. params are the optional
+ * generation parameters: seed, temperature, styleInstruction, negativePrompt
+ * and aspectRatio; a provider ignores those it cannot honour.
+ *
+ * IMAGE_PROVIDER picks the default ('gemini' or 'mock'); requests may name
+ * another provider or a registry model. Retryable failures are tried again
+ * with jittered exponential backoff, and each provider sits behind a circuit
+ * breaker that fails calls fast while it is down.
+ */
 class ImageGenerationService {
   constructor() {
-    console.log('Image Generation Service initialized');
-    this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    this.providers = {};
+    for (const provider of [new GeminiProvider(), new MockProvider()]) {
+      this.providers[provider.name] = provider;
+    }
+
+    this.defaultProvider = process.env.IMAGE_PROVIDER || 'gemini';
+    if (!this.providers[this.defaultProvider]) {
+      throw new Error(`Unknown IMAGE_PROVIDER: ${this.defaultProvider}`);
+    }
+
+    this.models = registry.filter(model => this.providers[model.provider]);
+    // Probed availability per provider: { names: Set, checkedAt }
+    this.availability = {};
+    this.probeTtlMs = parseInt(process.env.MODEL_PROBE_TTL_MS, 10) || 10 * 60 * 1000;
+
+    this.maxRetries = envInt('PROVIDER_MAX_RETRIES', 2);
+    this.retryBaseMs = envInt('PROVIDER_RETRY_BASE_MS', 1000);
+    this.retryMaxMs = envInt('PROVIDER_RETRY_MAX_MS', 30000);
+    this.breakers = {};
+    for (const name of this.providerNames) {
+      this.breakers[name] = new CircuitBreaker(name, {
+        threshold: envInt('PROVIDER_BREAKER_THRESHOLD', 5) || 1,
+        cooldownMs: envInt('PROVIDER_BREAKER_COOLDOWN_MS', 30000)
+      });
+    }
+
+    console.log(`Image Generation Service initialized (${this.defaultProvider}, ${this.models.length} models)`);
   }
 
   /**
-   * Generate image using Gemini AI service
-   * @param {string} prompt - The text prompt for image generation
-   * @param {string} referenceImageBase64 - Base64 encoded reference image
-   * @param {string} mimeType - MIME type of the reference image
-   * @returns {Promise<Object>} - Generated image data
+   * Names of the registered providers
+   * @returns {string[]}
    */
-  async generateImage(prompt, referenceImageBase64, mimeType = 'image/jpeg') {
-    try {
-      console.log('Starting image generation with Gemini...');
-      console.log('Prompt:', prompt);
-      console.log('Reference image size:', referenceImageBase64 ? referenceImageBase64.length : 'No image');
+  get providerNames() {
+    return Object.keys(this.providers);
+  }
 
-      if (!process.env.GEMINI_API_KEY) {
-        throw new Error('GEMINI_API_KEY is not set in environment variables');
-      }
+  /**
+   * Resolve a provider by name, falling back to the default
+   * @param {string} [name] - Provider name from the request
+   * @returns {Object} - Provider
+   * @throws {Error} - When the name is not registered
+   */
+  getProvider(name) {
+    const provider = this.providers[name || this.defaultProvider];
+    if (!provider) {
+      throw new Error(`Unknown image provider: ${name}`);
+    }
+    return provider;
+  }
 
-      // Get the best available model for image processing
-      const modelName = await this.getBestAvailableModel('image');
-      const model = this.genAI.getGenerativeModel({ model: modelName });
-      console.log(`Using ${modelName} model for image processing`);
-
-      // Prepare the parts for the request
-      const parts = [
-        {
-          text: `Generate an image based on this prompt: "${prompt}". Use the provided reference image as a style guide or inspiration.`
-        },
-        {
-          inlineData: {
-            data: referenceImageBase64,
-            mimeType: mimeType
-          }
-        }
-      ];
-
-      // Generate content with proper configuration for image generation
-      const result = await model.generateContent(parts, {
-        generationConfig: {
-          responseModalities: ['TEXT', 'IMAGE']
-        }
-      });
-      const response = await result.response;
-
-      // For Gemini, we need to handle the response appropriately
-      // Note: Gemini 1.5 Flash doesn't generate images, it processes them
-      // For actual image generation, you might need to use a different approach
-      
-      console.log('Gemini response received');
-      
-      // Since Gemini doesn't generate images directly, we'll return a success response
-      // with the processed reference image and the AI's analysis
-      return {
-        success: true,
-        images: [{
-          inlineData: {
-            data: referenceImageBase64, // Return processed reference image
-            mimeType: mimeType
-          }
-        }],
-        message: 'Image processed with Gemini AI',
-        geminiResponse: response.text()
-      };
-    } catch (error) {
-      console.error('Error in image generation:', error);
-      
-      // Handle specific error types
-      if (error.message.includes('429') || error.message.includes('quota')) {
-        return {
-          success: false,
-          error: `Quota exceeded: ${error.message}. Please check your billing and quota limits.`,
-          errorType: 'QUOTA_EXCEEDED',
-          suggestion: 'Please set up billing in Google AI Studio or wait for quota reset.'
-        };
-      } else if (error.message.includes('404') || error.message.includes('not found')) {
-        return {
-          success: false,
-          error: `Model not found: ${error.message}`,
-          errorType: 'MODEL_NOT_FOUND',
-          suggestion: 'Please check available models or contact support.'
-        };
-      } else {
-        return {
-          success: false,
-          error: `Image generation failed: ${error.message}`,
-          errorType: 'UNKNOWN_ERROR'
-        };
-      }
+  /**
+   * Check a request's provider/model choice against the registry
+   * @param {Object} selection - { provider, model, withReference }
+   * @returns {string|null} - Problem description, or null when the choice is valid
+   */
+  validateSelection({ provider, model, withReference }) {
+    if (provider && !this.providers[provider]) {
+      return `Unknown provider '${provider}'. Available: ${this.providerNames.join(', ')}`;
     }
+    if (!model) return null;
+
+    const entry = this.models.find(candidate => candidate.name === model);
+    if (!entry) {
+      return `Unknown model '${model}'. Available: ${this.models.map(candidate => candidate.name).join(', ')}`;
+    }
+    if (provider && entry.provider !== provider) {
+      return `Model '${model}' is served by '${entry.provider}', not '${provider}'`;
+    }
+    if (!entry.capabilities.imageOutput || (withReference && !entry.capabilities.imageInput)) {
+      return `Model '${model}' cannot ${withReference ? 'edit a reference image' : 'generate images'}`;
+    }
+    return null;
   }
 
   /**
-   * Generate image from text prompt only
-   * @param {string} prompt - The text prompt for image generation
-   * @returns {Promise<Object>} - Generated image data
+   * Names a provider can serve right now, probed with listModels and cached.
+   * null means unknown (the provider cannot list, or the probe failed).
+   * @param {string} providerName - Provider name
+   * @returns {Promise<Set<string>|null>}
    */
-  async generateImageFromText(prompt) {
-    try {
-      console.log('Starting text-to-image generation with Gemini...');
-      console.log('Prompt:', prompt);
+  async availableModels(providerName) {
+    const provider = this.providers[providerName];
+    if (!provider.listModels) return null;
 
-      if (!process.env.GEMINI_API_KEY) {
-        throw new Error('GEMINI_API_KEY is not set in environment variables');
-      }
+    const cached = this.availability[providerName];
+    if (cached && Date.now() - cached.checkedAt < this.probeTtlMs) {
+      return cached.names;
+    }
 
-      // Get the best available model for text generation
-      const modelName = await this.getBestAvailableModel('text');
-      const model = this.genAI.getGenerativeModel({ model: modelName });
-      console.log(`Using ${modelName} model for text generation`);
-
-      // Prepare the parts for the request
-      const parts = [
-        {
-          text: `Generate an image based on this prompt: "${prompt}". Create a detailed description of what the image should look like.`
-        }
-      ];
-
-      // Generate content with proper configuration for text generation
-      const result = await model.generateContent(parts, {
-        generationConfig: {
-          responseModalities: ['TEXT']
-        }
-      });
-      const response = await result.response;
-
-      console.log('Gemini text-to-image response received');
-      
-      // Since Gemini doesn't generate images directly, we'll return a success response
-      // with the AI's description of what the image should look like
-      return {
-        success: true,
-        images: [{
-          inlineData: {
-            data: 'text-generated-description', // Placeholder for actual image generation
-            mimeType: 'text/plain'
-          }
-        }],
-        message: 'Text-to-image description generated with Gemini AI',
-        geminiResponse: response.text()
-      };
+    try {
+      const names = new Set(await provider.listModels());
+      this.availability[providerName] = { names, checkedAt: Date.now() };
+      return names;
     } catch (error) {
-      console.error('Error in text-to-image generation:', error);
-      
-      // Handle specific error types
-      if (error.message.includes('429') || error.message.includes('quota')) {
-        return {
-          success: false,
-          error: `Quota exceeded: ${error.message}. Please check your billing and quota limits.`,
-          errorType: 'QUOTA_EXCEEDED',
-          suggestion: 'Please set up billing in Google AI Studio or wait for quota reset.'
-        };
-      } else if (error.message.includes('404') || error.message.includes('not found')) {
-        return {
-          success: false,
-          error: `Model not found: ${error.message}`,
-          errorType: 'MODEL_NOT_FOUND',
-          suggestion: 'Please check available models or contact support.'
-        };
-      } else {
-        return {
-          success: false,
-          error: `Text-to-image generation failed: ${error.message}`,
-          errorType: 'UNKNOWN_ERROR'
-        };
-      }
+      // Do not block generation on the probe; the call itself will report a bad model
+      console.error(`Could not list ${providerName} models:`, error.message);
+      return null;
     }
   }
 
   /**
-   * List available models
-   * @returns {Promise<Object>} - Available models
+   * Registry entries with their probed availability
+   * @returns {Promise<Array>} - [{ name, provider, capabilities, available }]
    */
   async listModels() {
-    try {
-      console.log('Fetching available Gemini models...');
-      
-      if (!process.env.GEMINI_API_KEY) {
-        return {
-          success: false,
-          error: 'GEMINI_API_KEY is not set in environment variables'
-        };
+    const available = {};
+    for (const name of this.providerNames) {
+      available[name] = await this.availableModels(name);
+    }
+
+    return this.models.map(model => ({
+      name: model.name,
+      provider: model.provider,
+      capabilities: model.capabilities,
+      // null when availability could not be checked
+      available: available[model.provider] ? available[model.provider].has(model.name) : null
+    }));
+  }
+
+  /**
+   * Pick the model for a call: the requested one, or the first available
+   * registry entry for the provider with the needed capabilities
+   * @param {Object} selection - { provider, model, withReference }
+   * @returns {Promise<Object>} - { provider, model } on success, { error, errorType } otherwise
+   */
+  async resolveModel({ provider, model, withReference }) {
+    const problem = this.validateSelection({ provider, model, withReference });
+    if (problem) {
+      return { error: problem, errorType: 'INVALID_INPUT' };
+    }
+
+    const entry = model ? this.models.find(candidate => candidate.name === model) : null;
+    const providerName = entry ? entry.provider : (provider || this.defaultProvider);
+    const available = await this.availableModels(providerName);
+
+    if (entry) {
+      if (available && !available.has(entry.name)) {
+        return { error: `Model '${entry.name}' is not available to this API key`, errorType: 'MODEL_UNAVAILABLE' };
       }
+      return { provider: providerName, model: entry.name };
+    }
 
-      // List available models
-      const models = await this.genAI.listModels();
-      
-      return {
-        success: true,
-        message: 'Available models retrieved',
-        models: models
-      };
-    } catch (error) {
-      console.error('Failed to list models:', error);
-      return {
-        success: false,
-        error: error.message
-      };
+    const candidates = this.models.filter(candidate =>
+      candidate.provider === providerName &&
+      candidate.capabilities.imageOutput &&
+      (!withReference || candidate.capabilities.imageInput)
+    );
+    const chosen = candidates.find(candidate => !available || available.has(candidate.name));
+    if (!chosen) {
+      return { error: `No available ${providerName} model can generate images`, errorType: 'MODEL_UNAVAILABLE' };
     }
+    return { provider: providerName, model: chosen.name };
   }
 
   /**
-   * Get the best available model for the given task
-   * @param {string} task - 'image' or 'text'
-   * @returns {Promise<string>} - Model name
+   * How long to wait before retry number `attempt`: exponential backoff with
+   * jitter, but never less than the provider's retry-after hint
+   * @param {number} attempt - 1 for the first retry
+   * @param {number|null} retryAfterMs - Hint from the provider
+   * @returns {number|null} - Delay in ms, or null when the hint is longer than we wait
    */
-  async getBestAvailableModel(task = 'text') {
-    const modelPriority = {
-      image: ['gemini-2.0-flash-preview-image-generation', 'gemini-1.5-flash', 'gemini-1.5-pro', 'gemini-pro'],
-      text: ['gemini-1.5-flash', 'gemini-1.5-pro', 'gemini-pro']
-    };
+  retryDelay(attempt, retryAfterMs) {
+    if (retryAfterMs && retryAfterMs > this.retryMaxMs) {
+      return null;
+    }
 
-    const models = modelPriority[task] || modelPriority.text;
+    const backoff = Math.min(this.retryMaxMs, this.retryBaseMs * 2 ** (attempt - 1));
+    // Between half and all of the backoff, so concurrent callers spread out
+    const jittered = Math.round(backoff / 2 + Math.random() * backoff / 2);
+    return Math.max(jittered, retryAfterMs || 0);
+  }
 
-    for (const modelName of models) {
+  /**
+   * Call a provider through its circuit breaker, retrying retryable failures
+   * @param {string} providerName - Provider to call
+   * @param {string} model - Model being called, for failure results
+   * @param {Function} call - Makes one provider call, resolving to a provider result
+   * @param {Function} onProgress - Receives ('provider_retry', { attempt, delayMs, errorType, error })
+   * @returns {Promise<Object>} - The last provider result
+   */
+  async callProvider(providerName, model, call, onProgress) {
+    const breaker = this.breakers[providerName];
+
+    for (let attempt = 1; ; attempt++) {
+      const permit = breaker.acquire();
+      if (!permit.allowed) {
+        return providerFailure(
+          'PROVIDER_UNAVAILABLE',
+          `${providerName} is failing; calls are paused for ${Math.ceil(permit.retryAfterMs / 1000)}s`,
+          { model, retryAfterMs: permit.retryAfterMs, retryable: false }
+        );
+      }
+
+      let result;
       try {
-        const model = this.genAI.getGenerativeModel({ model: modelName });
-        console.log(`✅ Found available model: ${modelName}`);
-        return modelName;
+        result = await call();
       } catch (error) {
-        console.log(`❌ Model ${modelName} not available: ${error.message}`);
-        continue;
+        result = providerFailure('UNKNOWN_ERROR', `Image generation failed: ${error.message}`, { model });
+      }
+
+      if (!result.success && OUTAGE_ERRORS.includes(result.errorType)) {
+        breaker.recordFailure();
+      } else {
+        breaker.recordSuccess();
+      }
+
+      if (result.success || !isRetryable(result) || attempt > this.maxRetries) {
+        return result;
+      }
+      const delayMs = this.retryDelay(attempt, result.retryAfterMs);
+      if (delayMs === null) {
+        return result;
       }
-    }
 
-    // Final fallback - just use gemini-pro
-    console.log('⚠️  No models found in priority list, using gemini-pro as fallback');
-    return 'gemini-pro';
+      console.warn(`${providerName} call failed (${result.errorType}), retry ${attempt} in ${delayMs}ms`);
+      onProgress('provider_retry', { attempt, delayMs, errorType: result.errorType, error: result.error });
+      await wait(delayMs);
+    }
   }
 
   /**
-   * Test connection to Gemini AI service
-   * @returns {Promise<Object>} - Connection test result
+   * Generate an image from a prompt and a reference image
+   * @param {string} prompt - The text prompt for image generation
+   * @param {string} referenceImageBase64 - Base64 encoded reference image
+   * @param {string} mimeType - MIME type of the reference image
+   * @param {Object} [options] - { provider, model, onProgress, ...params }
+   * @returns {Promise<Object>} - Generated image data, plus the provider name
    */
-  async testConnection() {
-    try {
-      console.log('Testing Gemini AI service connection...');
-      
-      if (!process.env.GEMINI_API_KEY) {
-        return {
-          success: false,
-          error: 'GEMINI_API_KEY is not set in environment variables'
-        };
-      }
+  async generateImage(prompt, referenceImageBase64, mimeType, { provider, model, onProgress = () => {}, ...params } = {}) {
+    const selection = await this.resolveModel({ provider, model, withReference: true });
+    if (selection.error) {
+      return { success: false, error: selection.error, errorType: selection.errorType, provider: provider || null };
+    }
 
-      // First, let's try to list available models
-      const modelsResult = await this.listModels();
-      if (!modelsResult.success) {
-        return modelsResult;
-      }
+    onProgress('model_selected', { provider: selection.provider, model: selection.model });
+    const result = await this.callProvider(selection.provider, selection.model, () =>
+      this.providers[selection.provider].generateImage(prompt, referenceImageBase64, mimeType, {
+        ...params,
+        model: selection.model,
+        onProgress
+      }), onProgress);
+    return { ...result, provider: selection.provider };
+  }
 
-      // Test the connection by making a simple request
-      const modelName = await this.getBestAvailableModel('text');
-      const model = this.genAI.getGenerativeModel({ model: modelName });
-      console.log(`Testing with ${modelName} model`);
-      
-      const result = await model.generateContent("Hello, this is a test connection.");
-      const response = await result.response;
-      
-      return {
-        success: true,
-        message: 'Gemini AI service is ready',
-        service: 'Google Gemini AI',
-        testResponse: response.text(),
-        availableModels: modelsResult.models
-      };
-    } catch (error) {
-      console.error('Gemini AI service connection test failed:', error);
-      return {
-        success: false,
-        error: error.message
-      };
+  /**
+   * Generate an image from a text prompt only
+   * @param {string} prompt - The text prompt for image generation
+   * @param {Object} [options] - { provider, model, onProgress, ...params }
+   * @returns {Promise<Object>} - Generated image data, plus the provider name
+   */
+  async generateFromText(prompt, { provider, model, onProgress = () => {}, ...params } = {}) {
+    const selection = await this.resolveModel({ provider, model, withReference: false });
+    if (selection.error) {
+      return { success: false, error: selection.error, errorType: selection.errorType, provider: provider || null };
     }
+
+    onProgress('model_selected', { provider: selection.provider, model: selection.model });
+    const result = await this.callProvider(selection.provider, selection.model, () =>
+      this.providers[selection.provider].generateFromText(prompt, {
+        ...params,
+        model: selection.model,
+        onProgress
+      }), onProgress);
+    return { ...result, provider: selection.provider };
+  }
+
+  /**
+   * Check that a provider can serve requests
+   * @param {string} [provider] - Provider name, default provider when omitted
+   * @returns {Promise<Object>} - Health check result, plus the provider name and circuit state
+   */
+  async healthCheck(provider) {
+    const selected = this.getProvider(provider);
+    const result = await selected.healthCheck();
+    return { ...result, provider: selected.name, circuit: this.breakers[selected.name].status() };
   }
 }
 
 export default new ImageGenerationService();
-
-
@@ -0,0 +1,269 @@
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+const STATUS_BY_CODE = {
+  EMPTY_IMAGE: 400,
+  INVALID_BASE64: 400,
+  IMAGE_TOO_LARGE: 413,
+  IMAGE_DIMENSIONS_TOO_LARGE: 413,
+  UNSUPPORTED_IMAGE_TYPE: 415,
+  MIMETYPE_MISMATCH: 422,
+  CORRUPT_IMAGE: 422
+};
+
+export class ImageValidationError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ImageValidationError';
+    this.code = code;
+    this.status = STATUS_BY_CODE[code] || 400;
+  }
+}
+
+const MIMETYPE_ALIASES = {
+  'image/jpg': 'image/jpeg',
+  'image/pjpeg': 'image/jpeg',
+  'image/x-png': 'image/png'
+};
+
+const normalizeMimetype = (mimetype) => {
+  const value = String(mimetype).toLowerCase().trim();
+  return MIMETYPE_ALIASES[value] || value;
+};
+
+// CRC-32 as used by PNG chunks (polynomial 0xEDB88320). zlib.crc32 would do,
+// but it only exists from Node 20.15 and package.json supports Node 18.
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+const crc32 = (buf) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) {
+    crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const corrupt = (format, detail) => new ImageValidationError('CORRUPT_IMAGE', `Corrupt ${format} image: ${detail}`);
+
+// PNG: 8-byte signature, then length/type/data/CRC chunks. IHDR comes first and
+// holds the big-endian width/height; at least one IDAT follows and IEND ends the file.
+// Every chunk's length and CRC is checked, so markers alone do not pass.
+const readPng = (buf) => {
+  if (buf.length < 33 || buf.toString('ascii', 12, 16) !== 'IHDR' || buf.readUInt32BE(8) !== 13) {
+    throw corrupt('PNG', 'missing IHDR chunk');
+  }
+
+  let offset = 8;
+  let hasData = false;
+  while (offset + 12 <= buf.length) {
+    const length = buf.readUInt32BE(offset);
+    const type = buf.toString('ascii', offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (end > buf.length) {
+      throw corrupt('PNG', `truncated ${type} chunk`);
+    }
+    if (crc32(buf.subarray(offset + 4, end - 4)) !== buf.readUInt32BE(end - 4)) {
+      throw corrupt('PNG', `bad CRC in ${type} chunk`);
+    }
+    if (type === 'IDAT') hasData = true;
+    if (type === 'IEND') {
+      if (!hasData) throw corrupt('PNG', 'no IDAT chunk');
+      return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+    }
+    offset = end;
+  }
+  throw corrupt('PNG', 'truncated (no IEND chunk)');
+};
+
+// JPEG: walk marker segments until a start-of-frame, which holds height/width
+const readJpeg = (buf) => {
+  let offset = 2;
+  while (offset + 4 <= buf.length) {
+    if (buf[offset] !== 0xff) {
+      throw corrupt('JPEG', `expected marker at byte ${offset}`);
+    }
+    const marker = buf[offset + 1];
+    // Fill bytes and standalone markers carry no length
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      offset += 2;
+      continue;
+    }
+    const length = buf.readUInt16BE(offset + 2);
+    const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+    if (isStartOfFrame) {
+      if (offset + 9 > buf.length) break;
+      if (buf[buf.length - 2] !== 0xff || buf[buf.length - 1] !== 0xd9) {
+        throw corrupt('JPEG', 'truncated (no end-of-image marker)');
+      }
+      return { width: buf.readUInt16BE(offset + 7), height: buf.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + length;
+  }
+  throw corrupt('JPEG', 'no start-of-frame segment');
+};
+
+// GIF: logical screen width/height are little-endian right after the signature
+const readGif = (buf) => {
+  if (buf.length < 14) {
+    throw corrupt('GIF', 'header too short');
+  }
+  if (buf[buf.length - 1] !== 0x3b) {
+    throw corrupt('GIF', 'truncated (no trailer)');
+  }
+  return { width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+};
+
+// WebP: RIFF container whose first chunk is VP8 (lossy), VP8L (lossless) or VP8X (extended)
+const readWebp = (buf) => {
+  if (buf.length < 30) {
+    throw corrupt('WebP', 'header too short');
+  }
+  if (buf.readUInt32LE(4) + 8 > buf.length) {
+    throw corrupt('WebP', 'truncated (RIFF size exceeds payload)');
+  }
+
+  const chunk = buf.toString('ascii', 12, 16);
+  if (chunk === 'VP8 ') {
+    if (buf[23] !== 0x9d || buf[24] !== 0x01 || buf[25] !== 0x2a) {
+      throw corrupt('WebP', 'bad VP8 frame tag');
+    }
+    return { width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L') {
+    if (buf[20] !== 0x2f) {
+      throw corrupt('WebP', 'bad VP8L signature');
+    }
+    const bits = buf.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X') {
+    return { width: buf.readUIntLE(24, 3) + 1, height: buf.readUIntLE(27, 3) + 1 };
+  }
+  throw corrupt('WebP', `unknown chunk ${JSON.stringify(chunk)}`);
+};
+
+const FORMATS = [
+  {
+    mimetype: 'image/png',
+    matches: (buf) => buf.length >= 8 && buf.readUInt32BE(0) === 0x89504e47 && buf.readUInt32BE(4) === 0x0d0a1a0a,
+    read: readPng
+  },
+  {
+    mimetype: 'image/jpeg',
+    matches: (buf) => buf.length >= 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff,
+    read: readJpeg
+  },
+  {
+    mimetype: 'image/gif',
+    matches: (buf) => buf.length >= 6 && ['GIF87a', 'GIF89a'].includes(buf.toString('ascii', 0, 6)),
+    read: readGif
+  },
+  {
+    mimetype: 'image/webp',
+    matches: (buf) => buf.length >= 12 && buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP',
+    read: readWebp
+  }
+];
+
+class ImageInspectionService {
+  constructor() {
+    this.maxBytes = Number(process.env.IMAGE_MAX_BYTES) || 10 * 1024 * 1024; // 10MB
+    this.maxPixels = Number(process.env.IMAGE_MAX_PIXELS) || 40 * 1000 * 1000; // 40 megapixels
+    this.maxDimension = Number(process.env.IMAGE_MAX_DIMENSION) || 10000;
+  }
+
+  /**
+   * Identify an image from its bytes and enforce size limits
+   * @param {Buffer} buffer - Image bytes
+   * @param {string} [declaredMimetype] - MIME type claimed by the client, checked against the content
+   * @returns {Object} - { mimetype, width, height, size }
+   * @throws {ImageValidationError}
+   */
+  inspect(buffer, declaredMimetype) {
+    if (!buffer || buffer.length === 0) {
+      throw new ImageValidationError('EMPTY_IMAGE', 'Image data is empty');
+    }
+    if (buffer.length > this.maxBytes) {
+      throw new ImageValidationError('IMAGE_TOO_LARGE', `Image is ${buffer.length} bytes; the limit is ${this.maxBytes}`);
+    }
+
+    const format = FORMATS.find(f => f.matches(buffer));
+    if (!format) {
+      throw new ImageValidationError('UNSUPPORTED_IMAGE_TYPE', 'Only JPEG, PNG, GIF and WebP images are allowed');
+    }
+
+    // Generic types such as application/octet-stream say nothing about the format
+    const declared = declaredMimetype && normalizeMimetype(declaredMimetype);
+    if (declared && declared.startsWith('image/') && declared !== format.mimetype) {
+      throw new ImageValidationError(
+        'MIMETYPE_MISMATCH',
+        `Declared type ${declaredMimetype} does not match image content (${format.mimetype})`
+      );
+    }
+
+    const { width, height } = format.read(buffer);
+    if (!width || !height) {
+      throw corrupt(format.mimetype, 'zero width or height');
+    }
+    if (width > this.maxDimension || height > this.maxDimension || width * height > this.maxPixels) {
+      throw new ImageValidationError(
+        'IMAGE_DIMENSIONS_TOO_LARGE',
+        `Image is ${width}x${height}; limits are ${this.maxDimension}px per side and ${this.maxPixels} pixels`
+      );
+    }
+
+    return { mimetype: format.mimetype, width, height, size: buffer.length };
+  }
+
+  /**
+   * Decode a data URL or bare base64 string into bytes
+   * @param {string} value - "data:<type>;base64,<data>" or plain base64
+   * @returns {Object} - { buffer, declaredMimetype } (declaredMimetype is null for bare base64)
+   * @throws {ImageValidationError}
+   */
+  decodeBase64(value) {
+    if (typeof value !== 'string' || value.length === 0) {
+      throw new ImageValidationError('INVALID_BASE64', 'Image must be a base64 string or data URL');
+    }
+
+    const match = /^data:([^;,]+);base64,(.*)$/s.exec(value);
+    const data = (match ? match[2] : value).replace(/\s/g, '');
+
+    if (!/^[A-Za-z0-9+/_-]*={0,2}$/.test(data)) {
+      throw new ImageValidationError('INVALID_BASE64', 'Image data is not valid base64');
+    }
+    // Reject oversized payloads before decoding them
+    if (Math.floor(data.length * 3 / 4) > this.maxBytes + 2) {
+      throw new ImageValidationError('IMAGE_TOO_LARGE', `Image exceeds the ${this.maxBytes} byte limit`);
+    }
+
+    return { buffer: Buffer.from(data, 'base64'), declaredMimetype: match ? match[1] : null };
+  }
+
+  /**
+   * Decode and inspect a base64 image in one step
+   * @param {string} value - Data URL or bare base64
+   * @param {string} [declaredMimetype] - Overrides the data URL's type when given
+   * @returns {Object} - inspect() result plus buffer
+   * @throws {ImageValidationError}
+   */
+  inspectBase64(value, declaredMimetype) {
+    const decoded = this.decodeBase64(value);
+    const info = this.inspect(decoded.buffer, declaredMimetype || decoded.declaredMimetype);
+    return { ...info, buffer: decoded.buffer };
+  }
+}
+
+export default new ImageInspectionService();
@@ -0,0 +1,115 @@
+import storageService from './storageService.js';
+import { findOneDB, findManyDB } from '../config/database.js';
+
+// Fields needed to draw a lineage node
+const NODE_PROJECTION = {
+  promptId: 1, promptName: 1, prompt: 1, ownerId: 1, type: 1,
+  sourceImageId: 1, rootImageId: 1, createdAt: 1, uploadedAt: 1
+};
+
+// Shape an image document as a lineage node
+const toNode = (image) => ({
+  id: image._id,
+  kind: image.type === 'generated' ? 'generated' : 'uploaded',
+  promptId: image.promptId || null,
+  promptName: image.promptName || null,
+  prompt: image.prompt || null,
+  sourceImageId: image.sourceImageId || null,
+  imageUrl: `/api/images/${image._id}/raw`,
+  createdAt: image.createdAt || image.uploadedAt
+});
+
+/**
+ * Parent/child links between images. A generated image made from an existing
+ * one records it as `sourceImageId`, and every image in a family records the
+ * image at its top as `rootImageId`, so a whole family is one query.
+ */
+class ImageLineageService {
+  constructor() {
+    console.log('Image Lineage Service initialized');
+  }
+
+  /**
+   * Find an uploaded or generated image
+   * @param {string} id - Image ID
+   * @param {Object} [scope] - Owner scope, see utils/ownership.js
+   * @returns {Promise<Object|null>}
+   */
+  async findImage(id, scope = {}) {
+    return await findOneDB('images', { _id: id, ...scope }) || await findOneDB('generated_images', { _id: id, ...scope });
+  }
+
+  /**
+   * Bytes of a stored image, as base64 for imageInspectionService.inspectBase64
+   * @param {Object} image - Image document
+   * @returns {Promise<string|null>} - Base64 or a data URL; null when the image has no bytes
+   */
+  async readBase64(image) {
+    if (image.storageKey) {
+      const buffer = await storageService.read(image.storageKey);
+      return buffer.toString('base64');
+    }
+    // Documents not yet moved by the storage migration still carry base64
+    return image.base64Image || null;
+  }
+
+  /**
+   * Links recorded on an image generated from a source image
+   * @param {Object} source - Source image document
+   * @returns {Object} - { sourceImageId, rootImageId }
+   */
+  linkTo(source) {
+    return { sourceImageId: source._id, rootImageId: source.rootImageId || source._id };
+  }
+
+  /**
+   * An image's ancestors, nearest first, and the tree of images made from it
+   * @param {Object} image - Image document
+   * @param {Object} [scope] - Owner scope; images outside it are left out
+   * @returns {Promise<Object>} - { image, ancestors: [node], descendants: [node with children],
+   *   missingAncestorId } where missingAncestorId names a deleted ancestor that cut the chain
+   */
+  async lineage(image, scope = {}) {
+    const rootId = image.rootImageId || image._id;
+    const [root, members] = await Promise.all([
+      rootId === image._id ? image : this.findImage(rootId, scope),
+      findManyDB('generated_images', { rootImageId: rootId, ...scope }, { projection: NODE_PROJECTION })
+    ]);
+
+    const byId = new Map(members.map(member => [member._id, member]));
+    if (root) byId.set(root._id, root);
+    byId.set(image._id, image);
+
+    const ancestors = [];
+    let missingAncestorId = null;
+    // Bounded by the family size, so bad links cannot loop forever
+    for (let parentId = image.sourceImageId; parentId && ancestors.length < byId.size; ) {
+      const parent = byId.get(parentId);
+      if (!parent) {
+        missingAncestorId = parentId;
+        break;
+      }
+      ancestors.push(toNode(parent));
+      parentId = parent.sourceImageId;
+    }
+
+    const childrenOf = new Map();
+    for (const member of byId.values()) {
+      if (!member.sourceImageId) continue;
+      if (!childrenOf.has(member.sourceImageId)) childrenOf.set(member.sourceImageId, []);
+      childrenOf.get(member.sourceImageId).push(member);
+    }
+    const subtree = (id) => (childrenOf.get(id) || [])
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      .map(child => ({ ...toNode(child), children: subtree(child._id) }));
+
+    return {
+      image: toNode(image),
+      ancestors: ancestors,
+      descendants: subtree(image._id),
+      missingAncestorId: missingAncestorId
+    };
+  }
+}
+
+export default new ImageLineageService();
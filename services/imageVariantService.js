@@ -0,0 +1,105 @@
+import sharp from 'sharp';
+import imageVariants from '../config/imageVariants.js';
+import storageService from './storageService.js';
+
+class ImageVariantService {
+  constructor() {
+    this.variants = imageVariants;
+    console.log(`Image Variant Service initialized (${Object.keys(this.variants).join(', ')})`);
+  }
+
+  /**
+   * Render and store every configured variant of an image
+   * @param {Buffer} buffer - Original image bytes
+   * @param {string} prefix - Storage key prefix of the original, e.g. 'images'
+   * @returns {Promise<Object>} - Variant name -> { storageKey, storageDriver, etag, size, width, height, format, mimetype }
+   */
+  async createVariants(buffer, prefix = 'images') {
+    const results = {};
+
+    for (const [name, variant] of Object.entries(this.variants)) {
+      const { data, info } = await sharp(buffer)
+        .rotate() // honour EXIF orientation before resizing
+        .resize({
+          width: variant.width,
+          height: variant.height,
+          fit: variant.fit || 'inside',
+          withoutEnlargement: true
+        })
+        .toFormat(variant.format, { quality: variant.quality })
+        .toBuffer({ resolveWithObject: true });
+
+      const mimetype = `image/${info.format}`;
+      const stored = await storageService.saveImage(data, mimetype, `${prefix}/variants`);
+
+      results[name] = {
+        ...stored,
+        width: info.width,
+        height: info.height,
+        format: info.format,
+        mimetype
+      };
+    }
+
+    return results;
+  }
+
+  /**
+   * Store an original image plus its variants. Variant failures are logged and
+   * leave the image without derivatives rather than failing the whole write.
+   * @param {Buffer} buffer - Image bytes
+   * @param {Object} info - imageInspectionService.inspect() result: { mimetype, width, height }
+   * @param {string} prefix - Storage key prefix, e.g. 'images' or 'generated'
+   * @returns {Promise<Object>} - saveImage result plus width, height and variants
+   */
+  async storeWithVariants(buffer, info, prefix = 'images') {
+    const stored = await storageService.saveImage(buffer, info.mimetype, prefix);
+
+    let variants = {};
+    try {
+      variants = await this.createVariants(buffer, prefix);
+    } catch (error) {
+      console.error('Failed to create image variants:', error);
+    }
+
+    return { ...stored, width: info.width, height: info.height, variants };
+  }
+
+  /**
+   * Describe an image's stored variants for API responses
+   * @param {Object} image - Image document
+   * @returns {Object} - Variant name -> { url, width, height, format, mimetype, size }
+   */
+  formatVariants(image) {
+    return Object.fromEntries(
+      Object.entries(image.variants || {}).map(([name, variant]) => [name, {
+        url: `/api/images/${image._id}?variant=${name}`,
+        width: variant.width,
+        height: variant.height,
+        format: variant.format,
+        mimetype: variant.mimetype,
+        size: variant.size
+      }])
+    );
+  }
+
+  /**
+   * Delete an original and its variants from storage, logging failures
+   * @param {Object} image - Image document with storageKey and variants
+   * @returns {Promise<void>}
+   */
+  async deleteStored(image) {
+    const keys = [image.storageKey, ...Object.values(image.variants || {}).map(v => v.storageKey)].filter(Boolean);
+
+    for (const key of keys) {
+      try {
+        await storageService.delete(key);
+      } catch (error) {
+        // The document is gone either way; an orphaned blob is only wasted space
+        console.error('Failed to delete stored image:', key, error);
+      }
+    }
+  }
+}
+
+export default new ImageVariantService();
@@ -0,0 +1,90 @@
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import { getDB, writeDB, findManyDB } from '../config/database.js';
+
+// Events after which a job's stream has nothing more to say
+export const FINAL_JOB_EVENTS = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Progress events for jobs. Every event is stored in `job_events` with a
+ * per-job sequence number (used as the SSE event id, so clients can resume
+ * with Last-Event-ID) and pushed to subscribers in this process.
+ */
+class JobEventService {
+  constructor() {
+    this.emitter = new EventEmitter();
+    // One listener per open stream
+    this.emitter.setMaxListeners(0);
+    // Publishing is chained per job so sequence numbers reach subscribers in order
+    this.chains = new Map();
+
+    console.log('Job Event Service initialized');
+  }
+
+  /**
+   * Record an event for a job and push it to live subscribers.
+   * Failures are logged, never thrown: progress reporting must not fail a job.
+   * @param {string} jobId - Job ID
+   * @param {string} event - Event name, e.g. 'accepted' or 'text'
+   * @param {Object} data - Event payload
+   * @returns {Promise<void>}
+   */
+  publish(jobId, event, data = {}) {
+    const previous = this.chains.get(jobId) || Promise.resolve();
+    const next = previous
+      .then(() => this.record(jobId, event, data))
+      .catch(error => console.error(`Failed to publish '${event}' for job ${jobId}:`, error));
+
+    this.chains.set(jobId, next);
+    next.then(() => {
+      if (this.chains.get(jobId) === next) {
+        this.chains.delete(jobId);
+      }
+    });
+    return next;
+  }
+
+  async record(jobId, event, data) {
+    const job = await getDB().collection('jobs').findOneAndUpdate(
+      { _id: jobId },
+      { $inc: { eventSeq: 1 } },
+      { returnDocument: 'after', projection: { eventSeq: 1 } }
+    );
+    if (!job) return;
+
+    const entry = {
+      _id: uuidv4(),
+      jobId: jobId,
+      seq: job.eventSeq,
+      event: event,
+      data: data,
+      createdAt: new Date()
+    };
+
+    await writeDB('job_events', entry);
+    this.emitter.emit(jobId, entry);
+  }
+
+  /**
+   * Stored events for a job after a sequence number, oldest first
+   * @param {string} jobId - Job ID
+   * @param {number} afterSeq - Last sequence number the client has seen
+   * @returns {Promise<Array>}
+   */
+  since(jobId, afterSeq = 0) {
+    return findManyDB('job_events', { jobId, seq: { $gt: afterSeq } }, { sort: { seq: 1 } });
+  }
+
+  /**
+   * Receive a job's events as they are published in this process
+   * @param {string} jobId - Job ID
+   * @param {Function} listener - Receives each stored event
+   * @returns {Function} - Unsubscribe
+   */
+  subscribe(jobId, listener) {
+    this.emitter.on(jobId, listener);
+    return () => this.emitter.off(jobId, listener);
+  }
+}
+
+export default new JobEventService();
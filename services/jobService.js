@@ -0,0 +1,349 @@
+import { v4 as uuidv4 } from 'uuid';
+import dotenv from 'dotenv';
+import { getDB, writeDB, findOneDB, findManyDB } from '../config/database.js';
+import jobEventService from './jobEventService.js';
+
+// Load environment variables
+dotenv.config();
+
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+const positiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * Persistent job queue backed by the `jobs` collection, worked by this
+ * process. Jobs are claimed atomically, so several server instances can
+ * share one queue.
+ */
+class JobService {
+  constructor() {
+    this.concurrency = positiveInt(process.env.JOB_CONCURRENCY, 2);
+    this.pollIntervalMs = positiveInt(process.env.JOB_POLL_INTERVAL_MS, 1000);
+    // A 'running' job whose worker has not touched it for this long is assumed to belong to a crashed worker
+    this.staleAfterMs = positiveInt(process.env.JOB_STALE_AFTER_MS, 10 * 60 * 1000);
+    // How often a worker touches updatedAt on the jobs it runs, well inside staleAfterMs
+    this.heartbeatIntervalMs = Math.max(Math.min(Math.floor(this.staleAfterMs / 4), 60 * 1000), 1);
+    // A stale job that has been claimed this many times fails instead of being requeued
+    this.maxAttempts = positiveInt(process.env.JOB_MAX_ATTEMPTS, 3);
+    // How often poll() looks for stale jobs
+    this.sweepIntervalMs = Math.min(this.staleAfterMs, 60 * 1000);
+
+    this.handlers = {};
+    this.active = new Set();
+    // IDs of the jobs this process is running, never stale however long they take
+    this.runningIds = new Set();
+    this.timer = null;
+    this.polling = false;
+    this.lastSweepAt = 0;
+
+    console.log(`Job Service initialized (concurrency ${this.concurrency})`);
+  }
+
+  /**
+   * Register the code that runs jobs of a type
+   * @param {string} type - Job type, e.g. 'generate'
+   * @param {Object} handler - { run(job, onProgress) => result, discard?(job, result),
+   *   settled?(job, outcome), cleanup?(job) }.
+   *   onProgress(event, data) publishes a job event; discard undoes a result
+   *   that finished after the job was cancelled; settled receives the final
+   *   { status, result, error }; cleanup runs once the job reaches any final status.
+   */
+  registerHandler(type, handler) {
+    this.handlers[type] = handler;
+  }
+
+  /**
+   * Queue a job
+   * @param {string} type - Registered job type
+   * @param {string} ownerId - User the job belongs to
+   * @param {Object} input - Handler input, stored on the job
+   * @returns {Promise<Object>} - Job document
+   */
+  async enqueue(type, ownerId, input) {
+    if (!this.handlers[type]) {
+      throw new Error(`No handler registered for job type: ${type}`);
+    }
+
+    const now = new Date();
+    const job = {
+      _id: uuidv4(),
+      type: type,
+      status: 'queued',
+      ownerId: ownerId,
+      input: input,
+      result: null,
+      error: null,
+      attempts: 0,
+      eventSeq: 0,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null
+    };
+
+    await writeDB('jobs', job);
+    await jobEventService.publish(job._id, 'accepted', { type: type });
+    if (this.timer) {
+      setImmediate(() => this.poll());
+    }
+    return job;
+  }
+
+  /**
+   * Find a job visible under an owner scope
+   * @param {string} id - Job ID
+   * @param {Object} scope - Mongo filter, e.g. { ownerId }
+   * @returns {Promise<Object|null>}
+   */
+  get(id, scope) {
+    return findOneDB('jobs', { _id: id, ...scope });
+  }
+
+  /**
+   * List jobs visible under an owner scope, newest first
+   * @param {Object} scope - Mongo filter, e.g. { ownerId }
+   * @param {Object} options - { status, limit }
+   * @returns {Promise<Array>}
+   */
+  list(scope, { status, limit = 20 } = {}) {
+    const query = status ? { ...scope, status } : scope;
+    return findManyDB('jobs', query, { sort: { createdAt: -1 }, limit });
+  }
+
+  /**
+   * Cancel a queued or running job. A running job's provider call cannot be
+   * interrupted; its result is discarded when it finishes.
+   * @param {string} id - Job ID
+   * @param {Object} scope - Mongo filter limiting which jobs may be cancelled
+   * @returns {Promise<Object|null>} - Cancelled job, or null when no active job matched
+   */
+  async cancel(id, scope) {
+    const now = new Date();
+    const job = await getDB().collection('jobs').findOneAndUpdate(
+      { _id: id, status: { $in: ACTIVE_STATUSES }, ...scope },
+      { $set: { status: 'cancelled', cancelledAt: now, finishedAt: now, updatedAt: now } },
+      { returnDocument: 'before' }
+    );
+
+    if (!job) return null;
+
+    await jobEventService.publish(job._id, 'cancelled', { previousStatus: job.status });
+    await this.settle(job, { status: 'cancelled', result: null, error: null });
+
+    // A running job cleans up after itself when its handler returns
+    if (job.status === 'queued') {
+      await this.cleanup(job);
+    }
+    return { ...job, status: 'cancelled', cancelledAt: now, finishedAt: now, updatedAt: now };
+  }
+
+  /**
+   * Start working the queue. Jobs left running by a crashed worker are
+   * recovered now and on every sweep, see recoverStale().
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.timer) return;
+
+    await this.recoverStale();
+
+    this.timer = setInterval(() => this.poll(), this.pollIntervalMs);
+    this.timer.unref();
+    this.poll();
+  }
+
+  /**
+   * Stop claiming jobs and wait for running ones to finish
+   * @param {number} timeoutMs - Longest to wait; unfinished jobs are requeued once stale
+   * @returns {Promise<void>}
+   */
+  async stop(timeoutMs = 30000) {
+    clearInterval(this.timer);
+    this.timer = null;
+
+    if (this.active.size === 0) return;
+
+    console.log(`Waiting for ${this.active.size} running job(s)...`);
+    let timeout;
+    await Promise.race([
+      Promise.allSettled([...this.active]),
+      new Promise(resolve => { timeout = setTimeout(resolve, timeoutMs); })
+    ]);
+    clearTimeout(timeout);
+  }
+
+  /**
+   * Recover 'running' jobs whose heartbeat (updatedAt) is older than
+   * staleAfterMs, which a crashed worker left behind. Those claimed fewer than
+   * maxAttempts times go back to the queue; the rest fail with JOB_ABANDONED,
+   * so a job that keeps crashing its worker is not retried forever.
+   * @returns {Promise<void>}
+   */
+  async recoverStale() {
+    this.lastSweepAt = Date.now();
+    const jobs = getDB().collection('jobs');
+    const stale = {
+      _id: { $nin: [...this.runningIds] },
+      status: 'running',
+      updatedAt: { $lt: new Date(Date.now() - this.staleAfterMs) }
+    };
+
+    const requeued = await jobs.updateMany(
+      { ...stale, attempts: { $lt: this.maxAttempts } },
+      { $set: { status: 'queued', startedAt: null, updatedAt: new Date() } }
+    );
+    if (requeued.modifiedCount > 0) {
+      console.log(`Requeued ${requeued.modifiedCount} stale job(s)`);
+    }
+
+    // One at a time, so each abandoned job is settled and cleaned up
+    for (;;) {
+      const now = new Date();
+      const jobError = {
+        code: 'JOB_ABANDONED',
+        type: 'WORKER_ERROR',
+        message: `The job stopped responding on each of its ${this.maxAttempts} attempt(s)`,
+        retryAfterMs: null
+      };
+      const job = await jobs.findOneAndUpdate(
+        stale,
+        { $set: { status: 'failed', error: jobError, finishedAt: now, updatedAt: now } },
+        { returnDocument: 'after' }
+      );
+      if (!job) break;
+
+      console.error(`Job ${job._id} failed: abandoned after ${job.attempts} attempt(s)`);
+      await jobEventService.publish(job._id, 'failed', jobError);
+      await this.settle(job, { status: 'failed', result: null, error: jobError });
+      await this.cleanup(job);
+    }
+  }
+
+  // Claim queued jobs, oldest first, until every worker slot is busy
+  async poll() {
+    if (this.polling || !this.timer) return;
+    this.polling = true;
+
+    try {
+      if (Date.now() - this.lastSweepAt >= this.sweepIntervalMs) {
+        await this.recoverStale();
+      }
+
+      while (this.timer && this.active.size < this.concurrency) {
+        const now = new Date();
+        const job = await getDB().collection('jobs').findOneAndUpdate(
+          { status: 'queued', type: { $in: Object.keys(this.handlers) } },
+          { $set: { status: 'running', startedAt: now, updatedAt: now }, $inc: { attempts: 1 } },
+          { sort: { createdAt: 1 }, returnDocument: 'after' }
+        );
+        if (!job) break;
+
+        this.runningIds.add(job._id);
+        const running = this.execute(job).finally(() => {
+          this.active.delete(running);
+          this.runningIds.delete(job._id);
+          this.poll();
+        });
+        this.active.add(running);
+      }
+    } catch (error) {
+      console.error('Error polling job queue:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  // Touch updatedAt while the job runs, so other instances do not take it for stale
+  heartbeat(job) {
+    const timer = setInterval(() => {
+      getDB().collection('jobs')
+        .updateOne({ _id: job._id, status: 'running' }, { $set: { updatedAt: new Date() } })
+        .catch(error => console.error(`Heartbeat failed for job ${job._id}:`, error.message));
+    }, this.heartbeatIntervalMs);
+    timer.unref();
+    return timer;
+  }
+
+  // Run one claimed job and record how it ended
+  async execute(job) {
+    const handler = this.handlers[job.type];
+    const jobs = getDB().collection('jobs');
+    const onProgress = (event, data) => jobEventService.publish(job._id, event, data);
+    console.log(`Job ${job._id} (${job.type}) started`);
+    const heartbeat = this.heartbeat(job);
+
+    try {
+      onProgress('started', { attempt: job.attempts });
+      const result = await handler.run(job, onProgress);
+      const now = new Date();
+      const saved = await jobs.updateOne(
+        { _id: job._id, status: 'running' },
+        { $set: { status: 'succeeded', result: result, finishedAt: now, updatedAt: now } }
+      );
+
+      if (saved.matchedCount === 0) {
+        console.log(`Job ${job._id} was cancelled while running; discarding its result`);
+        if (handler.discard) {
+          await handler.discard(job, result);
+        }
+      } else {
+        console.log(`Job ${job._id} succeeded`);
+        await onProgress('completed', { result });
+        await this.settle(job, { status: 'succeeded', result: result, error: null });
+      }
+    } catch (error) {
+      console.error(`Job ${job._id} failed:`, error.message);
+      const now = new Date();
+      const jobError = {
+        code: error.code || 'JOB_FAILED',
+        type: error.type || 'UNKNOWN_ERROR',
+        message: error.message,
+        retryAfterMs: error.retryAfterMs || null
+      };
+      try {
+        const saved = await jobs.updateOne(
+          { _id: job._id, status: 'running' },
+          { $set: { status: 'failed', error: jobError, finishedAt: now, updatedAt: now } }
+        );
+        if (saved.matchedCount > 0) {
+          await onProgress('failed', jobError);
+          await this.settle(job, { status: 'failed', result: null, error: jobError });
+        }
+      } catch (updateError) {
+        console.error(`Failed to record failure of job ${job._id}:`, updateError);
+      }
+    } finally {
+      clearInterval(heartbeat);
+      await this.cleanup(job);
+    }
+  }
+
+  async settle(job, outcome) {
+    const handler = this.handlers[job.type];
+    if (!handler || !handler.settled) return;
+
+    try {
+      await handler.settled(job, outcome);
+    } catch (error) {
+      console.error(`Settled hook failed for job ${job._id}:`, error);
+    }
+  }
+
+  async cleanup(job) {
+    const handler = this.handlers[job.type];
+    if (!handler || !handler.cleanup) return;
+
+    try {
+      await handler.cleanup(job);
+    } catch (error) {
+      console.error(`Cleanup failed for job ${job._id}:`, error);
+    }
+  }
+}
+
+export default new JobService();
@@ -0,0 +1,166 @@
+import { v4 as uuidv4 } from 'uuid';
+import { moderationRules, FLAG_PROBABILITY, SAFETY_PROBABILITIES } from '../config/moderation.js';
+import { getDB, writeDB, findManyDB } from '../config/database.js';
+
+// clean: passed the checks; flagged: held for review; approved/rejected: reviewed by an admin
+export const MODERATION_STATUSES = ['clean', 'flagged', 'approved', 'rejected'];
+
+// Statuses kept out of listings
+const HIDDEN_STATUSES = ['flagged', 'rejected'];
+
+// Collections whose documents are moderated, with the kind reported for them
+const MODERATED_COLLECTIONS = [
+  { collection: 'images', kind: 'uploaded' },
+  { collection: 'generated_images', kind: 'generated' }
+];
+
+/**
+ * Checks on what goes to the image provider and what is stored. Prompts are
+ * matched against the rules in config/moderation.js; generated images are
+ * held when Gemini rates them unsafe. Held images get moderationStatus
+ * 'flagged', stay out of listings and wait in a review queue for an admin to
+ * approve or reject them. Refused requests are logged in `moderation_blocks`.
+ */
+class ModerationService {
+  constructor() {
+    console.log(`Moderation Service initialized (${moderationRules.length} prompt rule(s))`);
+  }
+
+  /**
+   * Match text against the prompt rules
+   * @param {string} text - Prompt text
+   * @returns {Object} - { action: 'allow' | 'flag' | 'block', reasons } where reasons
+   *   lists every matching rule; one blocking rule blocks the prompt
+   */
+  checkPrompt(text) {
+    const matched = moderationRules.filter(rule => rule.regex.test(text || ''));
+    let action = 'allow';
+    if (matched.length > 0) {
+      action = matched.some(rule => rule.action === 'block') ? 'block' : 'flag';
+    }
+    return { action, reasons: matched.map(rule => rule.reason) };
+  }
+
+  /**
+   * Reasons to hold a generated image, from the provider's safety verdict
+   * @param {Object|null} safety - { blockReason, finishReason, ratings: [{ source, category, probability, blocked }] }
+   * @returns {string[]}
+   */
+  reviewSafety(safety) {
+    if (!safety) return [];
+
+    const threshold = SAFETY_PROBABILITIES.indexOf(FLAG_PROBABILITY);
+    return safety.ratings
+      .filter(rating => rating.blocked || SAFETY_PROBABILITIES.indexOf(rating.probability) >= threshold)
+      .map(rating => `${rating.source} rated ${rating.probability} for ${rating.category}`);
+  }
+
+  /**
+   * Moderation fields of a new image document
+   * @param {string[]} reasons - Why it should be held; none makes it clean
+   * @returns {Object} - { moderationStatus, moderation }
+   */
+  initialFields(reasons) {
+    if (reasons.length === 0) {
+      return { moderationStatus: 'clean', moderation: null };
+    }
+    return {
+      moderationStatus: 'flagged',
+      moderation: { reasons, flaggedAt: new Date(), reviewedBy: null, reviewedAt: null, note: null }
+    };
+  }
+
+  /**
+   * Filter that leaves held and rejected documents out of a listing.
+   * Documents stored before moderation have no status and stay visible.
+   * @returns {Object}
+   */
+  visibleFilter() {
+    return { moderationStatus: { $nin: HIDDEN_STATUSES } };
+  }
+
+  /**
+   * Filter for reading a single image: admins also see held and rejected
+   * images, so they can review them; everyone else gets visibleFilter()
+   * @param {Object} [user] - req.user; absent for signed URLs
+   * @returns {Object}
+   */
+  visibleScope(user) {
+    return user && user.role === 'admin' ? {} : this.visibleFilter();
+  }
+
+  /**
+   * Log a refused request
+   * @param {Object} block - { ownerId, prompt, origin: 'rules' | 'provider', reasons, safety? }
+   * @returns {Promise<void>}
+   */
+  async recordBlock({ ownerId, prompt, origin, reasons, safety = null }) {
+    await writeDB('moderation_blocks', {
+      _id: uuidv4(),
+      ownerId,
+      prompt,
+      origin,
+      reasons,
+      safety,
+      createdAt: new Date()
+    });
+  }
+
+  /**
+   * Refused requests, newest first
+   * @param {Object} [options] - { origin, limit }
+   * @returns {Promise<Array>}
+   */
+  listBlocks({ origin, limit = 20 } = {}) {
+    return findManyDB('moderation_blocks', origin ? { origin } : {}, { sort: { createdAt: -1 }, limit });
+  }
+
+  /**
+   * Images waiting for review, oldest flag first
+   * @param {Object} [options] - { limit }
+   * @returns {Promise<Array>} - Image documents, each with kind 'uploaded' or 'generated'
+   */
+  async queue({ limit = 20 } = {}) {
+    const found = await Promise.all(MODERATED_COLLECTIONS.map(async ({ collection, kind }) => {
+      const images = await findManyDB(collection, { moderationStatus: 'flagged' }, {
+        sort: { 'moderation.flaggedAt': 1 },
+        limit,
+        projection: { base64Image: 0 }
+      });
+      return images.map(image => ({ ...image, kind }));
+    }));
+
+    return found.flat()
+      .sort((a, b) => new Date(a.moderation.flaggedAt) - new Date(b.moderation.flaggedAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * Approve or reject a moderated image. A decision can be changed later.
+   * @param {string} id - Image ID
+   * @param {string} decision - 'approved' or 'rejected'
+   * @param {Object} review - { reviewedBy, note }
+   * @returns {Promise<Object|null>} - Updated image with its kind, or null when no moderated image has this ID
+   */
+  async review(id, decision, { reviewedBy, note = null }) {
+    for (const { collection, kind } of MODERATED_COLLECTIONS) {
+      const updated = await getDB().collection(collection).findOneAndUpdate(
+        // Clean images were never held, so there is nothing to decide
+        { _id: id, moderationStatus: { $in: ['flagged', 'approved', 'rejected'] } },
+        {
+          $set: {
+            moderationStatus: decision,
+            'moderation.reviewedBy': reviewedBy,
+            'moderation.reviewedAt': new Date(),
+            'moderation.note': note
+          }
+        },
+        { returnDocument: 'after', projection: { base64Image: 0 } }
+      );
+      if (updated) return { ...updated, kind };
+    }
+    return null;
+  }
+}
+
+export default new ModerationService();
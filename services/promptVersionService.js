@@ -0,0 +1,173 @@
+import { v4 as uuidv4 } from 'uuid';
+import { getDB, writeDB, findOneDB, findManyDB } from '../config/database.js';
+import { diffWords } from '../utils/textDiff.js';
+
+// Prompt fields captured in every version
+const VERSIONED_FIELDS = ['promptName', 'prompt', 'variables'];
+
+const sameValue = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+/**
+ * What changed between two states of a prompt
+ * @param {Object|null} before - Previous content, null for the first version
+ * @param {Object} after - New content
+ * @returns {Object} - { promptName?: { from, to }, prompt?: [word ops], variables?: { added, removed, changed } }
+ */
+export const diffPrompt = (before, after) => {
+  const previous = before || {};
+  const diff = {};
+
+  if (previous.promptName !== after.promptName) {
+    diff.promptName = { from: previous.promptName || null, to: after.promptName };
+  }
+  if (previous.prompt !== after.prompt) {
+    diff.prompt = diffWords(previous.prompt || '', after.prompt);
+  }
+
+  const oldVariables = previous.variables || {};
+  const newVariables = after.variables || {};
+  const added = Object.keys(newVariables).filter(name => !(name in oldVariables));
+  const removed = Object.keys(oldVariables).filter(name => !(name in newVariables));
+  const changed = Object.keys(newVariables).filter(name => name in oldVariables && !sameValue(oldVariables[name], newVariables[name]));
+  if (added.length || removed.length || changed.length) {
+    diff.variables = { added, removed, changed };
+  }
+  return diff;
+};
+
+/**
+ * Immutable history of prompt edits. Every create, update and rollback
+ * stores the prompt's content as a new numbered version in `prompt_versions`;
+ * the prompt document keeps the current content and its version number.
+ */
+class PromptVersionService {
+  constructor() {
+    console.log('Prompt Version Service initialized');
+  }
+
+  // Store one version of a prompt
+  async record(promptId, version, content, before, { authorId, rolledBackFrom = null }) {
+    const entry = {
+      _id: uuidv4(),
+      promptId: promptId,
+      version: version,
+      promptName: content.promptName,
+      prompt: content.prompt,
+      variables: content.variables || {},
+      diff: diffPrompt(before, content),
+      authorId: authorId,
+      rolledBackFrom: rolledBackFrom,
+      createdAt: new Date()
+    };
+    await writeDB('prompt_versions', entry);
+    return entry;
+  }
+
+  /**
+   * Record the first version of a new prompt
+   * @param {Object} prompt - Prompt document, already saved with version 1
+   * @param {string} authorId - User who created it
+   * @returns {Promise<Object>} - Version
+   */
+  recordInitial(prompt, authorId) {
+    return this.record(prompt._id, 1, prompt, null, { authorId });
+  }
+
+  /**
+   * Give a prompt saved before versioning existed its first version
+   * @param {Object} prompt - Prompt document
+   * @returns {Promise<Object>} - The prompt with its version number
+   */
+  async ensureVersioned(prompt) {
+    if (prompt.version) return prompt;
+
+    const claimed = await getDB().collection('prompts').findOneAndUpdate(
+      { _id: prompt._id, version: { $exists: false } },
+      { $set: { version: 1 } },
+      { returnDocument: 'after' }
+    );
+    if (claimed) {
+      await this.record(claimed._id, 1, claimed, null, { authorId: claimed.ownerId });
+      return claimed;
+    }
+    // Another request versioned it first
+    return findOneDB('prompts', { _id: prompt._id });
+  }
+
+  /**
+   * Change a prompt and record the result as a new version. The version
+   * number is taken in the same write as the change, so concurrent edits
+   * each get their own version.
+   * @param {Object} prompt - Current prompt document
+   * @param {Object} changes - Any of promptName, prompt, variables
+   * @param {Object} options - { authorId, rolledBackFrom }
+   * @returns {Promise<Object|null>} - Updated prompt, or null when it no longer exists
+   */
+  async update(prompt, changes, { authorId, rolledBackFrom = null }) {
+    await this.ensureVersioned(prompt);
+
+    const before = await getDB().collection('prompts').findOneAndUpdate(
+      { _id: prompt._id },
+      { $set: { ...changes, updatedAt: new Date() }, $inc: { version: 1 } },
+      { returnDocument: 'before' }
+    );
+    if (!before) return null;
+
+    const after = { ...before, ...changes, version: before.version + 1 };
+    const previous = Object.fromEntries(VERSIONED_FIELDS.map(field => [field, before[field]]));
+    await this.record(prompt._id, after.version, after, previous, { authorId, rolledBackFrom });
+
+    return findOneDB('prompts', { _id: prompt._id });
+  }
+
+  /**
+   * Make an earlier version's content current again, as a new version
+   * @param {Object} prompt - Current prompt document
+   * @param {Object} version - Version to restore
+   * @param {string} authorId - User rolling back
+   * @returns {Promise<Object|null>} - Updated prompt
+   */
+  rollback(prompt, version, authorId) {
+    const content = Object.fromEntries(VERSIONED_FIELDS.map(field => [field, version[field]]));
+    return this.update(prompt, content, { authorId, rolledBackFrom: version.version });
+  }
+
+  /**
+   * Versions of a prompt, newest first, with how many images each produced
+   * @param {string} promptId - Prompt ID
+   * @returns {Promise<Array>}
+   */
+  async list(promptId) {
+    const [versions, counts] = await Promise.all([
+      findManyDB('prompt_versions', { promptId }, { sort: { version: -1 }, projection: { diff: 0 } }),
+      getDB().collection('generated_images').aggregate([
+        { $match: { promptId } },
+        { $group: { _id: '$promptVersion', count: { $sum: 1 } } }
+      ]).toArray()
+    ]);
+
+    const countByVersion = Object.fromEntries(counts.map(item => [item._id, item.count]));
+    return versions.map(version => ({ ...version, imageCount: countByVersion[version.version] || 0 }));
+  }
+
+  /**
+   * One version of a prompt
+   * @param {string} promptId - Prompt ID
+   * @param {number} version - Version number
+   * @returns {Promise<Object|null>}
+   */
+  get(promptId, version) {
+    return findOneDB('prompt_versions', { promptId, version });
+  }
+
+  /**
+   * Remove a deleted prompt's history
+   * @param {string} promptId - Prompt ID
+   * @returns {Promise<Object>}
+   */
+  deleteAll(promptId) {
+    return getDB().collection('prompt_versions').deleteMany({ promptId });
+  }
+}
+
+export default new PromptVersionService();
@@ -0,0 +1,74 @@
+/**
+ * Fails calls fast while a provider is down. After `threshold` consecutive
+ * failures the breaker opens and rejects calls for `cooldownMs`. It then lets
+ * one trial call through (half-open): success closes it, failure reopens it.
+ */
+class CircuitBreaker {
+  constructor(name, { threshold, cooldownMs }) {
+    this.name = name;
+    this.threshold = threshold;
+    this.cooldownMs = cooldownMs;
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Ask to make a call
+   * @returns {Object} - { allowed: true } or { allowed: false, retryAfterMs }
+   */
+  acquire() {
+    if (this.state === 'open') {
+      const remaining = this.openedAt + this.cooldownMs - Date.now();
+      if (remaining > 0) {
+        return { allowed: false, retryAfterMs: remaining };
+      }
+      this.state = 'half-open';
+    }
+
+    if (this.state === 'half-open') {
+      if (this.trialInFlight) {
+        return { allowed: false, retryAfterMs: this.cooldownMs };
+      }
+      this.trialInFlight = true;
+    }
+    return { allowed: true };
+  }
+
+  // The provider answered; failures that are the caller's fault count as success here
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      console.log(`Circuit for ${this.name} closed`);
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.trialInFlight = false;
+  }
+
+  // The provider failed in a way that suggests it is down
+  recordFailure() {
+    this.failures++;
+    this.trialInFlight = false;
+
+    if (this.state === 'half-open' || this.failures >= this.threshold) {
+      if (this.state !== 'open') {
+        console.error(`Circuit for ${this.name} opened after ${this.failures} failure(s)`);
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Current state, for health and debug output
+   * @returns {Object} - { state, failures, retryAfterMs }
+   */
+  status() {
+    const retryAfterMs = this.state === 'open' ? Math.max(0, this.openedAt + this.cooldownMs - Date.now()) : 0;
+    return { state: this.state, failures: this.failures, retryAfterMs };
+  }
+}
+
+export default CircuitBreaker;
@@ -0,0 +1,328 @@
+import {
+  GoogleGenerativeAI,
+  GoogleGenerativeAIAbortError,
+  GoogleGenerativeAIFetchError
+} from '@google/generative-ai';
+import { providerFailure, parseRetryAfter } from './providerErrors.js';
+
+const API_BASE = 'https://generativelanguage.googleapis.com/v1beta';
+
+// Finish and block reasons that mean the output was withheld on policy grounds
+const SAFETY_REASONS = [
+  'SAFETY', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'RECITATION',
+  'IMAGE_SAFETY', 'IMAGE_PROHIBITED_CONTENT', 'IMAGE_RECITATION'
+];
+
+// SDK messages for transport failures, as opposed to bad requests
+const TRANSPORT_ERRORS = /(Error fetching from|Error reading from the stream|Failed to parse stream)/;
+
+// Safety verdict of a response: the prompt's block reason, the first candidate's
+// finish reason, and the safety ratings Gemini gave the prompt and the output
+const safetyOf = (response) => {
+  const feedback = response.promptFeedback || {};
+  const candidate = (response.candidates || [])[0] || {};
+  const ratings = (source, list) => (list || []).map(rating => ({
+    source,
+    category: rating.category,
+    probability: rating.probability,
+    blocked: Boolean(rating.blocked)
+  }));
+
+  return {
+    blockReason: feedback.blockReason || null,
+    finishReason: candidate.finishReason || null,
+    ratings: [...ratings('prompt', feedback.safetyRatings), ...ratings('output', candidate.safetyRatings)]
+  };
+};
+
+// End free text with a full stop so the next instruction reads as its own sentence
+const sentence = (text) => (/[.!?]$/.test(text.trim()) ? text.trim() : `${text.trim()}.`);
+
+/**
+ * Image generation through the Google Gemini API. Needs GEMINI_API_KEY.
+ * This is the only Gemini client; models come from config/models.js.
+ */
+class GeminiProvider {
+  constructor() {
+    this.name = 'gemini';
+    this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    this.timeoutMs = parseInt(process.env.PROVIDER_TIMEOUT_MS, 10) || 120000;
+  }
+
+  // Failure for a missing API key; retrying cannot help
+  missingKey() {
+    return providerFailure('PROVIDER_UNAVAILABLE', 'GEMINI_API_KEY is not set in environment variables', {
+      retryable: false
+    });
+  }
+
+  /**
+   * Generate image using Gemini AI service
+   * @param {string} prompt - The text prompt for image generation
+   * @param {string} referenceImageBase64 - Base64 encoded reference image
+   * @param {string} mimeType - MIME type of the reference image
+   * @param {Object} options - { model, onProgress(event, data), ...params }, params as in promptText and imageRequest
+   * @returns {Promise<Object>} - Generated image data
+   */
+  async generateImage(prompt, referenceImageBase64, mimeType, { model: modelName, onProgress = () => {}, ...params }) {
+    if (!process.env.GEMINI_API_KEY) {
+      return this.missingKey();
+    }
+
+    try {
+      // Sizes only: prompts and images are user content
+      console.log(`Starting image generation with Gemini (prompt ${prompt.length} characters, reference image ${referenceImageBase64 ? referenceImageBase64.length : 0} bytes of base64)`);
+
+      const model = this.genAI.getGenerativeModel({ model: modelName }, { timeout: this.timeoutMs });
+      console.log(`Using ${modelName} model for image processing`);
+
+      // Prepare the parts for the request
+      const parts = [
+        {
+          text: this.promptText(prompt, params, 'Use the provided reference image as a style guide or inspiration.')
+        },
+        {
+          inlineData: {
+            data: referenceImageBase64,
+            mimeType: mimeType
+          }
+        }
+      ];
+
+      onProgress('provider_call_started', { model: modelName });
+      const result = await model.generateContentStream(this.imageRequest(parts, params));
+      const output = await this.readStream(result, onProgress);
+
+      console.log(`Gemini response received (${output.images.length} image part(s))`);
+      return this.toResult(modelName, output, await result.response);
+    } catch (error) {
+      console.error('Error in image generation:', error);
+      return this.classifyError(error, modelName);
+    }
+  }
+
+  /**
+   * Generate image from text prompt only
+   * @param {string} prompt - The text prompt for image generation
+   * @param {Object} options - { model, onProgress(event, data), ...params }, params as in promptText and imageRequest
+   * @returns {Promise<Object>} - Generated image data
+   */
+  async generateFromText(prompt, { model: modelName, onProgress = () => {}, ...params }) {
+    if (!process.env.GEMINI_API_KEY) {
+      return this.missingKey();
+    }
+
+    try {
+      console.log(`Starting text-to-image generation with Gemini (prompt ${prompt.length} characters)`);
+
+      const model = this.genAI.getGenerativeModel({ model: modelName }, { timeout: this.timeoutMs });
+      console.log(`Using ${modelName} model for text-to-image generation`);
+
+      // Prepare the parts for the request
+      const parts = [
+        {
+          text: this.promptText(prompt, params)
+        }
+      ];
+
+      onProgress('provider_call_started', { model: modelName });
+      const result = await model.generateContentStream(this.imageRequest(parts, params));
+      const output = await this.readStream(result, onProgress);
+
+      console.log(`Gemini text-to-image response received (${output.images.length} image part(s))`);
+      return this.toResult(modelName, output, await result.response);
+    } catch (error) {
+      console.error('Error in text-to-image generation:', error);
+      return this.classifyError(error, modelName);
+    }
+  }
+
+  /**
+   * Turn an SDK error into a failed result with a PROVIDER_ERRORS type
+   * @param {Error} error - Thrown by the SDK
+   * @param {string} modelName - Model that was called
+   * @returns {Object} - Failed provider result
+   */
+  classifyError(error, modelName) {
+    const extra = { model: modelName };
+
+    if (error instanceof GoogleGenerativeAIAbortError) {
+      return providerFailure('TIMEOUT', `Gemini did not answer within ${this.timeoutMs}ms`, extra);
+    }
+
+    if (error instanceof GoogleGenerativeAIFetchError) {
+      const status = error.status;
+      const detail = `Gemini responded with HTTP ${status}${error.statusText ? ` ${error.statusText}` : ''}`;
+
+      if (status === 429) {
+        // RESOURCE_EXHAUSTED carries a google.rpc.RetryInfo detail with the wait
+        const retryInfo = (error.errorDetails || []).find(item => item && item.retryDelay);
+        return providerFailure('QUOTA_EXCEEDED', `Quota exceeded: ${detail}. Check your billing and quota limits.`, {
+          ...extra,
+          retryAfterMs: retryInfo ? parseRetryAfter(retryInfo.retryDelay) : null
+        });
+      }
+      if (status === 400) {
+        return providerFailure('INVALID_INPUT', `Gemini rejected the request: ${error.message}`, extra);
+      }
+      if (status === 401 || status === 403) {
+        return providerFailure('PROVIDER_UNAVAILABLE', `Gemini rejected the API key: ${detail}`, { ...extra, retryable: false });
+      }
+      if (status === 404) {
+        return providerFailure('MODEL_UNAVAILABLE', `Model ${modelName} is not available: ${detail}`, extra);
+      }
+      if (status === 408 || status === 504) {
+        return providerFailure('TIMEOUT', detail, extra);
+      }
+      if (status >= 500) {
+        return providerFailure('PROVIDER_UNAVAILABLE', detail, extra);
+      }
+      return providerFailure('UNKNOWN_ERROR', `Image generation failed: ${detail}`, extra);
+    }
+
+    if (TRANSPORT_ERRORS.test(error.message)) {
+      return providerFailure('PROVIDER_UNAVAILABLE', `Could not reach Gemini: ${error.message}`, extra);
+    }
+
+    return providerFailure('UNKNOWN_ERROR', `Image generation failed: ${error.message}`, extra);
+  }
+
+  // Instruction text sent with the prompt: the style preset's instruction and
+  // the negative prompt are spelled out, as Gemini has no fields for them
+  promptText(prompt, { styleInstruction, negativePrompt } = {}, referenceHint = null) {
+    const lines = [`Generate an image based on this prompt: "${prompt}".`];
+    if (referenceHint) lines.push(referenceHint);
+    if (styleInstruction) lines.push(sentence(`Style: ${styleInstruction}`));
+    if (negativePrompt) lines.push(sentence(`Do not include: ${negativePrompt}`));
+    return lines.join(' ');
+  }
+
+  // Request asking for image output alongside the model's commentary;
+  // seed, temperature and aspect ratio are only sent when the caller set them
+  imageRequest(parts, { seed, temperature, aspectRatio } = {}) {
+    const generationConfig = { responseModalities: ['TEXT', 'IMAGE'] };
+    if (seed !== undefined && seed !== null) generationConfig.seed = seed;
+    if (temperature !== undefined && temperature !== null) generationConfig.temperature = temperature;
+    if (aspectRatio) generationConfig.imageConfig = { aspectRatio };
+
+    return {
+      contents: [{ role: 'user', parts }],
+      generationConfig
+    };
+  }
+
+  /**
+   * Read a streamed response, reporting text as it arrives. The SDK's
+   * aggregated response drops inlineData parts, so image parts are collected
+   * from the chunks of every candidate.
+   * @param {Object} result - generateContentStream result
+   * @param {Function} onProgress - Receives ('text', { text })
+   * @returns {Promise<Object>} - { images: [{ inlineData: { data, mimeType } }], text }
+   */
+  async readStream(result, onProgress) {
+    const images = [];
+    const text = [];
+
+    for await (const chunk of result.stream) {
+      for (const candidate of chunk.candidates || []) {
+        const parts = (candidate.content && candidate.content.parts) || [];
+        for (const part of parts) {
+          if (part.inlineData && part.inlineData.data && /^image\//.test(part.inlineData.mimeType || '')) {
+            images.push({ inlineData: { data: part.inlineData.data, mimeType: part.inlineData.mimeType } });
+          } else if (part.text) {
+            text.push(part.text);
+            onProgress('text', { text: part.text });
+          }
+        }
+      }
+    }
+
+    return { images, text: text.join('') };
+  }
+
+  // Turn collected output into a provider result carrying its safety verdict; no image
+  // part is a failure, typed SAFETY_BLOCKED when the prompt or output was blocked on policy grounds
+  toResult(modelName, output, response) {
+    const safety = safetyOf(response);
+
+    if (output.images.length === 0) {
+      const reason = safety.blockReason || safety.finishReason;
+      const blocked = Boolean(safety.blockReason) || SAFETY_REASONS.includes(reason);
+
+      return providerFailure(
+        blocked ? 'SAFETY_BLOCKED' : 'NO_IMAGE_RETURNED',
+        `Model ${modelName} returned no image${reason ? ` (${reason})` : ''}` +
+          (output.text ? `. It said: ${output.text.slice(0, 200)}` : ''),
+        { model: modelName, text: output.text, reason: reason || null, safety }
+      );
+    }
+
+    return {
+      success: true,
+      images: output.images,
+      message: 'Image generated with Gemini AI',
+      model: modelName,
+      text: output.text,
+      safety: safety
+    };
+  }
+
+  /**
+   * List the models this API key can use. The SDK has no listing call, so
+   * this pages through the REST endpoint.
+   * @returns {Promise<string[]>} - Model names without the "models/" prefix
+   * @throws {Error} - When the key is missing or the request fails
+   */
+  async listModels() {
+    if (!process.env.GEMINI_API_KEY) {
+      throw new Error('GEMINI_API_KEY is not set in environment variables');
+    }
+
+    const names = [];
+    let pageToken = '';
+    do {
+      const url = `${API_BASE}/models?pageSize=1000${pageToken ? `&pageToken=${encodeURIComponent(pageToken)}` : ''}`;
+      const response = await fetch(url, {
+        headers: { 'x-goog-api-key': process.env.GEMINI_API_KEY },
+        signal: AbortSignal.timeout(10000)
+      });
+      if (!response.ok) {
+        throw new Error(`Listing Gemini models failed with HTTP ${response.status}`);
+      }
+
+      const body = await response.json();
+      for (const model of body.models || []) {
+        names.push(model.name.replace(/^models\//, ''));
+      }
+      pageToken = body.nextPageToken;
+    } while (pageToken);
+
+    return names;
+  }
+
+  /**
+   * Check the API key works by listing models (spends no generation quota)
+   * @returns {Promise<Object>} - Connection test result
+   */
+  async healthCheck() {
+    try {
+      console.log('Testing Gemini AI service connection...');
+      const models = await this.listModels();
+
+      return {
+        success: true,
+        message: 'Gemini AI service is ready',
+        service: 'Google Gemini AI',
+        availableModels: models
+      };
+    } catch (error) {
+      console.error('Gemini AI service connection test failed:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+export default GeminiProvider;
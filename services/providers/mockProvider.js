@@ -0,0 +1,130 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+
+const SIZE = 512;
+
+const escapeXml = (text) => text.replace(/[<>&'"]/g, char => `&#${char.charCodeAt(0)};`);
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Offline provider that renders a placeholder PNG from a hash of the prompt
+ * (and reference image, seed, style instruction and negative prompt, when
+ * given) in the requested aspect ratio. The same input always produces the
+ * same image, so it suits tests and local development without GEMINI_API_KEY.
+ * Temperature has no effect.
+ * MOCK_PROVIDER_DELAY_MS simulates a slow provider.
+ */
+class MockProvider {
+  constructor() {
+    this.name = 'mock';
+    this.delayMs = parseInt(process.env.MOCK_PROVIDER_DELAY_MS, 10) || 0;
+  }
+
+  // Canvas size for an aspect ratio such as "16:9", with SIZE as the long side
+  dimensions(aspectRatio) {
+    const [w, h] = (aspectRatio || '1:1').split(':').map(Number);
+    return w >= h
+      ? { width: SIZE, height: Math.round(SIZE * h / w) }
+      : { width: Math.round(SIZE * w / h), height: SIZE };
+  }
+
+  // Colours and shapes derived from the hash, with its first 12 hex digits as the caption
+  renderPlaceholder(hash, { width, height }) {
+    const bytes = Buffer.from(hash, 'hex');
+    const hue = (bytes[0] / 255) * 360;
+    const shapes = [];
+
+    for (let i = 0; i < 6; i++) {
+      const [x, y, r, shade] = bytes.subarray(4 + i * 4, 8 + i * 4);
+      shapes.push(
+        `<circle cx="${(x / 255) * width}" cy="${(y / 255) * height}" r="${20 + (r / 255) * 120}" ` +
+        `fill="hsl(${(hue + shade) % 360}, 70%, 60%)" fill-opacity="0.55"/>`
+      );
+    }
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+      <defs>
+        <linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+          <stop offset="0" stop-color="hsl(${hue}, 60%, 35%)"/>
+          <stop offset="1" stop-color="hsl(${(hue + 120) % 360}, 60%, 20%)"/>
+        </linearGradient>
+      </defs>
+      <rect width="100%" height="100%" fill="url(#bg)"/>
+      ${shapes.join('\n      ')}
+      <text x="50%" y="92%" text-anchor="middle" font-family="monospace" font-size="28" fill="#ffffff">
+        ${escapeXml(hash.slice(0, 12))}
+      </text>
+    </svg>`;
+
+    return sharp(Buffer.from(svg)).png().toBuffer();
+  }
+
+  async generate(prompt, referenceImageBase64, { model, seed, styleInstruction, negativePrompt, aspectRatio, onProgress }) {
+    onProgress('provider_call_started', { model });
+
+    const hash = crypto.createHash('sha256')
+      .update(prompt || '')
+      .update(referenceImageBase64 || '')
+      .update(seed === undefined || seed === null ? '' : `seed:${seed}`)
+      .update(styleInstruction ? `style:${styleInstruction}` : '')
+      .update(negativePrompt ? `negative:${negativePrompt}` : '')
+      .digest('hex');
+    const text = `Placeholder image for prompt hash ${hash.slice(0, 12)}.`;
+
+    if (this.delayMs) {
+      await wait(this.delayMs);
+    }
+    onProgress('text', { text });
+    const image = await this.renderPlaceholder(hash, this.dimensions(aspectRatio));
+
+    return {
+      success: true,
+      images: [{
+        inlineData: {
+          data: image.toString('base64'),
+          mimeType: 'image/png'
+        }
+      }],
+      message: 'Placeholder image rendered by the mock provider',
+      model: model,
+      text: text
+    };
+  }
+
+  /**
+   * Render a placeholder for a prompt and reference image
+   * @param {string} prompt - Prompt text
+   * @param {string} referenceImageBase64 - Base64 reference image (mixed into the hash)
+   * @param {string} mimeType - Unused
+   * @param {Object} options - { model, onProgress(event, data), ...params }
+   * @returns {Promise<Object>} - Generated image data
+   */
+  generateImage(prompt, referenceImageBase64, mimeType, { onProgress = () => {}, ...options }) {
+    return this.generate(prompt, referenceImageBase64, { ...options, onProgress });
+  }
+
+  /**
+   * Render a placeholder for a prompt
+   * @param {string} prompt - Prompt text
+   * @param {Object} options - { model, onProgress(event, data), ...params }
+   * @returns {Promise<Object>} - Generated image data
+   */
+  generateFromText(prompt, { onProgress = () => {}, ...options }) {
+    return this.generate(prompt, null, { ...options, onProgress });
+  }
+
+  /**
+   * The mock provider is always available
+   * @returns {Promise<Object>}
+   */
+  async healthCheck() {
+    return {
+      success: true,
+      message: 'Mock provider is ready',
+      service: 'Mock placeholder renderer (offline)'
+    };
+  }
+}
+
+export default MockProvider;
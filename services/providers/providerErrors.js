@@ -0,0 +1,62 @@
+// Failure types a provider call can end with. Providers report one of these
+// as `errorType`; `status` is the HTTP status the API answers with and
+// `retryable` says whether the same call may succeed if tried again.
+export const PROVIDER_ERRORS = {
+  QUOTA_EXCEEDED: { status: 429, retryable: true },
+  SAFETY_BLOCKED: { status: 422, retryable: false },
+  INVALID_INPUT: { status: 422, retryable: false },
+  NO_IMAGE_RETURNED: { status: 502, retryable: false },
+  MODEL_UNAVAILABLE: { status: 503, retryable: false },
+  PROVIDER_UNAVAILABLE: { status: 503, retryable: true },
+  TIMEOUT: { status: 504, retryable: true },
+  UNKNOWN_ERROR: { status: 502, retryable: false }
+};
+
+/**
+ * Build a failed provider result
+ * @param {string} errorType - Key of PROVIDER_ERRORS
+ * @param {string} error - Message for the client
+ * @param {Object} [extra] - e.g. { retryAfterMs, model, text }, or
+ *   { retryable: false } when this failure cannot clear up on its own
+ * @returns {Object} - { success: false, error, errorType, ... }
+ */
+export const providerFailure = (errorType, error, extra = {}) => ({
+  success: false,
+  error: error,
+  errorType: PROVIDER_ERRORS[errorType] ? errorType : 'UNKNOWN_ERROR',
+  ...extra
+});
+
+/**
+ * Whether a failed result is worth trying again
+ * @param {Object} result - Failed provider result
+ * @returns {boolean}
+ */
+export const isRetryable = (result) => (result.retryable !== undefined
+  ? result.retryable
+  : Boolean((PROVIDER_ERRORS[result.errorType] || {}).retryable));
+
+/**
+ * HTTP status for a failure type
+ * @param {string} errorType - Key of PROVIDER_ERRORS
+ * @returns {number}
+ */
+export const statusFor = (errorType) => (PROVIDER_ERRORS[errorType] || PROVIDER_ERRORS.UNKNOWN_ERROR).status;
+
+/**
+ * Parse a retry hint: a Retry-After header value (seconds or an HTTP date)
+ * or a protobuf duration such as "12s" or "1.5s"
+ * @param {string|number} value - Hint from the provider
+ * @returns {number|null} - Milliseconds to wait, or null when there is no usable hint
+ */
+export const parseRetryAfter = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(String(value).replace(/s$/, ''));
+  if (Number.isFinite(seconds) && seconds >= 0) {
+    return Math.round(seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
@@ -0,0 +1,69 @@
+import { v2 as cloudinary } from 'cloudinary';
+import axios from 'axios';
+
+/**
+ * Stores blobs in Cloudinary as "raw" resources so bytes come back unmodified.
+ * Credentials come from CLOUDINARY_URL or CLOUDINARY_CLOUD_NAME /
+ * CLOUDINARY_API_KEY / CLOUDINARY_API_SECRET.
+ */
+class CloudinaryStorageBackend {
+  constructor(folder) {
+    this.name = 'cloudinary';
+    this.folder = folder;
+
+    if (!process.env.CLOUDINARY_URL) {
+      cloudinary.config({
+        cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+        api_key: process.env.CLOUDINARY_API_KEY,
+        api_secret: process.env.CLOUDINARY_API_SECRET
+      });
+    }
+    cloudinary.config({ secure: true });
+  }
+
+  publicId(key) {
+    return this.folder ? `${this.folder}/${key}` : key;
+  }
+
+  /**
+   * Upload a blob
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - Blob contents
+   * @returns {Promise<void>}
+   */
+  put(key, buffer) {
+    return new Promise((resolve, reject) => {
+      const stream = cloudinary.uploader.upload_stream(
+        { public_id: this.publicId(key), resource_type: 'raw', overwrite: true },
+        (error) => (error ? reject(error) : resolve())
+      );
+      stream.end(buffer);
+    });
+  }
+
+  /**
+   * Open a read stream for a blob, optionally for a byte range
+   * @param {string} key - Storage key
+   * @param {Object} [range] - { start, end } inclusive byte offsets
+   * @returns {Promise<import('stream').Readable>}
+   */
+  async createReadStream(key, range) {
+    const url = cloudinary.url(this.publicId(key), { resource_type: 'raw' });
+    const response = await axios.get(url, {
+      responseType: 'stream',
+      headers: range ? { Range: `bytes=${range.start}-${range.end}` } : {}
+    });
+    return response.data;
+  }
+
+  /**
+   * Delete a blob
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await cloudinary.uploader.destroy(this.publicId(key), { resource_type: 'raw' });
+  }
+}
+
+export default CloudinaryStorageBackend;
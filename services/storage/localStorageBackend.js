@@ -0,0 +1,61 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Stores blobs as files under a base directory on the local filesystem.
+ * Keys are relative paths, e.g. "images/<uuid>.png".
+ */
+class LocalStorageBackend {
+  constructor(baseDir) {
+    this.name = 'local';
+    this.baseDir = path.resolve(baseDir);
+  }
+
+  // Resolve a key to a path, refusing anything that escapes baseDir
+  resolve(key) {
+    const filePath = path.resolve(this.baseDir, key);
+    if (!filePath.startsWith(this.baseDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Write a blob
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - Blob contents
+   * @returns {Promise<void>}
+   */
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  }
+
+  /**
+   * Open a read stream for a blob, optionally for a byte range
+   * @param {string} key - Storage key
+   * @param {Object} [range] - { start, end } inclusive byte offsets
+   * @returns {Promise<import('stream').Readable>}
+   */
+  async createReadStream(key, range) {
+    const filePath = this.resolve(key);
+    await fs.promises.access(filePath);
+    return fs.createReadStream(filePath, range ? { start: range.start, end: range.end } : undefined);
+  }
+
+  /**
+   * Delete a blob (missing blobs are ignored)
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+export default LocalStorageBackend;
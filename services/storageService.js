@@ -0,0 +1,85 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import dotenv from 'dotenv';
+import LocalStorageBackend from './storage/localStorageBackend.js';
+import CloudinaryStorageBackend from './storage/cloudinaryStorageBackend.js';
+
+// Load environment variables
+dotenv.config();
+
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/avif': '.avif'
+};
+
+class StorageService {
+  constructor() {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+
+    if (driver === 'cloudinary') {
+      this.backend = new CloudinaryStorageBackend(process.env.CLOUDINARY_FOLDER || 'pixora');
+    } else if (driver === 'local') {
+      this.backend = new LocalStorageBackend(process.env.STORAGE_LOCAL_DIR || 'uploads/storage');
+    } else {
+      throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+    }
+
+    console.log(`Storage Service initialized (${this.backend.name})`);
+  }
+
+  /**
+   * Store image bytes under a freshly generated key
+   * @param {Buffer} buffer - Image bytes
+   * @param {string} mimetype - MIME type, used for the key's extension
+   * @param {string} prefix - Key prefix, e.g. 'images' or 'generated'
+   * @returns {Promise<Object>} - { storageKey, storageDriver, size, etag }
+   */
+  async saveImage(buffer, mimetype, prefix = 'images') {
+    const storageKey = `${prefix}/${uuidv4()}${EXTENSIONS[mimetype] || ''}`;
+    await this.backend.put(storageKey, buffer);
+
+    return {
+      storageKey,
+      storageDriver: this.backend.name,
+      size: buffer.length,
+      etag: `"${crypto.createHash('sha256').update(buffer).digest('hex')}"`
+    };
+  }
+
+  /**
+   * Open a read stream for a stored blob
+   * @param {string} storageKey - Key returned by saveImage
+   * @param {Object} [range] - { start, end } inclusive byte offsets
+   * @returns {Promise<import('stream').Readable>}
+   */
+  createReadStream(storageKey, range) {
+    return this.backend.createReadStream(storageKey, range);
+  }
+
+  /**
+   * Read a whole stored blob into memory
+   * @param {string} storageKey - Key returned by saveImage
+   * @returns {Promise<Buffer>}
+   */
+  async read(storageKey) {
+    const chunks = [];
+    for await (const chunk of await this.backend.createReadStream(storageKey)) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Delete a stored blob
+   * @param {string} storageKey - Key returned by saveImage
+   * @returns {Promise<void>}
+   */
+  delete(storageKey) {
+    return this.backend.delete(storageKey);
+  }
+}
+
+export default new StorageService();
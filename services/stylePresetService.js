@@ -0,0 +1,161 @@
+import { v4 as uuidv4 } from 'uuid';
+import { getDB, writeDB, findOneDB, findManyDB } from '../config/database.js';
+import { DUPLICATE_KEY } from '../config/indexes.js';
+
+// Aspect ratios the image models accept
+export const ASPECT_RATIOS = ['1:1', '2:3', '3:2', '3:4', '4:3', '4:5', '5:4', '9:16', '16:9', '21:9'];
+
+// Types a generated image can be converted to before it is stored
+export const OUTPUT_MIME_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+
+// Preset names are used in URLs and requests
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+const MAX_TEXT_LENGTH = 2000;
+
+const isText = (value) => typeof value === 'string' && value.trim() !== '' && value.length <= MAX_TEXT_LENGTH;
+
+/**
+ * Check the generation parameters a preset or a request may set
+ * @param {Object} options - { negativePrompt?, aspectRatio?, outputMimeType? }
+ * @returns {string|null} - Problem description, or null when they are usable
+ */
+export const validateStyleOptions = ({ negativePrompt, aspectRatio, outputMimeType }) => {
+  if (negativePrompt !== undefined && negativePrompt !== null && !isText(negativePrompt)) {
+    return `negativePrompt must be a non-empty string of at most ${MAX_TEXT_LENGTH} characters`;
+  }
+  if (aspectRatio !== undefined && aspectRatio !== null && !ASPECT_RATIOS.includes(aspectRatio)) {
+    return `aspectRatio must be one of: ${ASPECT_RATIOS.join(', ')}`;
+  }
+  if (outputMimeType !== undefined && outputMimeType !== null && !OUTPUT_MIME_TYPES.includes(outputMimeType)) {
+    return `outputMimeType must be one of: ${OUTPUT_MIME_TYPES.join(', ')}`;
+  }
+  return null;
+};
+
+/**
+ * Named styles for generation, kept in `style_presets`. A preset holds the
+ * style instruction added to the prompt and default negative prompt, aspect
+ * ratio and output type; a request's own values win over the preset's.
+ */
+class StylePresetService {
+  constructor() {
+    console.log('Style Preset Service initialized');
+  }
+
+  /**
+   * Check preset fields
+   * @param {Object} fields - { name, instruction, description?, negativePrompt?, aspectRatio?, outputMimeType? }
+   * @param {boolean} [partial] - Only check the fields present (for updates)
+   * @returns {string|null} - Problem description, or null when the fields are usable
+   */
+  validate(fields, partial = false) {
+    if ((!partial || fields.name !== undefined) && !(typeof fields.name === 'string' && NAME_PATTERN.test(fields.name))) {
+      return 'name must be 1-64 lowercase letters, digits, dashes or underscores';
+    }
+    if ((!partial || fields.instruction !== undefined) && !isText(fields.instruction)) {
+      return `instruction must be a non-empty string of at most ${MAX_TEXT_LENGTH} characters`;
+    }
+    if (fields.description !== undefined && fields.description !== null && typeof fields.description !== 'string') {
+      return 'description must be a string';
+    }
+    return validateStyleOptions(fields);
+  }
+
+  /**
+   * Create a preset
+   * @param {Object} fields - See validate()
+   * @param {string} createdBy - User creating it
+   * @returns {Promise<Object|null>} - Preset, or null when the name is taken
+   */
+  async create(fields, createdBy) {
+    if (await this.get(fields.name)) return null;
+
+    const now = new Date();
+    const preset = {
+      _id: uuidv4(),
+      name: fields.name,
+      description: fields.description || null,
+      instruction: fields.instruction,
+      negativePrompt: fields.negativePrompt || null,
+      aspectRatio: fields.aspectRatio || null,
+      outputMimeType: fields.outputMimeType || null,
+      createdBy: createdBy,
+      createdAt: now,
+      updatedAt: now
+    };
+    try {
+      await writeDB('style_presets', preset);
+    } catch (error) {
+      // Another request created a preset with this name first
+      if (error.code !== DUPLICATE_KEY) throw error;
+      return null;
+    }
+    return preset;
+  }
+
+  /**
+   * All presets, by name
+   * @returns {Promise<Array>}
+   */
+  list() {
+    return findManyDB('style_presets', {}, { sort: { name: 1 } });
+  }
+
+  /**
+   * One preset
+   * @param {string} name - Preset name
+   * @returns {Promise<Object|null>}
+   */
+  get(name) {
+    return findOneDB('style_presets', { name });
+  }
+
+  /**
+   * Change a preset. Images already generated keep the values they were made with.
+   * @param {string} name - Preset name
+   * @param {Object} changes - Any of description, instruction, negativePrompt, aspectRatio, outputMimeType
+   * @returns {Promise<Object|null>} - Updated preset, or null when it does not exist
+   */
+  update(name, changes) {
+    return getDB().collection('style_presets').findOneAndUpdate(
+      { name },
+      { $set: { ...changes, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+  }
+
+  /**
+   * Remove a preset
+   * @param {string} name - Preset name
+   * @returns {Promise<boolean>} - Whether it existed
+   */
+  async delete(name) {
+    const result = await getDB().collection('style_presets').deleteOne({ name });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Style of one generation: the named preset's values, overridden by the request's
+   * @param {Object} options - { stylePreset?, negativePrompt?, aspectRatio?, outputMimeType? }
+   * @returns {Promise<Object|null>} - { stylePreset, styleInstruction, negativePrompt, aspectRatio,
+   *   outputMimeType }, or null when the named preset does not exist
+   */
+  async resolve({ stylePreset, negativePrompt, aspectRatio, outputMimeType }) {
+    let preset = {};
+    if (stylePreset) {
+      preset = await this.get(stylePreset);
+      if (!preset) return null;
+    }
+
+    return {
+      stylePreset: stylePreset || null,
+      styleInstruction: preset.instruction || null,
+      negativePrompt: negativePrompt || preset.negativePrompt || null,
+      aspectRatio: aspectRatio || preset.aspectRatio || null,
+      outputMimeType: outputMimeType || preset.outputMimeType || null
+    };
+  }
+}
+
+export default new StylePresetService();
@@ -0,0 +1,452 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { v4 as uuidv4 } from 'uuid';
+import dotenv from 'dotenv';
+import { getDB, writeDB, findOneDB, findManyDB, updateDB } from '../config/database.js';
+
+// Load environment variables
+dotenv.config();
+
+export const WEBHOOK_EVENTS = ['generation.completed', 'generation.failed', 'generation.cancelled'];
+
+export const DELIVERY_STATUSES = ['pending', 'delivering', 'succeeded', 'failed'];
+
+const SECRET_PREFIX = 'whsec_';
+
+const positiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const newSecret = () => SECRET_PREFIX + crypto.randomBytes(24).toString('base64url');
+
+// Addresses webhooks must not reach: this host, private networks, link-local
+// (including the cloud metadata service at 169.254.169.254) and the like
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+// Set WEBHOOK_ALLOW_PRIVATE_TARGETS=true to deliver to local receivers during development
+const allowPrivateTargets = () => process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true';
+
+const isBlockedAddress = (address) => {
+  // IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) reach the IPv4 host
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * dns.lookup for webhook requests that refuses blocked addresses. The request
+ * connects to the address checked here, so a host that resolves differently
+ * after validation (DNS rebinding) cannot reach an internal service.
+ */
+const checkedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = allowPrivateTargets() ? null : addresses.find(entry => isBlockedAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to a blocked address (${blocked.address})`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Sign a webhook body. Receivers recompute HMAC-SHA256(secret, `${t}.${body}`)
+ * and compare it with v1 from the X-Pixora-Signature header.
+ * @param {string} secret - Endpoint or account signing secret
+ * @param {string} body - Raw JSON body
+ * @param {number} timestamp - Unix seconds, also sent in the header
+ * @returns {string} - Header value "t=<timestamp>,v1=<hex digest>"
+ */
+export const signPayload = (secret, body, timestamp) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+};
+
+/**
+ * Webhook endpoints and the deliveries made to them. Deliveries are stored in
+ * `webhook_deliveries` and sent by a worker in this process, retrying failures
+ * with exponential backoff until WEBHOOK_MAX_ATTEMPTS is reached.
+ */
+class WebhookService {
+  constructor() {
+    this.maxAttempts = positiveInt(process.env.WEBHOOK_MAX_ATTEMPTS, 6);
+    this.retryBaseMs = positiveInt(process.env.WEBHOOK_RETRY_BASE_MS, 30000);
+    this.timeoutMs = positiveInt(process.env.WEBHOOK_TIMEOUT_MS, 10000);
+    this.pollIntervalMs = positiveInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 5000);
+
+    this.timer = null;
+    this.polling = false;
+    this.lastSweepAt = 0;
+
+    console.log('Webhook Service initialized');
+  }
+
+  /**
+   * Check a webhook target URL. Plain http is only accepted outside production;
+   * hosts must resolve, and only to public addresses.
+   * @param {string} url - Candidate URL
+   * @returns {Promise<string|null>} - Problem description, or null when the URL is usable
+   */
+  async validateUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return 'must be an absolute URL';
+    }
+
+    const allowed = process.env.NODE_ENV === 'production' ? ['https:'] : ['https:', 'http:'];
+    if (!allowed.includes(parsed.protocol)) {
+      return `must use ${allowed.join(' or ').replace(/:/g, '')}`;
+    }
+
+    try {
+      return await this.addressProblem(parsed.hostname);
+    } catch (error) {
+      return 'must have a host that resolves';
+    }
+  }
+
+  /**
+   * Check where a target host resolves to
+   * @param {string} hostname - URL hostname; IPv6 literals keep their brackets
+   * @returns {Promise<string|null>} - Problem description, or null when every address is public
+   * @throws {Error} - When the host does not resolve
+   */
+  async addressProblem(hostname) {
+    if (allowPrivateTargets()) return null;
+
+    const host = hostname.replace(/^\[(.*)\]$/, '$1');
+    const addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+    if (addresses.some(entry => isBlockedAddress(entry.address))) {
+      return 'must not point to a loopback, private, link-local or metadata address';
+    }
+    return null;
+  }
+
+  /**
+   * Register a webhook endpoint
+   * @param {string} ownerId - User the endpoint belongs to
+   * @param {Object} options - { url, events }
+   * @returns {Promise<Object>} - Webhook record, including its signing secret
+   */
+  async create(ownerId, { url, events }) {
+    const record = {
+      _id: uuidv4(),
+      ownerId: ownerId,
+      url: url,
+      events: events,
+      secret: newSecret(),
+      active: true,
+      createdAt: new Date()
+    };
+
+    await writeDB('webhooks', record);
+    return record;
+  }
+
+  /**
+   * List webhook endpoints visible under an owner scope
+   * @param {Object} scope - Mongo filter, e.g. { ownerId }
+   * @returns {Promise<Array>}
+   */
+  list(scope) {
+    return findManyDB('webhooks', { active: true, ...scope }, { sort: { createdAt: -1 }, projection: { secret: 0 } });
+  }
+
+  /**
+   * Deactivate a webhook endpoint; its delivery log is kept
+   * @param {string} id - Webhook ID
+   * @param {Object} scope - Mongo filter limiting which endpoints may be removed
+   * @returns {Promise<boolean>} - false when no active endpoint matched
+   */
+  async remove(id, scope) {
+    const result = await updateDB('webhooks', { _id: id, active: true, ...scope }, { active: false, deletedAt: new Date() });
+    return result.matchedCount > 0;
+  }
+
+  /**
+   * Signing secret for a user's per-request callbackUrl deliveries, created on first use
+   * @param {string} userId - User ID
+   * @returns {Promise<string>}
+   */
+  async accountSecret(userId) {
+    await getDB().collection('users').updateOne(
+      { _id: userId, webhookSecret: { $exists: false } },
+      { $set: { webhookSecret: newSecret() } }
+    );
+    const user = await findOneDB('users', { _id: userId });
+    return user ? user.webhookSecret : null;
+  }
+
+  /**
+   * Queue deliveries of an event to the owner's subscribed endpoints and an optional callback URL.
+   * Failures are logged, never thrown: a webhook must not fail the work it reports on.
+   * @param {string} ownerId - User whose endpoints receive the event
+   * @param {string} event - One of WEBHOOK_EVENTS
+   * @param {Object} data - Event payload
+   * @param {string} [callbackUrl] - One-off target for this event only
+   * @returns {Promise<void>}
+   */
+  async notify(ownerId, event, data, callbackUrl = null) {
+    try {
+      const endpoints = await findManyDB('webhooks', { ownerId, active: true, events: event });
+      const targets = endpoints.map(endpoint => ({ webhookId: endpoint._id, url: endpoint.url }));
+      if (callbackUrl) {
+        targets.push({ webhookId: null, url: callbackUrl });
+      }
+
+      const now = new Date();
+      for (const target of targets) {
+        const deliveryId = uuidv4();
+        await writeDB('webhook_deliveries', {
+          _id: deliveryId,
+          ownerId: ownerId,
+          webhookId: target.webhookId,
+          url: target.url,
+          event: event,
+          payload: { id: deliveryId, event: event, createdAt: now, data: data },
+          status: 'pending',
+          attempts: 0,
+          nextAttemptAt: now,
+          log: [],
+          createdAt: now,
+          updatedAt: now,
+          deliveredAt: null
+        });
+      }
+
+      if (targets.length > 0 && this.timer) {
+        setImmediate(() => this.poll());
+      }
+    } catch (error) {
+      console.error(`Failed to queue '${event}' webhooks:`, error);
+    }
+  }
+
+  /**
+   * List deliveries visible under an owner scope, newest first
+   * @param {Object} scope - Mongo filter, e.g. { ownerId }
+   * @param {Object} filters - { status, webhookId, limit }
+   * @returns {Promise<Array>}
+   */
+  listDeliveries(scope, { status, webhookId, limit = 20 } = {}) {
+    const query = { ...scope };
+    if (status) query.status = status;
+    if (webhookId) query.webhookId = webhookId;
+    return findManyDB('webhook_deliveries', query, { sort: { createdAt: -1 }, limit });
+  }
+
+  /**
+   * Find a delivery visible under an owner scope
+   * @param {string} id - Delivery ID
+   * @param {Object} scope - Mongo filter, e.g. { ownerId }
+   * @returns {Promise<Object|null>}
+   */
+  getDelivery(id, scope) {
+    return findOneDB('webhook_deliveries', { _id: id, ...scope });
+  }
+
+  /**
+   * Send a finished delivery again, with a fresh set of attempts
+   * @param {string} id - Delivery ID
+   * @param {Object} scope - Mongo filter limiting which deliveries may be replayed
+   * @returns {Promise<Object|null>} - Requeued delivery, or null when none matched or it is still in flight
+   */
+  async replay(id, scope) {
+    const now = new Date();
+    const delivery = await getDB().collection('webhook_deliveries').findOneAndUpdate(
+      { _id: id, status: { $in: ['succeeded', 'failed'] }, ...scope },
+      { $set: { status: 'pending', attempts: 0, nextAttemptAt: now, updatedAt: now } },
+      { returnDocument: 'after' }
+    );
+
+    if (delivery && this.timer) {
+      setImmediate(() => this.poll());
+    }
+    return delivery;
+  }
+
+  /**
+   * Start sending queued deliveries
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.timer) return;
+
+    await this.recoverStale();
+
+    this.timer = setInterval(() => this.poll(), this.pollIntervalMs);
+    this.timer.unref();
+    this.poll();
+  }
+
+  /**
+   * Stop sending deliveries; pending ones are picked up on the next start
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Recover deliveries stuck in 'delivering', which a worker that stopped
+   * mid-send left behind. They are sent again, or failed when that attempt
+   * was their last.
+   * @returns {Promise<void>}
+   */
+  async recoverStale() {
+    this.lastSweepAt = Date.now();
+    const deliveries = getDB().collection('webhook_deliveries');
+    const now = new Date();
+    const stale = { status: 'delivering', updatedAt: { $lt: new Date(now.getTime() - this.timeoutMs * 2) } };
+
+    const failed = await deliveries.updateMany(
+      { ...stale, attempts: { $gte: this.maxAttempts } },
+      { $set: { status: 'failed', lastError: 'Worker stopped during the last attempt', updatedAt: now } }
+    );
+    const requeued = await deliveries.updateMany(
+      stale,
+      { $set: { status: 'pending', nextAttemptAt: now, updatedAt: now } }
+    );
+    if (failed.modifiedCount + requeued.modifiedCount > 0) {
+      console.log(`Recovered ${failed.modifiedCount + requeued.modifiedCount} stuck webhook delivery(ies)`);
+    }
+  }
+
+  // Send every delivery that is due, one at a time
+  async poll() {
+    if (this.polling || !this.timer) return;
+    this.polling = true;
+
+    try {
+      if (Date.now() - this.lastSweepAt >= this.timeoutMs * 2) {
+        await this.recoverStale();
+      }
+
+      const deliveries = getDB().collection('webhook_deliveries');
+      while (this.timer) {
+        const now = new Date();
+        const delivery = await deliveries.findOneAndUpdate(
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { $set: { status: 'delivering', updatedAt: now }, $inc: { attempts: 1 } },
+          { sort: { nextAttemptAt: 1 }, returnDocument: 'after' }
+        );
+        if (!delivery) break;
+
+        await this.attempt(delivery);
+      }
+    } catch (error) {
+      console.error('Error polling webhook deliveries:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  // POST a body without following redirects, connecting only to addresses
+  // checkedLookup allows; resolves with the response status
+  post(url, headers, body) {
+    return new Promise((resolve, reject) => {
+      const client = url.startsWith('https:') ? https : http;
+      const request = client.request(url, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: checkedLookup
+      }, (response) => {
+        clearTimeout(timer);
+        // The body is not needed; drain it so the socket is released
+        response.resume();
+        resolve(response.statusCode);
+      });
+      const timer = setTimeout(() => request.destroy(new Error(`Timed out after ${this.timeoutMs}ms`)), this.timeoutMs);
+      request.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      request.end(body);
+    });
+  }
+
+  // Make one delivery attempt and schedule a retry or record the outcome
+  async attempt(delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const startedAt = Date.now();
+    let responseStatus = null;
+    let error = null;
+    // Set for failures that another attempt cannot fix
+    let permanent = false;
+
+    try {
+      const secret = delivery.webhookId
+        ? (await findOneDB('webhooks', { _id: delivery.webhookId, active: true }) || {}).secret
+        : await this.accountSecret(delivery.ownerId);
+      if (!secret) {
+        permanent = true;
+        throw new Error(delivery.webhookId ? 'Webhook endpoint no longer exists' : 'Account no longer exists');
+      }
+
+      // Checked again on every attempt: DNS may have changed since registration
+      const problem = await this.addressProblem(new URL(delivery.url).hostname);
+      if (problem) {
+        permanent = true;
+        throw new Error(`Target URL ${problem}`);
+      }
+
+      responseStatus = await this.post(delivery.url, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Pixora-Webhooks/1.0',
+        'X-Pixora-Event': delivery.event,
+        'X-Pixora-Delivery': delivery._id,
+        'X-Pixora-Signature': signPayload(secret, body, Math.floor(startedAt / 1000))
+      }, body);
+      if (responseStatus < 200 || responseStatus >= 300) {
+        error = `Endpoint responded with HTTP ${responseStatus}`;
+      }
+    } catch (requestError) {
+      error = requestError.message;
+    }
+
+    const now = new Date();
+    const entry = {
+      attempt: delivery.attempts,
+      at: now,
+      responseStatus: responseStatus,
+      durationMs: Date.now() - startedAt,
+      error: error
+    };
+
+    let update;
+    if (!error) {
+      update = { status: 'succeeded', deliveredAt: now, lastError: null };
+    } else if (permanent || delivery.attempts >= this.maxAttempts) {
+      console.error(`Webhook delivery ${delivery._id} failed after ${delivery.attempts} attempt(s): ${error}`);
+      update = { status: 'failed', lastError: error };
+    } else {
+      // 1x, 2x, 4x, ... the base delay
+      const delay = this.retryBaseMs * 2 ** (delivery.attempts - 1);
+      update = { status: 'pending', nextAttemptAt: new Date(now.getTime() + delay), lastError: error };
+    }
+
+    await getDB().collection('webhook_deliveries').updateOne(
+      { _id: delivery._id },
+      { $set: { ...update, responseStatus: responseStatus, updatedAt: now }, $push: { log: entry } }
+    );
+  }
+}
+
+export default new WebhookService();
@@ -0,0 +1,76 @@
+import request from 'supertest';
+import { startApp, stopApp, createUser } from './support/app.js';
+
+let app;
+let db;
+
+beforeAll(async () => {
+  ({ app, db } = await startApp());
+});
+
+afterAll(stopApp);
+
+const createKey = async (user, scopes) => {
+  const response = await request(app)
+    .post('/api/api-keys')
+    .set('Authorization', user.auth)
+    .send({ name: 'integration', scopes });
+  expect(response.status).toBe(201);
+  return response.body.data;
+};
+
+describe('API keys', () => {
+  test('act as their creator within their scopes', async () => {
+    const user = await createUser(app, db);
+    const { key } = await createKey(user, ['prompts:read']);
+
+    const read = await request(app).get('/api/prompts').set('X-API-Key', key);
+    expect(read.status).toBe(200);
+
+    const write = await request(app)
+      .post('/api/prompts')
+      .set('X-API-Key', key)
+      .send({ promptName: 'Scoped', prompt: 'Not allowed' });
+    expect(write.status).toBe(403);
+    expect(write.body.error).toBe('INSUFFICIENT_SCOPE');
+  });
+
+  test('cannot be given scopes the creator lacks', async () => {
+    const viewer = await createUser(app, db, 'viewer');
+    const response = await request(app)
+      .post('/api/api-keys')
+      .set('Authorization', viewer.auth)
+      .send({ name: 'writer', scopes: ['prompts:write'] });
+
+    expect(response.status).toBe(403);
+  });
+
+  test('rejects an unknown key', async () => {
+    const response = await request(app).get('/api/prompts').set('X-API-Key', 'pk_unknown');
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('INVALID_API_KEY');
+  });
+
+  test('stop working once revoked', async () => {
+    const user = await createUser(app, db);
+    const { id, key } = await createKey(user, ['prompts:read']);
+
+    const revoked = await request(app).delete(`/api/api-keys/${id}`).set('Authorization', user.auth);
+    expect(revoked.status).toBe(200);
+
+    const read = await request(app).get('/api/prompts').set('X-API-Key', key);
+    expect(read.status).toBe(401);
+  });
+
+  test('get the per-key rate limit only when the key is valid', async () => {
+    const user = await createUser(app, db);
+    const { key } = await createKey(user, ['prompts:read']);
+
+    const valid = await request(app).get('/api/prompts').set('X-API-Key', key);
+    expect(valid.headers['x-ratelimit-limit']).toBe('1000');
+
+    const unknown = await request(app).get('/api/prompts').set('X-API-Key', 'pk_unknown');
+    expect(unknown.headers['x-ratelimit-limit']).toBe('100');
+  });
+});
@@ -0,0 +1,116 @@
+import request from 'supertest';
+import { startApp, stopApp, createUser } from './support/app.js';
+
+let app;
+let db;
+
+beforeAll(async () => {
+  ({ app, db } = await startApp());
+});
+
+afterAll(stopApp);
+
+describe('registration and login', () => {
+  test('registers a user as an editor and returns tokens', async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'New.User@Example.com', password: 'long enough password' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.user).toMatchObject({ email: 'new.user@example.com', role: 'editor' });
+    expect(response.body.data.accessToken).toEqual(expect.any(String));
+    expect(response.body.data.refreshToken).toEqual(expect.any(String));
+  });
+
+  test('refuses a second account for the same email', async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'new.user@example.com', password: 'another long password' });
+
+    expect(response.status).toBe(409);
+    expect(response.body.error).toBe('EMAIL_TAKEN');
+  });
+
+  test('refuses a short password', async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'short@example.com', password: 'short' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('VALIDATION_ERROR');
+  });
+
+  test('refuses a wrong password', async () => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'new.user@example.com', password: 'not the password' });
+
+    expect(response.status).toBe(401);
+  });
+});
+
+describe('authentication', () => {
+  test('requires credentials', async () => {
+    const response = await request(app).get('/api/auth/me');
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('UNAUTHORIZED');
+  });
+
+  test('rejects an invalid access token', async () => {
+    const response = await request(app).get('/api/auth/me').set('Authorization', 'Bearer not-a-token');
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('INVALID_TOKEN');
+  });
+
+  test('returns the current user for a valid token', async () => {
+    const user = await createUser(app, db);
+    const response = await request(app).get('/api/auth/me').set('Authorization', user.auth);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ id: user.id, email: user.email, role: 'editor' });
+  });
+});
+
+describe('refresh tokens', () => {
+  const login = async () => {
+    const user = await createUser(app, db);
+    const response = await request(app).post('/api/auth/login').send({ email: user.email, password: 'correct horse battery' });
+    return response.body.data.refreshToken;
+  };
+
+  test('are rotated on refresh, and the old one stops working', async () => {
+    const refreshToken = await login();
+
+    const refreshed = await request(app).post('/api/auth/refresh').send({ refreshToken });
+    expect(refreshed.status).toBe(200);
+    expect(refreshed.body.data.refreshToken).not.toBe(refreshToken);
+
+    const reused = await request(app).post('/api/auth/refresh').send({ refreshToken });
+    expect(reused.status).toBe(401);
+  });
+
+  test('stop working after logout', async () => {
+    const refreshToken = await login();
+
+    const loggedOut = await request(app).post('/api/auth/logout').send({ refreshToken });
+    expect(loggedOut.status).toBe(200);
+
+    const refreshed = await request(app).post('/api/auth/refresh').send({ refreshToken });
+    expect(refreshed.status).toBe(401);
+  });
+
+  test.each([
+    ['a number', 12345],
+    ['an object', { $ne: null }]
+  ])('must be strings, not %s', async (name, refreshToken) => {
+    const refreshed = await request(app).post('/api/auth/refresh').send({ refreshToken });
+    expect(refreshed.status).toBe(400);
+    expect(refreshed.body.error).toBe('VALIDATION_ERROR');
+
+    const loggedOut = await request(app).post('/api/auth/logout').send({ refreshToken });
+    expect(loggedOut.status).toBe(400);
+    expect(loggedOut.body.error).toBe('VALIDATION_ERROR');
+  });
+});
@@ -0,0 +1,97 @@
+import request from 'supertest';
+import { startApp, stopApp, createUser } from './support/app.js';
+
+let app;
+let db;
+
+beforeAll(async () => {
+  ({ app, db } = await startApp());
+});
+
+afterAll(stopApp);
+
+const generate = (user, prompt) => request(app)
+  .post('/api/gemini/generate-text')
+  .set('Authorization', user.auth)
+  .send({ prompt });
+
+describe('credits', () => {
+  test('reading a balance does not open the account', async () => {
+    const user = await createUser(app, db);
+
+    const balance = await request(app).get('/api/credits').set('Authorization', user.auth);
+    expect(balance.status).toBe(200);
+    expect(balance.body.data).toMatchObject({ balance: 50, plan: 'free', usedToday: 0 });
+
+    const admin = await createUser(app, db, 'admin');
+    const account = await request(app).get(`/api/credits/accounts/user:${user.id}`).set('Authorization', admin.auth);
+    expect(account.status).toBe(200);
+    expect(account.body.data.ledger).toEqual([]);
+
+    expect(await db.collection('credit_accounts').countDocuments({ ownerId: user.id })).toBe(0);
+  });
+
+  test('a generation is debited and recorded in the ledger', async () => {
+    const user = await createUser(app, db);
+
+    const response = await generate(user, 'A red bicycle');
+    expect(response.status).toBe(200);
+    expect(response.body.data.cached).toBe(false);
+
+    const balance = await request(app).get('/api/credits').set('Authorization', user.auth);
+    expect(balance.body.data).toMatchObject({ balance: 49, usedToday: 1 });
+
+    const ledger = await request(app).get('/api/credits/ledger').set('Authorization', user.auth);
+    expect(ledger.body.data).toEqual(expect.arrayContaining([
+      expect.objectContaining({ type: 'grant', amount: 50 }),
+      expect.objectContaining({ type: 'debit', amount: -1, balanceAfter: 49 })
+    ]));
+  });
+
+  test('a generation served from the cache is refunded', async () => {
+    const user = await createUser(app, db);
+    await generate(user, 'A green bicycle');
+
+    const repeat = await generate(user, 'A green bicycle');
+    expect(repeat.status).toBe(200);
+    expect(repeat.body.data.cached).toBe(true);
+
+    const balance = await request(app).get('/api/credits').set('Authorization', user.auth);
+    expect(balance.body.data).toMatchObject({ balance: 49, usedToday: 1 });
+
+    const ledger = await request(app).get('/api/credits/ledger').set('Authorization', user.auth);
+    const debits = ledger.body.data.filter(entry => entry.type === 'debit');
+    const refunds = ledger.body.data.filter(entry => entry.type === 'refund');
+    expect(debits).toHaveLength(2);
+    expect(refunds).toHaveLength(1);
+    expect(debits.find(entry => entry.id === refunds[0].chargeId)).toMatchObject({ amount: -1, refunded: 1 });
+  });
+
+  test('a generation the balance cannot pay for is refused', async () => {
+    const user = await createUser(app, db);
+    await generate(user, 'A blue bicycle');
+    await db.collection('credit_accounts').updateOne({ _id: `user:${user.id}` }, { $set: { balance: 0 } });
+
+    const response = await generate(user, 'A yellow bicycle');
+    expect(response.status).toBe(402);
+    expect(response.body.error).toBe('INSUFFICIENT_CREDITS');
+  });
+
+  test('admins can grant credits, opening the account', async () => {
+    const user = await createUser(app, db);
+    const admin = await createUser(app, db, 'admin');
+
+    const grant = await request(app)
+      .post(`/api/credits/accounts/user:${user.id}/grants`)
+      .set('Authorization', admin.auth)
+      .send({ amount: 25, reason: 'Welcome bonus' });
+    expect(grant.status).toBe(201);
+    expect(grant.body.data).toMatchObject({ type: 'grant', amount: 25, balanceAfter: 75 });
+
+    const asUser = await request(app)
+      .post(`/api/credits/accounts/user:${user.id}/grants`)
+      .set('Authorization', user.auth)
+      .send({ amount: 25 });
+    expect(asUser.status).toBe(403);
+  });
+});
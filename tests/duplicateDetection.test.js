@@ -0,0 +1,55 @@
+import { startApp, stopApp } from './support/app.js';
+
+let db;
+let duplicateDetectionService;
+let hashBandsOf;
+
+beforeAll(async () => {
+  ({ db } = await startApp());
+  ({ default: duplicateDetectionService, hashBandsOf } = await import('../services/duplicateDetectionService.js'));
+});
+
+afterAll(stopApp);
+
+const storeImage = (id, perceptualHash) => db.collection('images').insertOne({
+  _id: id,
+  promptId: 'prompt-1',
+  perceptualHash,
+  hashBands: hashBandsOf(perceptualHash)
+});
+
+describe('near-duplicate detection', () => {
+  test('splits a hash into eight indexed bands', () => {
+    expect(hashBandsOf('0123456789abcdef')).toEqual(['0:01', '1:23', '2:45', '3:67', '4:89', '5:ab', '6:cd', '7:ef']);
+  });
+
+  test('measures distance in differing bits', () => {
+    expect(duplicateDetectionService.hammingDistance('0000000000000000', '0000000000000000')).toBe(0);
+    expect(duplicateDetectionService.hammingDistance('0000000000000000', 'f000000000000001')).toBe(5);
+  });
+
+  test('defaults to a threshold the bands always find', async () => {
+    expect(duplicateDetectionService.threshold).toBe(7);
+
+    // One differing bit in each of seven bands: only the last band is shared
+    await storeImage('seven-bits-away', '0101010101010100');
+    await storeImage('far-away', 'ffffffffffffffff');
+
+    const matches = await duplicateDetectionService.findSimilar('0000000000000000');
+    expect(matches).toEqual([expect.objectContaining({ distance: 7, image: expect.objectContaining({ _id: 'seven-bits-away' }) })]);
+  });
+
+  test('leaves out the image being compared and applies the scope', async () => {
+    await storeImage('original', '1000000000000000');
+    await storeImage('copy', '1000000000000000');
+
+    const matches = await duplicateDetectionService.findSimilar('1000000000000000', { excludeId: 'original' });
+    expect(matches.map(match => match.image._id)).toEqual(['copy']);
+
+    const scoped = await duplicateDetectionService.findSimilar('1000000000000000', {
+      excludeId: 'original',
+      scope: { promptId: 'another-prompt' }
+    });
+    expect(scoped).toEqual([]);
+  });
+});
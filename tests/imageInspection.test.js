@@ -0,0 +1,31 @@
+import sharp from 'sharp';
+import imageInspectionService, { ImageValidationError } from '../services/imageInspectionService.js';
+
+const png = () => sharp({ create: { width: 3, height: 2, channels: 3, background: '#336699' } }).png().toBuffer();
+
+describe('image inspection', () => {
+  test('reads the type and size of a PNG from its bytes', async () => {
+    const info = imageInspectionService.inspect(await png(), 'image/png');
+    expect(info).toMatchObject({ mimetype: 'image/png', width: 3, height: 2 });
+  });
+
+  test('refuses a PNG whose chunk CRC does not match', async () => {
+    const buffer = await png();
+    buffer[buffer.length - 1] ^= 0xff;
+
+    expect(() => imageInspectionService.inspect(buffer, 'image/png')).toThrow(ImageValidationError);
+    expect(() => imageInspectionService.inspect(buffer, 'image/png')).toThrow('bad CRC in IEND chunk');
+  });
+
+  test('refuses a PNG cut short', async () => {
+    const buffer = await png();
+    expect(() => imageInspectionService.inspect(buffer.subarray(0, buffer.length - 20), 'image/png'))
+      .toThrow(expect.objectContaining({ code: 'CORRUPT_IMAGE', status: 422 }));
+  });
+
+  test('refuses bytes that do not match the declared type', async () => {
+    const buffer = await png();
+    expect(() => imageInspectionService.inspect(buffer, 'image/jpeg'))
+      .toThrow(expect.objectContaining({ code: 'MIMETYPE_MISMATCH' }));
+  });
+});
@@ -0,0 +1,177 @@
+import request from 'supertest';
+import { startApp, stopApp, createUser, waitForJob } from './support/app.js';
+
+let app;
+let db;
+let jobService;
+
+beforeAll(async () => {
+  ({ app, db } = await startApp());
+  ({ default: jobService } = await import('../services/jobService.js'));
+});
+
+afterAll(async () => {
+  await jobService.stop();
+  stopApp();
+});
+
+const balanceOf = async (user) => {
+  const response = await request(app).get('/api/credits').set('Authorization', user.auth);
+  return response.body.data.balance;
+};
+
+describe('generation jobs', () => {
+  test('a queued job can be cancelled once, and its credits come back', async () => {
+    const user = await createUser(app, db);
+
+    // The worker is not running yet, so the job stays queued
+    const accepted = await request(app)
+      .post('/api/gemini/generate-text')
+      .set('Authorization', user.auth)
+      .send({ prompt: 'A lighthouse at dusk', async: true });
+    expect(accepted.status).toBe(202);
+    expect(accepted.body.data.status).toBe('queued');
+    expect(await balanceOf(user)).toBe(49);
+
+    const jobId = accepted.body.data.jobId;
+    const cancelled = await request(app).post(`/api/jobs/${jobId}/cancel`).set('Authorization', user.auth);
+    expect(cancelled.status).toBe(200);
+    expect(cancelled.body.data.status).toBe('cancelled');
+
+    const again = await request(app).post(`/api/jobs/${jobId}/cancel`).set('Authorization', user.auth);
+    expect(again.status).toBe(409);
+    expect(again.body.error).toBe('JOB_FINISHED');
+
+    expect(await balanceOf(user)).toBe(50);
+  });
+
+  test('a job runs to completion and its image can be read', async () => {
+    const user = await createUser(app, db);
+    await jobService.start();
+
+    const accepted = await request(app)
+      .post('/api/gemini/generate-text')
+      .set('Authorization', user.auth)
+      .send({ prompt: 'A harbour in the rain', async: true });
+    expect(accepted.status).toBe(202);
+
+    const job = await waitForJob(db, accepted.body.data.jobId);
+    expect(job.status).toBe('succeeded');
+    expect(job.attempts).toBe(1);
+
+    const status = await request(app).get(`/api/jobs/${job._id}`).set('Authorization', user.auth);
+    expect(status.status).toBe(200);
+    const imageId = status.body.data.result.imageId;
+    expect(imageId).toEqual(expect.any(String));
+
+    const raw = await request(app).get(`/api/images/${imageId}/raw`).set('Authorization', user.auth);
+    expect(raw.status).toBe(200);
+    expect(raw.headers['content-type']).toBe('image/png');
+
+    expect(await balanceOf(user)).toBe(49);
+  });
+
+  test('jobs are private to their owner', async () => {
+    const owner = await createUser(app, db);
+    const other = await createUser(app, db);
+
+    const accepted = await request(app)
+      .post('/api/gemini/generate-text')
+      .set('Authorization', owner.auth)
+      .send({ prompt: 'A quiet library', async: true });
+    const job = await waitForJob(db, accepted.body.data.jobId);
+
+    const status = await request(app).get(`/api/jobs/${job._id}`).set('Authorization', other.auth);
+    expect(status.status).toBe(404);
+
+    const cancelled = await request(app).post(`/api/jobs/${job._id}/cancel`).set('Authorization', other.auth);
+    expect(cancelled.status).toBe(404);
+  });
+
+  test('stale running jobs are requeued, then failed once out of attempts', async () => {
+    const user = await createUser(app, db);
+    const longAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const stale = (id, attempts) => ({
+      _id: id,
+      type: 'generate-text',
+      status: 'running',
+      ownerId: user.id,
+      input: { prompt: 'Left behind' },
+      result: null,
+      error: null,
+      attempts: attempts,
+      eventSeq: 0,
+      createdAt: longAgo,
+      updatedAt: longAgo,
+      startedAt: longAgo,
+      finishedAt: null
+    });
+    await db.collection('jobs').insertOne(stale('stale-retry', 1));
+    await db.collection('jobs').insertOne(stale('stale-abandoned', jobService.maxAttempts));
+
+    await jobService.recoverStale();
+
+    const abandoned = await db.collection('jobs').findOne({ _id: 'stale-abandoned' });
+    expect(abandoned.status).toBe('failed');
+    expect(abandoned.error.code).toBe('JOB_ABANDONED');
+
+    const retried = await waitForJob(db, 'stale-retry');
+    expect(retried.status).toBe('succeeded');
+    expect(retried.attempts).toBe(2);
+  });
+
+  test('a long job with a fresh heartbeat is not taken for stale', async () => {
+    const user = await createUser(app, db);
+    const longAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    await db.collection('jobs').insertOne({
+      _id: 'long-running',
+      type: 'generate-text',
+      status: 'running',
+      ownerId: user.id,
+      input: { prompt: 'Still going' },
+      result: null,
+      error: null,
+      attempts: 1,
+      eventSeq: 0,
+      createdAt: longAgo,
+      updatedAt: new Date(),
+      startedAt: longAgo,
+      finishedAt: null
+    });
+
+    await jobService.recoverStale();
+
+    const job = await db.collection('jobs').findOne({ _id: 'long-running' });
+    expect(job).toMatchObject({ status: 'running', attempts: 1 });
+  });
+
+  test('the worker refreshes the heartbeat while a job runs', async () => {
+    const user = await createUser(app, db);
+    let finish;
+    jobService.registerHandler('slow-test', {
+      run: () => new Promise(resolve => { finish = resolve; })
+    });
+    const heartbeatIntervalMs = jobService.heartbeatIntervalMs;
+    jobService.heartbeatIntervalMs = 20;
+
+    try {
+      const queued = await jobService.enqueue('slow-test', user.id, {});
+      let running;
+      for (let i = 0; i < 200 && !(running && finish); i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        running = await db.collection('jobs').findOne({ _id: queued._id, status: 'running' });
+      }
+      expect(running).toBeTruthy();
+
+      await new Promise(resolve => setTimeout(resolve, 100));
+      const touched = await db.collection('jobs').findOne({ _id: queued._id });
+      expect(touched.status).toBe('running');
+      expect(touched.updatedAt.getTime()).toBeGreaterThan(running.updatedAt.getTime());
+
+      finish({ done: true });
+      expect((await waitForJob(db, queued._id)).status).toBe('succeeded');
+    } finally {
+      jobService.heartbeatIntervalMs = heartbeatIntervalMs;
+    }
+  });
+});
@@ -0,0 +1,98 @@
+import request from 'supertest';
+import { startApp, stopApp, createUser } from './support/app.js';
+
+let app;
+let db;
+let parseListQuery;
+let ListQueryError;
+
+// Loaded after the harness has swapped in the in-memory driver
+beforeAll(async () => {
+  ({ app, db } = await startApp());
+  ({ parseListQuery, ListQueryError } = await import('../utils/listQuery.js'));
+});
+
+afterAll(stopApp);
+
+const fieldMap = { id: '_id', createdAt: 'createdAt', size: 'size' };
+const cursorOf = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+describe('list query parsing', () => {
+  test('applies the defaults', () => {
+    const parsed = parseListQuery({}, fieldMap);
+    expect(parsed).toMatchObject({ limit: 20, sortField: 'createdAt', direction: -1, filter: {}, cursor: null });
+  });
+
+  test('reads filters as plain values', () => {
+    const parsed = parseListQuery({ promptId: { $ne: null }, promptVersion: '2', mimetype: 'image/png,image/webp' }, fieldMap);
+    expect(parsed.filter).toEqual({
+      promptId: '[object Object]',
+      promptVersion: 2,
+      mimetype: { $in: ['image/png', 'image/webp'] }
+    });
+  });
+
+  test('refuses an unknown sort field and a fractional promptVersion', () => {
+    expect(() => parseListQuery({ sort: 'name' }, fieldMap)).toThrow(ListQueryError);
+    expect(() => parseListQuery({ promptVersion: '1.5' }, fieldMap)).toThrow('promptVersion must be a positive integer');
+  });
+
+  test('decodes a cursor holding a date or a number', () => {
+    const dated = parseListQuery({ cursor: cursorOf({ v: '2024-01-02T03:04:05.000Z', d: true, id: 'img-1' }) }, fieldMap);
+    expect(dated.cursor).toEqual({ value: new Date('2024-01-02T03:04:05.000Z'), id: 'img-1' });
+
+    const sized = parseListQuery({ sort: 'size', cursor: cursorOf({ v: 2048, d: false, id: 'img-2' }) }, fieldMap);
+    expect(sized.cursor).toEqual({ value: 2048, id: 'img-2' });
+  });
+
+  test.each([
+    ['a value that is an object', { v: { $gt: '' }, d: false, id: 'img-1' }],
+    ['an id that is an object', { v: 10, d: false, id: { $ne: null } }],
+    ['a missing id', { v: 10, d: false }],
+    ['a date that does not parse', { v: 'yesterday', d: true, id: 'img-1' }],
+    ['a date that is not a string', { v: { $gt: 0 }, d: true, id: 'img-1' }]
+  ])('refuses a cursor with %s', (name, payload) => {
+    expect(() => parseListQuery({ cursor: cursorOf(payload) }, fieldMap)).toThrow('Invalid cursor');
+  });
+
+  test('refuses a cursor that is not base64 JSON', () => {
+    expect(() => parseListQuery({ cursor: 'not-a-cursor' }, fieldMap)).toThrow('Invalid cursor');
+  });
+});
+
+describe('promptId in a request body', () => {
+  let user;
+
+  beforeAll(async () => {
+    user = await createUser(app, db);
+  });
+
+  test('must be a string to generate', async () => {
+    const response = await request(app)
+      .post('/api/gemini/generate')
+      .set('Authorization', user.auth)
+      .send({ promptId: { $ne: null } });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('VALIDATION_ERROR');
+  });
+
+  test('must be a string to upload', async () => {
+    const response = await request(app)
+      .post('/api/images/upload')
+      .set('Authorization', user.auth)
+      .send({ promptId: { $ne: null }, aiImage: 'aGVsbG8=' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('VALIDATION_ERROR');
+  });
+
+  test('an invalid cursor in a listing is a 400', async () => {
+    const response = await request(app)
+      .get(`/api/images?cursor=${cursorOf({ v: { $gt: '' }, id: 'img-1' })}`)
+      .set('Authorization', user.auth);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('INVALID_QUERY');
+  });
+});
@@ -0,0 +1,177 @@
+import sharp from 'sharp';
+import request from 'supertest';
+import { startApp, stopApp, createUser } from './support/app.js';
+
+let app;
+let db;
+let owner;
+let admin;
+
+beforeAll(async () => {
+  process.env.MODERATION_BLOCKLIST = 'forbidden';
+  process.env.MODERATION_RULES = JSON.stringify([{ pattern: '\\bstorm\\b', reason: 'weather' }]);
+  ({ app, db } = await startApp());
+  owner = await createUser(app, db);
+  admin = await createUser(app, db, 'admin');
+});
+
+afterAll(stopApp);
+
+const generate = (user, prompt) => request(app)
+  .post('/api/gemini/generate-text')
+  .set('Authorization', user.auth)
+  .send({ prompt });
+
+const getImage = (user, id) => request(app).get(`/api/images/${id}`).set('Authorization', user.auth);
+
+const createPrompt = (user, prompt) => request(app)
+  .post('/api/prompts')
+  .set('Authorization', user.auth)
+  .send({ promptName: 'Moderated', prompt });
+
+const upload = (user, promptId, buffer) => request(app)
+  .post('/api/images/upload')
+  .set('Authorization', user.auth)
+  .send({ promptId, aiImage: buffer.toString('base64') });
+
+describe('moderation', () => {
+  test('a blocked prompt is refused before it is charged', async () => {
+    const response = await generate(owner, 'Something forbidden');
+    expect(response.status).toBe(422);
+    expect(response.body.error).toBe('PROMPT_BLOCKED');
+
+    const balance = await request(app).get('/api/credits').set('Authorization', owner.auth);
+    expect(balance.body.data.balance).toBe(50);
+
+    const blocks = await request(app).get('/api/moderation/blocks').set('Authorization', admin.auth);
+    expect(blocks.body.data[0]).toMatchObject({ ownerId: owner.id, origin: 'rules' });
+  });
+
+  test('a blocked prompt is not saved', async () => {
+    const created = await createPrompt(owner, 'Something forbidden');
+    expect(created.status).toBe(422);
+    expect(created.body.error).toBe('PROMPT_BLOCKED');
+    expect(await db.collection('prompts').countDocuments({ prompt: 'Something forbidden' })).toBe(0);
+
+    const clean = await createPrompt(owner, 'Something harmless');
+    const id = clean.body.data.id;
+    const updated = await request(app)
+      .put(`/api/prompts/${id}`)
+      .set('Authorization', owner.auth)
+      .send({ prompt: 'Something forbidden after all' });
+    expect(updated.status).toBe(422);
+    expect(updated.body.error).toBe('PROMPT_BLOCKED');
+
+    const versions = await request(app).get(`/api/prompts/${id}/versions`).set('Authorization', owner.auth);
+    expect(versions.body.data.map(version => version.prompt)).toEqual(['Something harmless']);
+  });
+
+  test('a clean image is visible to its owner', async () => {
+    const generated = await generate(owner, 'A calm sea');
+    expect(generated.body.data.moderationStatus).toBe('clean');
+
+    const image = await getImage(owner, generated.body.data.imageId);
+    expect(image.status).toBe(200);
+  });
+
+  describe('a flagged image', () => {
+    let imageId;
+
+    beforeAll(async () => {
+      const generated = await generate(owner, 'A storm at sea');
+      expect(generated.status).toBe(200);
+      expect(generated.body.data.moderationStatus).toBe('flagged');
+      imageId = generated.body.data.imageId;
+    });
+
+    test('is hidden from its owner', async () => {
+      expect((await getImage(owner, imageId)).status).toBe(404);
+
+      const variant = await request(app).get(`/api/images/${imageId}?variant=thumb`).set('Authorization', owner.auth);
+      expect(variant.status).toBe(404);
+
+      const raw = await request(app).get(`/api/images/${imageId}/raw`).set('Authorization', owner.auth);
+      expect(raw.status).toBe(404);
+
+      const signed = await request(app).get(`/api/images/${imageId}/signed-url`).set('Authorization', owner.auth);
+      expect(signed.status).toBe(404);
+
+      const listing = await request(app).get('/api/gemini/generated-images').set('Authorization', owner.auth);
+      expect(listing.body.data.map(image => image.id)).not.toContain(imageId);
+    });
+
+    test('cannot be used as a source image, even by an admin', async () => {
+      const response = await request(app)
+        .post('/api/gemini/generate')
+        .set('Authorization', admin.auth)
+        .send({ promptId: 'any-prompt', sourceImageId: imageId });
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('SOURCE_IMAGE_NOT_FOUND');
+    });
+
+    test('is visible to admins and waits in the review queue', async () => {
+      expect((await getImage(admin, imageId)).status).toBe(200);
+
+      const queue = await request(app).get('/api/moderation/queue').set('Authorization', admin.auth);
+      expect(queue.body.data).toEqual([expect.objectContaining({ id: imageId, reasons: ['weather'] })]);
+
+      const asOwner = await request(app).get('/api/moderation/queue').set('Authorization', owner.auth);
+      expect(asOwner.status).toBe(403);
+    });
+
+    test('shows once approved, and hides again once rejected', async () => {
+      const approved = await request(app)
+        .post(`/api/moderation/items/${imageId}/approve`)
+        .set('Authorization', admin.auth)
+        .send({});
+      expect(approved.status).toBe(200);
+      expect((await getImage(owner, imageId)).status).toBe(200);
+
+      const signed = await request(app).get(`/api/images/${imageId}/signed-url`).set('Authorization', owner.auth);
+      expect(signed.status).toBe(200);
+
+      const rejected = await request(app)
+        .post(`/api/moderation/items/${imageId}/reject`)
+        .set('Authorization', admin.auth)
+        .send({ note: 'Too dark' });
+      expect(rejected.status).toBe(200);
+      expect((await getImage(owner, imageId)).status).toBe(404);
+
+      // A URL signed before the rejection stops working too
+      const raw = await request(app).get(signed.body.data.url);
+      expect(raw.status).toBe(404);
+    });
+  });
+
+  test('a rejected upload is left out of near-duplicate results', async () => {
+    const buffer = await sharp({ create: { width: 16, height: 16, channels: 3, background: '#556677' } }).png().toBuffer();
+
+    // Filed under a flagged prompt, the upload is held, then rejected
+    const flaggedPrompt = await createPrompt(owner, 'A storm over the hills');
+    const held = await upload(owner, flaggedPrompt.body.data.id, buffer);
+    expect(held.status).toBe(201);
+    const rejectedId = held.body.data.id;
+    const rejected = await request(app)
+      .post(`/api/moderation/items/${rejectedId}/reject`)
+      .set('Authorization', admin.auth)
+      .send({});
+    expect(rejected.status).toBe(200);
+
+    const cleanPrompt = await createPrompt(owner, 'Calm hills');
+    const first = await upload(owner, cleanPrompt.body.data.id, buffer);
+    expect(first.body.data.nearDuplicates).toEqual([]);
+
+    const second = await upload(owner, cleanPrompt.body.data.id, buffer);
+    expect(second.body.data.nearDuplicates.map(match => match.id)).toEqual([first.body.data.id]);
+
+    const asAdmin = await request(app)
+      .get(`/api/images/${second.body.data.id}/duplicates`)
+      .set('Authorization', admin.auth);
+    expect(asAdmin.status).toBe(200);
+    expect(asAdmin.body.data.map(match => match.id)).toEqual([first.body.data.id]);
+
+    const ofRejected = await request(app).get(`/api/images/${rejectedId}/duplicates`).set('Authorization', owner.auth);
+    expect(ofRejected.status).toBe(404);
+  });
+});
@@ -0,0 +1,94 @@
+import request from 'supertest';
+import { startApp, stopApp, createUser } from './support/app.js';
+
+let app;
+let db;
+
+beforeAll(async () => {
+  ({ app, db } = await startApp());
+});
+
+afterAll(stopApp);
+
+const generate = async (user, prompt) => {
+  const response = await request(app)
+    .post('/api/gemini/generate-text')
+    .set('Authorization', user.auth)
+    .send({ prompt });
+  expect(response.status).toBe(200);
+  return response.body.data.imageId;
+};
+
+describe('ownership', () => {
+  test('only shows users their own prompts', async () => {
+    const owner = await createUser(app, db);
+    const other = await createUser(app, db);
+
+    const created = await request(app)
+      .post('/api/prompts')
+      .set('Authorization', owner.auth)
+      .send({ promptName: 'Landscape', prompt: 'A landscape' });
+    expect(created.status).toBe(201);
+    const promptId = created.body.data.id;
+
+    const asOwner = await request(app).get(`/api/prompts/${promptId}`).set('Authorization', owner.auth);
+    expect(asOwner.status).toBe(200);
+
+    const asOther = await request(app).get(`/api/prompts/${promptId}`).set('Authorization', other.auth);
+    expect(asOther.status).toBe(404);
+  });
+
+  test('only shows users their own images, admins see all', async () => {
+    const owner = await createUser(app, db);
+    const other = await createUser(app, db);
+    const admin = await createUser(app, db, 'admin');
+    const imageId = await generate(owner, 'A quiet library');
+
+    const asOwner = await request(app).get(`/api/images/${imageId}/raw`).set('Authorization', owner.auth);
+    expect(asOwner.status).toBe(200);
+    expect(asOwner.headers['content-type']).toBe('image/png');
+
+    const asOther = await request(app).get(`/api/images/${imageId}/raw`).set('Authorization', other.auth);
+    expect(asOther.status).toBe(404);
+
+    const listing = await request(app).get('/api/gemini/generated-images').set('Authorization', other.auth);
+    expect(listing.body.data.map(image => image.id)).not.toContain(imageId);
+
+    const asAdmin = await request(app).get(`/api/images/${imageId}`).set('Authorization', admin.auth);
+    expect(asAdmin.status).toBe(200);
+  });
+});
+
+describe('raw image access', () => {
+  test('needs credentials or a valid signature', async () => {
+    const anonymous = await request(app).get('/api/images/some-image/raw');
+    expect(anonymous.status).toBe(401);
+
+    const forged = await request(app).get('/api/images/some-image/raw?expires=9999999999&signature=abc');
+    expect(forged.status).toBe(401);
+    expect(forged.body.error).toBe('INVALID_SIGNATURE');
+  });
+
+  test('a signed URL serves its image without credentials, and only that image', async () => {
+    const user = await createUser(app, db);
+    const imageId = await generate(user, 'A paper boat');
+
+    const signed = await request(app).get(`/api/images/${imageId}/signed-url`).set('Authorization', user.auth);
+    expect(signed.status).toBe(200);
+
+    const raw = await request(app).get(signed.body.data.url);
+    expect(raw.status).toBe(200);
+
+    const otherImage = await request(app).get(signed.body.data.url.replace(imageId, 'another-image'));
+    expect(otherImage.status).toBe(401);
+  });
+
+  test('a signed URL cannot be issued for another user\'s image', async () => {
+    const owner = await createUser(app, db);
+    const other = await createUser(app, db);
+    const imageId = await generate(owner, 'A windmill');
+
+    const signed = await request(app).get(`/api/images/${imageId}/signed-url`).set('Authorization', other.auth);
+    expect(signed.status).toBe(404);
+  });
+});
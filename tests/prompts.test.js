@@ -0,0 +1,95 @@
+import sharp from 'sharp';
+import request from 'supertest';
+import { startApp, stopApp, createUser } from './support/app.js';
+
+let app;
+let db;
+let user;
+
+beforeAll(async () => {
+  ({ app, db } = await startApp());
+  user = await createUser(app, db);
+});
+
+afterAll(stopApp);
+
+const createPrompt = (body) => request(app).post('/api/prompts').set('Authorization', user.auth).send(body);
+
+const portrait = {
+  promptName: 'Portrait',
+  prompt: 'A portrait of {{subject}} in {{style}} style',
+  variables: {
+    subject: { type: 'string' },
+    style: { type: 'string', allowed: ['oil', 'watercolor'], default: 'oil' }
+  }
+};
+
+describe('prompt templates', () => {
+  test('are saved with their declared variables', async () => {
+    const created = await createPrompt(portrait);
+
+    expect(created.status).toBe(201);
+    expect(created.body.data.variables.style).toMatchObject({ type: 'string', default: 'oil' });
+  });
+
+  test('refuse a placeholder without a declaration', async () => {
+    const created = await createPrompt({ promptName: 'Loose', prompt: 'A {{thing}}' });
+
+    expect(created.status).toBe(400);
+  });
+
+  test('render the variables into the generated prompt', async () => {
+    const created = await createPrompt(portrait);
+    const reference = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#808080' } }).png().toBuffer();
+    const referenceImage = reference.toString('base64');
+
+    const generated = await request(app)
+      .post('/api/gemini/generate')
+      .set('Authorization', user.auth)
+      .send({ promptId: created.body.data.id, referenceImage, variables: { subject: 'a cat' } });
+    expect(generated.status).toBe(200);
+    expect(generated.body.data).toMatchObject({
+      prompt: 'A portrait of a cat in oil style',
+      variables: { subject: 'a cat', style: 'oil' }
+    });
+
+    const refused = await request(app)
+      .post('/api/gemini/generate')
+      .set('Authorization', user.auth)
+      .send({ promptId: created.body.data.id, referenceImage, variables: { subject: 'a cat', style: 'pastel' } });
+    expect(refused.status).toBe(400);
+    expect(refused.body.error).toBe('INVALID_VARIABLES');
+  });
+});
+
+describe('prompt fields', () => {
+  test.each([
+    ['a prompt that is a number', { promptName: 'Numbers', prompt: 42 }],
+    ['a prompt that is an object', { promptName: 'Objects', prompt: { text: 'A cat' } }],
+    ['a promptName that is an array', { promptName: ['Arrays'], prompt: 'A cat' }],
+    ['a blank prompt', { promptName: 'Blank', prompt: '   ' }]
+  ])('refuse %s on create', async (name, body) => {
+    const created = await createPrompt(body);
+
+    expect(created.status).toBe(400);
+    expect(created.body.error).toBe('VALIDATION_ERROR');
+  });
+
+  test('refuse anything but non-empty strings on update', async () => {
+    const created = await createPrompt({ promptName: 'Still life', prompt: 'A bowl of fruit' });
+    const id = created.body.data.id;
+
+    for (const body of [{ prompt: 42 }, { prompt: ['A pear'] }, { promptName: {} }, { promptName: '' }]) {
+      const updated = await request(app).put(`/api/prompts/${id}`).set('Authorization', user.auth).send(body);
+      expect(updated.status).toBe(400);
+      expect(updated.body.error).toBe('VALIDATION_ERROR');
+    }
+
+    const updated = await request(app)
+      .put(`/api/prompts/${id}`)
+      .set('Authorization', user.auth)
+      .send({ prompt: 'A bowl of pears' });
+    expect(updated.status).toBe(200);
+    expect(updated.body.data).toMatchObject({ prompt: 'A bowl of pears', version: 2 });
+  });
+});
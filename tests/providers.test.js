@@ -0,0 +1,134 @@
+import sharp from 'sharp';
+import request from 'supertest';
+import { startApp, stopApp, createUser } from './support/app.js';
+
+let app;
+let db;
+let MockProvider;
+let imageGenerationService;
+
+beforeAll(async () => {
+  ({ app, db } = await startApp());
+  ({ default: MockProvider } = await import('../services/providers/mockProvider.js'));
+  ({ default: imageGenerationService } = await import('../services/imageGenerationService.js'));
+});
+
+afterAll(stopApp);
+
+const decode = (result) => Buffer.from(result.images[0].inlineData.data, 'base64');
+
+describe('mock provider', () => {
+  test('renders the same PNG for the same input', async () => {
+    const provider = new MockProvider();
+    const first = await provider.generateFromText('A fox in the snow', { model: 'mock-placeholder' });
+    const second = await provider.generateFromText('A fox in the snow', { model: 'mock-placeholder' });
+
+    expect(first).toMatchObject({ success: true, model: 'mock-placeholder', text: expect.any(String) });
+    expect(first.images[0].inlineData.mimeType).toBe('image/png');
+    expect(decode(first).equals(decode(second))).toBe(true);
+  });
+
+  test('renders a different image for another seed or reference image', async () => {
+    const provider = new MockProvider();
+    const plain = decode(await provider.generateFromText('A fox in the snow', {}));
+    const seeded = decode(await provider.generateFromText('A fox in the snow', { seed: 7 }));
+    const referenced = decode(await provider.generateImage('A fox in the snow', 'cmVmZXJlbmNl', 'image/png', {}));
+
+    expect(seeded.equals(plain)).toBe(false);
+    expect(referenced.equals(plain)).toBe(false);
+  });
+
+  test('honours the aspect ratio and reports progress', async () => {
+    const provider = new MockProvider();
+    const events = [];
+    const result = await provider.generateFromText('A wide valley', {
+      aspectRatio: '16:9',
+      onProgress: (event) => events.push(event)
+    });
+
+    expect(await sharp(decode(result)).metadata()).toMatchObject({ format: 'png', width: 512, height: 288 });
+    expect(events).toEqual(['provider_call_started', 'text']);
+  });
+});
+
+describe('provider registry', () => {
+  test('uses the mock provider by default here and resolves its model', async () => {
+    expect(imageGenerationService.defaultProvider).toBe('mock');
+
+    const result = await imageGenerationService.generateFromText('A lantern');
+    expect(result).toMatchObject({ success: true, model: 'mock-placeholder' });
+  });
+
+  test('refuses an unknown provider or model', () => {
+    expect(imageGenerationService.validateSelection({ provider: 'dall-e' })).toMatch(/Unknown provider/);
+    expect(imageGenerationService.validateSelection({ provider: 'mock', model: 'no-such-model' })).toMatch(/Unknown model/);
+    expect(imageGenerationService.validateSelection({ provider: 'mock' })).toBeNull();
+  });
+
+  test('reports the mock provider as healthy', async () => {
+    expect(await imageGenerationService.healthCheck('mock')).toMatchObject({ success: true, provider: 'mock' });
+  });
+});
+
+describe('generation through the API', () => {
+  let user;
+
+  beforeAll(async () => {
+    user = await createUser(app, db);
+  });
+
+  test('generates from a stored prompt and a reference image', async () => {
+    const created = await request(app)
+      .post('/api/prompts')
+      .set('Authorization', user.auth)
+      .send({ promptName: 'Watercolour', prompt: 'Paint this as a watercolour' });
+    expect(created.status).toBe(201);
+
+    const reference = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#204060' } }).png().toBuffer();
+    const response = await request(app)
+      .post('/api/gemini/generate')
+      .set('Authorization', user.auth)
+      .send({ promptId: created.body.data.id, referenceImage: reference.toString('base64'), mimeType: 'image/png' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({
+      promptId: created.body.data.id,
+      provider: 'mock',
+      model: 'mock-placeholder',
+      cached: false,
+      imageUrl: `/api/images/${response.body.data.imageId}/raw`
+    });
+
+    const raw = await request(app).get(response.body.data.imageUrl).set('Authorization', user.auth);
+    expect(raw.status).toBe(200);
+    expect(raw.headers['content-type']).toBe('image/png');
+    expect(raw.body.equals(Buffer.from(response.body.data.base64Image, 'base64'))).toBe(true);
+  });
+
+  test('generates from text with the provider named in the request', async () => {
+    const response = await request(app)
+      .post('/api/gemini/generate-text')
+      .set('Authorization', user.auth)
+      .send({ prompt: 'A lighthouse', provider: 'mock', aspectRatio: '9:16' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ provider: 'mock', aspectRatio: '9:16' });
+
+    const stored = await db.collection('generated_images').findOne({ _id: response.body.data.imageId });
+    expect(stored).toMatchObject({ ownerId: user.id, provider: 'mock', model: 'mock-placeholder' });
+  });
+
+  test('refuses an unknown provider before charging', async () => {
+    const before = await request(app).get('/api/credits').set('Authorization', user.auth);
+
+    const response = await request(app)
+      .post('/api/gemini/generate-text')
+      .set('Authorization', user.auth)
+      .send({ prompt: 'A lighthouse', provider: 'dall-e' });
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('INVALID_MODEL');
+
+    const after = await request(app).get('/api/credits').set('Authorization', user.auth);
+    expect(after.body.data.balance).toBe(before.body.data.balance);
+  });
+});
@@ -0,0 +1,88 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { MongoClient } from './memoryMongo.js';
+
+// Settings read when the app's modules load; a test file may add its own
+// (e.g. MODERATION_RULES) before calling startApp()
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pixora-test-'));
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  JWT_SECRET: 'test-secret',
+  BCRYPT_ROUNDS: '4',
+  IMAGE_PROVIDER: 'mock',
+  STORAGE_DRIVER: 'local',
+  STORAGE_LOCAL_DIR: storageDir,
+  JOB_POLL_INTERVAL_MS: '20',
+  MONGODB_URI: 'mongodb://memory/pixora'
+});
+
+jest.unstable_mockModule('mongodb', () => ({ MongoClient }));
+
+// The services log every step; keep the test output to failures
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+/**
+ * Load the app against an empty in-memory database
+ * @returns {Promise<Object>} - { app, db }
+ */
+export const startApp = async () => {
+  const { default: app } = await import('../../app.js');
+  const { connectDB } = await import('../../config/database.js');
+  const { ensureIndexes } = await import('../../config/indexes.js');
+
+  const db = await connectDB();
+  await ensureIndexes();
+  return { app, db };
+};
+
+/**
+ * Remove what the app stored on disk
+ */
+export const stopApp = () => {
+  fs.rmSync(storageDir, { recursive: true, force: true });
+};
+
+let userCount = 0;
+
+/**
+ * Register a user, give them a role and log in
+ * @param {Object} app - Express app
+ * @param {Object} db - In-memory database
+ * @param {string} [role] - 'admin', 'editor' or 'viewer'
+ * @returns {Promise<Object>} - { id, email, token, auth } where auth is the Authorization header value
+ */
+export const createUser = async (app, db, role = 'editor') => {
+  userCount++;
+  const email = `user${userCount}@example.com`;
+  const password = 'correct horse battery';
+
+  const registered = await request(app).post('/api/auth/register').send({ email, password });
+  const id = registered.body.data.user.id;
+  await db.collection('users').updateOne({ _id: id }, { $set: { role } });
+
+  // The role travels in the access token, so log in again to pick it up
+  const login = await request(app).post('/api/auth/login').send({ email, password });
+  const token = login.body.data.accessToken;
+  return { id, email, token, auth: `Bearer ${token}` };
+};
+
+/**
+ * Wait for a job to reach a final status. Reads the database rather than the
+ * API, so waiting does not use up the rate limit.
+ * @param {Object} db - In-memory database
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} - Job document
+ */
+export const waitForJob = async (db, jobId) => {
+  for (let i = 0; i < 400; i++) {
+    const job = await db.collection('jobs').findOne({ _id: jobId });
+    if (['succeeded', 'failed', 'cancelled'].includes(job.status)) {
+      return job;
+    }
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+  throw new Error(`Job ${jobId} did not finish`);
+};
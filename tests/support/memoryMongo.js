@@ -0,0 +1,439 @@
+import crypto from 'crypto';
+import { isDeepStrictEqual } from 'util';
+
+// In-memory stand-in for the part of the MongoDB driver the server uses, so
+// the API tests run without a database server. It covers the query and update
+// operators found in the code base; anything else throws, so a new operator
+// shows up as a failing test rather than a silently wrong result.
+
+// Copies documents in and out, like the driver's serialisation. Not structuredClone:
+// under Jest that returns Dates from another realm, which fail instanceof Date.
+const clone = (value) => {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Buffer.isBuffer(value)) return Buffer.from(value);
+  if (Array.isArray(value)) return value.map(clone);
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+};
+
+const isOperatorObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  !(value instanceof Date) && Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+
+// Every value a dotted path reaches, descending into arrays like Mongo does.
+// A leaf array yields itself and its elements.
+const valuesAt = (doc, path) => {
+  let current = [doc];
+  for (const key of path.split('.')) {
+    const next = [];
+    for (const value of current) {
+      if (Array.isArray(value) && !/^\d+$/.test(key)) {
+        for (const item of value) {
+          if (item !== null && typeof item === 'object' && key in item) next.push(item[key]);
+        }
+      } else if (value !== null && typeof value === 'object' && key in value) {
+        next.push(value[key]);
+      }
+    }
+    current = next;
+  }
+  return current.flatMap(value => (Array.isArray(value) ? [value, ...value] : [value]));
+};
+
+const firstValueAt = (doc, path) => {
+  let current = doc;
+  for (const key of path.split('.')) {
+    if (current === null || typeof current !== 'object') return undefined;
+    current = current[key];
+  }
+  return current;
+};
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  let current = doc;
+  for (const key of keys.slice(0, -1)) {
+    if (current[key] === null || typeof current[key] !== 'object') current[key] = {};
+    current = current[key];
+  }
+  current[keys[keys.length - 1]] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const keys = path.split('.');
+  let current = doc;
+  for (const key of keys.slice(0, -1)) {
+    if (current === null || typeof current !== 'object') return;
+    current = current[key];
+  }
+  if (current !== null && typeof current === 'object') delete current[keys[keys.length - 1]];
+};
+
+const equals = (a, b) => {
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  return isDeepStrictEqual(a, b);
+};
+
+// null in a query matches a missing field too
+const matchesValue = (values, expected) => {
+  if (expected === null) return values.length === 0 || values.some(value => value === null || value === undefined);
+  return values.some(value => equals(value, expected));
+};
+
+// BSON sort order for the types the server stores
+const typeRank = (value) => {
+  if (value === undefined || value === null) return 0;
+  if (typeof value === 'number') return 1;
+  if (typeof value === 'string') return 2;
+  if (typeof value === 'boolean') return 4;
+  if (value instanceof Date) return 5;
+  return 3;
+};
+
+const compare = (a, b) => {
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+  if (rankA !== rankB) return rankA - rankB;
+  if (a instanceof Date) return a.getTime() - b.getTime();
+  if (rankA === 1 || rankA === 4) return Number(a) - Number(b);
+  if (rankA === 2) return a < b ? -1 : a > b ? 1 : 0;
+  return 0;
+};
+
+// Range operators only compare values of the same type
+const comparable = (values, bound, test) => values.some(value =>
+  value !== null && value !== undefined && typeRank(value) === typeRank(bound) && test(compare(value, bound)));
+
+const matchesOperators = (values, operators) => Object.entries(operators).every(([operator, operand]) => {
+  switch (operator) {
+    case '$eq': return matchesValue(values, operand);
+    case '$ne': return !matchesValue(values, operand);
+    case '$in': return operand.some(item => matchesValue(values, item));
+    case '$nin': return !operand.some(item => matchesValue(values, item));
+    case '$gt': return comparable(values, operand, result => result > 0);
+    case '$gte': return comparable(values, operand, result => result >= 0);
+    case '$lt': return comparable(values, operand, result => result < 0);
+    case '$lte': return comparable(values, operand, result => result <= 0);
+    case '$exists': return (values.length > 0 && values.some(value => value !== undefined)) === Boolean(operand);
+    default: throw new Error(`memoryMongo does not support the ${operator} query operator`);
+  }
+});
+
+export const matches = (doc, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$and') return condition.every(part => matches(doc, part));
+  if (key === '$or') return condition.some(part => matches(doc, part));
+  if (key.startsWith('$')) throw new Error(`memoryMongo does not support the ${key} query operator`);
+
+  const values = valuesAt(doc, key);
+  return isOperatorObject(condition) ? matchesOperators(values, condition) : matchesValue(values, condition);
+});
+
+const applyUpdate = (doc, update, { inserting = false } = {}) => {
+  for (const [operator, fields] of Object.entries(update)) {
+    for (const [path, value] of Object.entries(fields)) {
+      switch (operator) {
+        case '$set':
+          setPath(doc, path, clone(value));
+          break;
+        case '$setOnInsert':
+          if (inserting) setPath(doc, path, clone(value));
+          break;
+        case '$unset':
+          unsetPath(doc, path);
+          break;
+        case '$inc':
+          setPath(doc, path, (firstValueAt(doc, path) || 0) + value);
+          break;
+        case '$push': {
+          const current = firstValueAt(doc, path);
+          setPath(doc, path, [...(Array.isArray(current) ? current : []), clone(value)]);
+          break;
+        }
+        default:
+          throw new Error(`memoryMongo does not support the ${operator} update operator`);
+      }
+    }
+  }
+  return doc;
+};
+
+const isReplacement = (update) => !Object.keys(update).some(key => key.startsWith('$'));
+
+// The document an upsert starts from: the filter's plain equality fields
+const upsertBase = (filter) => {
+  const doc = {};
+  for (const [key, condition] of Object.entries(filter)) {
+    if (!key.startsWith('$') && !isOperatorObject(condition)) setPath(doc, key, clone(condition));
+  }
+  return doc;
+};
+
+const project = (doc, projection) => {
+  if (!doc || !projection || Object.keys(projection).length === 0) return doc;
+
+  const entries = Object.entries(projection);
+  const including = entries.some(([key, value]) => key !== '_id' && value);
+  if (!including) {
+    const result = clone(doc);
+    for (const [key] of entries) unsetPath(result, key);
+    return result;
+  }
+
+  const result = {};
+  if (projection._id !== 0 && projection._id !== false) result._id = doc._id;
+  for (const [key, value] of entries) {
+    if (!value || key === '_id') continue;
+    const found = firstValueAt(doc, key);
+    if (found !== undefined) setPath(result, key, clone(found));
+  }
+  return result;
+};
+
+const sortDocs = (docs, sort) => {
+  const keys = Object.entries(sort);
+  return [...docs].sort((a, b) => {
+    for (const [key, direction] of keys) {
+      const result = compare(firstValueAt(a, key), firstValueAt(b, key));
+      if (result !== 0) return direction < 0 ? -result : result;
+    }
+    return 0;
+  });
+};
+
+const duplicateKeyError = (collection, keys) => {
+  const error = new Error(`E11000 duplicate key error collection: ${collection} index: ${Object.keys(keys).join('_')}`);
+  error.name = 'MongoServerError';
+  error.code = 11000;
+  return error;
+};
+
+class Cursor {
+  constructor(load) {
+    this.load = load;
+    this.sortSpec = null;
+    this.skipCount = 0;
+    this.limitCount = 0;
+  }
+
+  sort(spec) {
+    this.sortSpec = spec;
+    return this;
+  }
+
+  skip(count) {
+    this.skipCount = count;
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  async toArray() {
+    let docs = this.load();
+    if (this.sortSpec) docs = sortDocs(docs, this.sortSpec);
+    docs = docs.slice(this.skipCount);
+    if (this.limitCount) docs = docs.slice(0, this.limitCount);
+    return docs;
+  }
+
+  async *[Symbol.asyncIterator]() {
+    yield* await this.toArray();
+  }
+}
+
+class Collection {
+  constructor(name) {
+    this.collectionName = name;
+    this.docs = [];
+    this.uniqueIndexes = [];
+  }
+
+  checkUnique(candidate, ignore = null) {
+    const others = this.docs.filter(doc => doc !== ignore);
+    if (others.some(doc => equals(doc._id, candidate._id))) {
+      throw duplicateKeyError(this.collectionName, { _id: 1 });
+    }
+    for (const keys of this.uniqueIndexes) {
+      const paths = Object.keys(keys);
+      const values = paths.map(path => firstValueAt(candidate, path));
+      if (values.some(value => value === undefined)) continue;
+      if (others.some(doc => paths.every((path, i) => equals(firstValueAt(doc, path), values[i])))) {
+        throw duplicateKeyError(this.collectionName, keys);
+      }
+    }
+  }
+
+  async createIndex(keys, options = {}) {
+    if (options.unique) this.uniqueIndexes.push(keys);
+    return Object.entries(keys).map(([key, direction]) => `${key}_${direction}`).join('_');
+  }
+
+  async insertOne(data) {
+    const doc = clone(data);
+    if (doc._id === undefined) doc._id = crypto.randomUUID();
+    this.checkUnique(doc);
+    this.docs.push(doc);
+    // The driver sets _id on the caller's object too
+    data._id = doc._id;
+    return { acknowledged: true, insertedId: doc._id };
+  }
+
+  find(filter = {}, { projection } = {}) {
+    return new Cursor(() => this.docs.filter(doc => matches(doc, filter)).map(doc => project(clone(doc), projection)));
+  }
+
+  async findOne(filter = {}, { projection } = {}) {
+    const doc = this.docs.find(item => matches(item, filter));
+    return doc ? project(clone(doc), projection) : null;
+  }
+
+  async countDocuments(filter = {}) {
+    return this.docs.filter(doc => matches(doc, filter)).length;
+  }
+
+  // Apply an update or replacement to one stored document, keeping it when the result breaks a unique index
+  modify(doc, update) {
+    const next = isReplacement(update) ? { ...clone(update), _id: doc._id } : applyUpdate(clone(doc), update);
+    this.checkUnique(next, doc);
+    const changed = !equals(next, doc);
+    this.docs[this.docs.indexOf(doc)] = next;
+    return { next, changed };
+  }
+
+  upsert(filter, update) {
+    const base = upsertBase(filter);
+    const doc = isReplacement(update) ? { ...clone(update), _id: base._id } : applyUpdate(base, update, { inserting: true });
+    if (doc._id === undefined) doc._id = crypto.randomUUID();
+    this.checkUnique(doc);
+    this.docs.push(doc);
+    return doc;
+  }
+
+  async updateOne(filter, update, { upsert = false } = {}) {
+    const doc = this.docs.find(item => matches(item, filter));
+    if (!doc) {
+      if (!upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+      const inserted = this.upsert(filter, update);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id };
+    }
+    const { changed } = this.modify(doc, update);
+    return { acknowledged: true, matchedCount: 1, modifiedCount: changed ? 1 : 0, upsertedCount: 0, upsertedId: null };
+  }
+
+  async replaceOne(filter, replacement, options = {}) {
+    return this.updateOne(filter, replacement, options);
+  }
+
+  async updateMany(filter, update) {
+    const found = this.docs.filter(doc => matches(doc, filter));
+    let modifiedCount = 0;
+    for (const doc of found) {
+      if (this.modify(doc, update).changed) modifiedCount++;
+    }
+    return { acknowledged: true, matchedCount: found.length, modifiedCount, upsertedCount: 0, upsertedId: null };
+  }
+
+  async findOneAndUpdate(filter, update, { sort, returnDocument = 'before', projection, upsert = false } = {}) {
+    const candidates = this.docs.filter(doc => matches(doc, filter));
+    const doc = sort ? sortDocs(candidates, sort)[0] : candidates[0];
+    if (!doc) {
+      if (!upsert) return null;
+      const inserted = this.upsert(filter, update);
+      return returnDocument === 'after' ? project(clone(inserted), projection) : null;
+    }
+    const { next } = this.modify(doc, update);
+    return project(clone(returnDocument === 'after' ? next : doc), projection);
+  }
+
+  async deleteOne(filter = {}) {
+    const index = this.docs.findIndex(doc => matches(doc, filter));
+    if (index < 0) return { acknowledged: true, deletedCount: 0 };
+    this.docs.splice(index, 1);
+    return { acknowledged: true, deletedCount: 1 };
+  }
+
+  async deleteMany(filter = {}) {
+    const before = this.docs.length;
+    this.docs = this.docs.filter(doc => !matches(doc, filter));
+    return { acknowledged: true, deletedCount: before - this.docs.length };
+  }
+
+  // $match, $group (with $sum), $sort and $limit stages
+  aggregate(pipeline) {
+    return new Cursor(() => {
+      let docs = this.docs.map(clone);
+      for (const stage of pipeline) {
+        const [[name, spec]] = Object.entries(stage);
+        if (name === '$match') {
+          docs = docs.filter(doc => matches(doc, spec));
+        } else if (name === '$group') {
+          const groups = new Map();
+          for (const doc of docs) {
+            const id = typeof spec._id === 'string' && spec._id.startsWith('$') ? firstValueAt(doc, spec._id.slice(1)) : spec._id;
+            const key = JSON.stringify(id === undefined ? null : id);
+            if (!groups.has(key)) groups.set(key, { _id: id === undefined ? null : id });
+            const group = groups.get(key);
+            for (const [field, accumulator] of Object.entries(spec)) {
+              if (field === '_id') continue;
+              if (!('$sum' in accumulator)) throw new Error('memoryMongo only supports $sum in $group');
+              const operand = accumulator.$sum;
+              const amount = typeof operand === 'string' ? Number(firstValueAt(doc, operand.slice(1))) || 0 : operand;
+              group[field] = (group[field] || 0) + amount;
+            }
+          }
+          docs = [...groups.values()];
+        } else if (name === '$sort') {
+          docs = sortDocs(docs, spec);
+        } else if (name === '$limit') {
+          docs = docs.slice(0, spec);
+        } else {
+          throw new Error(`memoryMongo does not support the ${name} aggregation stage`);
+        }
+      }
+      return docs;
+    });
+  }
+}
+
+class Db {
+  constructor(name) {
+    this.databaseName = name;
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) this.collections.set(name, new Collection(name));
+    return this.collections.get(name);
+  }
+
+  listCollections() {
+    return new Cursor(() => [...this.collections.keys()].map(name => ({ name, type: 'collection' })));
+  }
+
+  admin() {
+    return { ping: async () => ({ ok: 1 }) };
+  }
+}
+
+// One database per name, shared by every client in the process like a real server
+const databases = new Map();
+
+export class MongoClient {
+  constructor(uri) {
+    this.uri = uri;
+  }
+
+  async connect() {
+    return this;
+  }
+
+  db(name) {
+    if (!databases.has(name)) databases.set(name, new Db(name));
+    return databases.get(name);
+  }
+
+  async close() {}
+}
@@ -0,0 +1,177 @@
+import { findManyDB, countDB } from '../config/database.js';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const SORT_FIELDS = ['createdAt', 'size'];
+
+export class ListQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ListQueryError';
+    this.code = 'INVALID_QUERY';
+    this.status = 400;
+  }
+}
+
+// Cursors are opaque to clients: base64url JSON of the last item's sort value and _id
+const encodeCursor = (doc, sortField) => {
+  const value = doc[sortField];
+  const payload = { v: value instanceof Date ? value.toISOString() : value, d: value instanceof Date, id: doc._id };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// The cursor is client input: only plain values may reach the page filter, never an object
+// that Mongo would read as a query operator
+const decodeCursor = (cursor) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+  } catch (error) {
+    throw new ListQueryError('Invalid cursor');
+  }
+
+  const { v, d, id } = payload || {};
+  if (typeof id !== 'string') {
+    throw new ListQueryError('Invalid cursor');
+  }
+  if (d) {
+    const date = typeof v === 'string' ? new Date(v) : null;
+    if (!date || Number.isNaN(date.getTime())) {
+      throw new ListQueryError('Invalid cursor');
+    }
+    return { value: date, id };
+  }
+  // null: the last item had no value for the sort field
+  if (!(v === null || typeof v === 'string' || (typeof v === 'number' && Number.isFinite(v)))) {
+    throw new ListQueryError('Invalid cursor');
+  }
+  return { value: v, id };
+};
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ListQueryError(`${name} must be a valid date`);
+  }
+  return date;
+};
+
+/**
+ * Parse list query-string parameters into a Mongo filter, sort and projection
+ * Supported: limit, cursor, sort (createdAt | -createdAt | size | -size),
+ * fields (comma-separated), promptId, promptVersion, batchId, mimetype (comma-separated), from, to
+ * @param {Object} query - req.query
+ * @param {Object} fieldMap - Response field name -> document field it is built from
+ * @returns {Object} - Parsed list query for findPage
+ */
+export const parseListQuery = (query, fieldMap) => {
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new ListQueryError(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+
+  const sortParam = query.sort ? String(query.sort) : '-createdAt';
+  const sortField = sortParam.replace(/^-/, '');
+  if (!SORT_FIELDS.includes(sortField)) {
+    throw new ListQueryError(`sort must be one of: ${SORT_FIELDS.map(f => `${f}, -${f}`).join(', ')}`);
+  }
+  const direction = sortParam.startsWith('-') ? -1 : 1;
+
+  // Values are wrapped in String() so ?promptId[$ne]=x cannot smuggle in a query operator
+  const filter = {};
+  if (query.promptId) {
+    filter.promptId = String(query.promptId);
+  }
+  if (query.promptVersion !== undefined) {
+    const promptVersion = /^\d+$/.test(String(query.promptVersion)) ? Number(query.promptVersion) : NaN;
+    if (!Number.isInteger(promptVersion) || promptVersion < 1) {
+      throw new ListQueryError('promptVersion must be a positive integer');
+    }
+    filter.promptVersion = promptVersion;
+  }
+  if (query.batchId) {
+    filter.batchId = String(query.batchId);
+  }
+  if (query.mimetype) {
+    filter.mimetype = { $in: String(query.mimetype).split(',') };
+  }
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) filter.createdAt.$gte = parseDate(query.from, 'from');
+    if (query.to) filter.createdAt.$lte = parseDate(query.to, 'to');
+  }
+
+  let fields = null;
+  let projection = { base64Image: 0 };
+  if (query.fields) {
+    fields = String(query.fields).split(',').map(f => f.trim()).filter(Boolean);
+    const unknown = fields.filter(f => !fieldMap[f]);
+    if (unknown.length > 0) {
+      throw new ListQueryError(`Unknown fields: ${unknown.join(', ')}. Allowed: ${Object.keys(fieldMap).join(', ')}`);
+    }
+    projection = { _id: 1, [sortField]: 1 };
+    fields.forEach(f => { projection[fieldMap[f]] = 1; });
+  }
+
+  return {
+    limit,
+    cursor: query.cursor ? decodeCursor(query.cursor) : null,
+    sortField,
+    direction,
+    filter,
+    fields,
+    projection
+  };
+};
+
+/**
+ * Fetch one page of a collection for a parsed list query
+ * @param {string} collection - Collection name
+ * @param {Object} listQuery - Result of parseListQuery
+ * @param {Function} format - Maps a document to its response shape
+ * @returns {Promise<Object>} - { data, total, nextCursor }
+ */
+export const findPage = async (collection, listQuery, format) => {
+  const { limit, cursor, sortField, direction, filter, fields, projection } = listQuery;
+
+  let pageFilter = filter;
+  if (cursor) {
+    const op = direction === -1 ? '$lt' : '$gt';
+    pageFilter = {
+      $and: [
+        filter,
+        {
+          $or: [
+            { [sortField]: { [op]: cursor.value } },
+            { [sortField]: cursor.value, _id: { [op]: cursor.id } }
+          ]
+        }
+      ]
+    };
+  }
+
+  // Fetch one extra document to know whether another page exists
+  const [docs, total] = await Promise.all([
+    findManyDB(collection, pageFilter, {
+      sort: { [sortField]: direction, _id: direction },
+      limit: limit + 1,
+      projection
+    }),
+    countDB(collection, filter)
+  ]);
+
+  const hasMore = docs.length > limit;
+  const page = hasMore ? docs.slice(0, limit) : docs;
+
+  const data = page.map(doc => {
+    const item = format(doc);
+    if (!fields) return item;
+    return Object.fromEntries(fields.map(f => [f, item[f]]));
+  });
+
+  return {
+    data,
+    total,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], sortField) : null
+  };
+};
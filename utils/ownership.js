@@ -0,0 +1,17 @@
+// Ownership rules shared by controllers: admins see everything, everyone
+// else only documents whose ownerId is their own user id.
+
+/**
+ * Mongo filter limiting a query to what the user may see
+ * @param {Object} user - req.user
+ * @returns {Object} - {} for admins, otherwise { ownerId }
+ */
+export const ownerScope = (user) => (user.role === 'admin' ? {} : { ownerId: user.id });
+
+/**
+ * Whether the user may see or change a document
+ * @param {Object} user - req.user
+ * @param {Object} doc - Document with ownerId
+ * @returns {boolean}
+ */
+export const canAccess = (user, doc) => user.role === 'admin' || doc.ownerId === user.id;
@@ -0,0 +1,140 @@
+// Prompt templates: prompt text with {{name}} placeholders, filled from
+// variables declared on the prompt as { type, default?, allowed?, description? }.
+
+export const VARIABLE_TYPES = ['string', 'number', 'integer', 'boolean'];
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+export class TemplateError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'TemplateError';
+    this.code = code;
+    this.status = 400;
+  }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const matchesType = (value, type) => {
+  switch (type) {
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    default: return typeof value === 'string';
+  }
+};
+
+/**
+ * Names used as {{placeholders}} in a prompt, in order of first use
+ * @param {string} text - Prompt text
+ * @returns {string[]}
+ */
+export const placeholders = (text) => [...new Set([...text.matchAll(PLACEHOLDER)].map(match => match[1]))];
+
+/**
+ * Check a prompt's variable declarations against its text
+ * @param {string} text - Prompt text
+ * @param {Object} [variables] - name -> { type?, default?, allowed?, description? }
+ * @returns {Object} - Declarations with type filled in
+ * @throws {TemplateError} - INVALID_TEMPLATE
+ */
+export const parseVariables = (text, variables = {}) => {
+  if (!isPlainObject(variables)) {
+    throw new TemplateError('INVALID_TEMPLATE', 'variables must be an object keyed by variable name');
+  }
+
+  const used = placeholders(text);
+  const undeclared = used.filter(name => !(name in variables));
+  if (undeclared.length > 0) {
+    throw new TemplateError('INVALID_TEMPLATE', `Placeholders without a declaration: ${undeclared.join(', ')}`);
+  }
+
+  const parsed = {};
+  for (const [name, declaration] of Object.entries(variables)) {
+    if (!used.includes(name)) {
+      throw new TemplateError('INVALID_TEMPLATE', `Variable '${name}' is not used in the prompt`);
+    }
+    if (!isPlainObject(declaration)) {
+      throw new TemplateError('INVALID_TEMPLATE', `Variable '${name}' must be an object`);
+    }
+
+    const type = declaration.type || 'string';
+    if (!VARIABLE_TYPES.includes(type)) {
+      throw new TemplateError('INVALID_TEMPLATE', `Variable '${name}' type must be one of: ${VARIABLE_TYPES.join(', ')}`);
+    }
+
+    const variable = { type };
+    if (declaration.allowed !== undefined) {
+      if (!Array.isArray(declaration.allowed) || declaration.allowed.length === 0 ||
+          declaration.allowed.some(value => !matchesType(value, type))) {
+        throw new TemplateError('INVALID_TEMPLATE', `Variable '${name}' allowed must be a non-empty array of ${type} values`);
+      }
+      variable.allowed = [...new Set(declaration.allowed)];
+    }
+    if (declaration.default !== undefined) {
+      if (!matchesType(declaration.default, type) || (variable.allowed && !variable.allowed.includes(declaration.default))) {
+        throw new TemplateError('INVALID_TEMPLATE', `Variable '${name}' default must be an allowed ${type} value`);
+      }
+      variable.default = declaration.default;
+    }
+    if (declaration.description !== undefined) {
+      variable.description = String(declaration.description);
+    }
+    parsed[name] = variable;
+  }
+  return parsed;
+};
+
+/**
+ * Check request values against a prompt's declarations and fill in defaults.
+ * Placeholders in prompts saved before templates existed count as required strings.
+ * @param {Object} prompt - Prompt document { prompt, variables? }
+ * @param {Object} [values] - name -> value from the request
+ * @returns {Object} - Value of every variable the prompt uses
+ * @throws {TemplateError} - INVALID_VARIABLES
+ */
+export const resolveVariables = (prompt, values = {}) => {
+  if (!isPlainObject(values)) {
+    throw new TemplateError('INVALID_VARIABLES', 'variables must be an object keyed by variable name');
+  }
+
+  const declarations = { ...prompt.variables };
+  for (const name of placeholders(prompt.prompt)) {
+    declarations[name] = declarations[name] || { type: 'string' };
+  }
+
+  const unknown = Object.keys(values).filter(name => !(name in declarations));
+  if (unknown.length > 0) {
+    throw new TemplateError('INVALID_VARIABLES', `Unknown variables: ${unknown.join(', ')}`);
+  }
+
+  const resolved = {};
+  const problems = [];
+  for (const [name, declaration] of Object.entries(declarations)) {
+    const value = values[name] !== undefined ? values[name] : declaration.default;
+
+    if (value === undefined) {
+      problems.push(`${name} is required`);
+    } else if (!matchesType(value, declaration.type)) {
+      problems.push(`${name} must be a ${declaration.type}`);
+    } else if (declaration.allowed && !declaration.allowed.includes(value)) {
+      problems.push(`${name} must be one of: ${declaration.allowed.join(', ')}`);
+    } else {
+      resolved[name] = value;
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new TemplateError('INVALID_VARIABLES', `Invalid variables: ${problems.join('; ')}`);
+  }
+  return resolved;
+};
+
+/**
+ * Fill a prompt's placeholders
+ * @param {string} text - Prompt text
+ * @param {Object} values - Resolved values, see resolveVariables
+ * @returns {string}
+ */
+export const renderTemplate = (text, values) => text.replace(PLACEHOLDER, (match, name) => String(values[name]));
@@ -0,0 +1,64 @@
+// Word-level diff for prompt text, as a list of { op, text } operations
+// where op is 'equal', 'insert' or 'delete'. Joining every non-delete
+// operation's text gives the new text; every non-insert gives the old one.
+
+// Longest texts diffed word by word; longer ones are reported as a full replace
+const MAX_TOKENS = 2000;
+
+// Words and the whitespace between them, so joining tokens restores the text
+const tokenize = (text) => (text ? text.split(/(\s+)/).filter(token => token !== '') : []);
+
+// Merge neighbouring operations of the same kind
+const pushOp = (ops, op, text) => {
+  const last = ops[ops.length - 1];
+  if (last && last.op === op) {
+    last.text += text;
+  } else {
+    ops.push({ op, text });
+  }
+};
+
+/**
+ * Diff two texts word by word
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array} - [{ op: 'equal'|'insert'|'delete', text }]
+ */
+export const diffWords = (before = '', after = '') => {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  if (a.length > MAX_TOKENS || b.length > MAX_TOKENS) {
+    const ops = [];
+    if (before) ops.push({ op: 'delete', text: before });
+    if (after) ops.push({ op: 'insert', text: after });
+    return ops;
+  }
+
+  // lengths[i][j] = longest common subsequence of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pushOp(ops, 'equal', a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      pushOp(ops, 'delete', a[i++]);
+    } else {
+      pushOp(ops, 'insert', b[j++]);
+    }
+  }
+  while (i < a.length) pushOp(ops, 'delete', a[i++]);
+  while (j < b.length) pushOp(ops, 'insert', b[j++]);
+
+  return ops;
+};